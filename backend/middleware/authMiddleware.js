@@ -0,0 +1,95 @@
+// This file defines the Express middleware used to secure the API.
+// `protect` authenticates the request from its bearer token, `authorize` restricts a route
+// to specific roles, and `requireOwner` makes sure the logged-in user owns the document
+// that a route operates on.
+
+import User from "../models/User.js"; // The Mongoose model for the User schema.
+import Session from "../models/Session.js"; // Logged-in devices; a revoked session's tokens stop working.
+import { verifyToken } from "../utils/token.js"; // Shared JWT verification helper.
+
+/**
+ * Authenticates a request using the `Authorization: Bearer <token>` header.
+ * On success, the full user document (without sensitive fields) is attached to `req.user`,
+ * the ID of the session the token belongs to to `req.sessionId`, and when the token expires
+ * to `req.tokenExpiresAt`.
+ */
+export const protect = async (req, res, next) => {
+  const header = req.headers.authorization || "";
+  // The header must follow the standard "Bearer <token>" format.
+  if (!header.startsWith("Bearer ")) {
+    return res.status(401).json({ error: "Not authorized, no token" });
+  }
+
+  let decoded;
+  try {
+    decoded = verifyToken(header.slice(7).trim());
+  } catch (err) {
+    // An invalid signature or an expired token both end up here.
+    return res.status(401).json({ error: "Not authorized, token invalid or expired" });
+  }
+
+  try {
+    // Load the user so routes always work with up-to-date role and status information, and
+    // make sure the token's session hasn't been logged out. Tokens from before sessions
+    // existed have no session and are no longer accepted.
+    const [user, session] = await Promise.all([
+      User.findById(decoded.id).select("-password"),
+      decoded.sid ? Session.findById(decoded.sid, { userId: 1, revokedAt: 1, expiresAt: 1 }) : null,
+    ]);
+    if (!session || !session.isActive() || !session.userId.equals(decoded.id)) {
+      return res.status(401).json({ error: "Not authorized, session ended" });
+    }
+    if (!user) return res.status(401).json({ error: "Not authorized, user not found" });
+    // Suspended or inactive accounts keep their token but can no longer use it.
+    if (user.status !== "ACTIVE") {
+      return res.status(403).json({ error: "Your account is not active." });
+    }
+
+    req.user = user;
+    req.sessionId = session._id;
+    req.tokenExpiresAt = new Date(decoded.exp * 1000);
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+/**
+ * Restricts a route to users with one of the given roles. Must be used after `protect`.
+ * @param {...string} roles The allowed roles (e.g., "customer", "tailor").
+ */
+export const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ error: "You do not have permission to perform this action." });
+  }
+  next();
+};
+
+/**
+ * Loads a document by `req.params.id` and checks that it belongs to the logged-in user.
+ * The document is attached to `req.doc` so the route handler does not need to fetch it again.
+ * Must be used after `protect`.
+ * @param {mongoose.Model} Model The Mongoose model to look the document up in.
+ * @param {string|Function} owner Either the field holding the owner's user ID (e.g., "tailorId"),
+ *   or a `(doc, user) => boolean` function for ownership rules that a single field can't express.
+ */
+export const requireOwner = (Model, owner) => async (req, res, next) => {
+  try {
+    const doc = await Model.findById(req.params.id);
+    if (!doc) return res.status(404).json({ error: `${Model.modelName} not found` });
+
+    const isOwner = typeof owner === "function"
+      ? owner(doc, req.user)
+      : Boolean(doc[owner]) && doc[owner].equals(req.user._id);
+    if (!isOwner) {
+      return res.status(403).json({ error: `You do not own this ${Model.modelName.toLowerCase()}.` });
+    }
+
+    req.doc = doc;
+    next();
+  } catch (err) {
+    // An invalid ObjectId in the URL raises a CastError, which is a client error.
+    if (err.name === "CastError") return res.status(404).json({ error: `${Model.modelName} not found` });
+    res.status(500).json({ error: err.message });
+  }
+};
@@ -0,0 +1,32 @@
+// This file contains the middleware that checks a request against the schema its route
+// declares (see utils/validation.js for how schemas are written).
+
+import { parseRequestPart, RequestValidationError } from "../utils/validation.js";
+
+/**
+ * Checks a request's `params`, `query` and `body` against a schema and replaces each with
+ * its checked copy, so the route only ever sees the fields it declared, already converted.
+ * A request that doesn't match is answered with a 400 and
+ * `{ error, details: [{ field, message }] }`, listing every problem.
+ * @param {{params?: object, query?: object, body?: object}} schema A shape for each part to check.
+ */
+export const validate = (schema) => (req, res, next) => {
+  const details = [];
+  const parsed = {};
+  for (const part of ["params", "query", "body"]) {
+    if (!schema[part]) continue;
+    try {
+      parsed[part] = parseRequestPart(schema[part], req[part]);
+    } catch (err) {
+      if (!(err instanceof RequestValidationError)) return next(err);
+      details.push(...err.details);
+    }
+  }
+  if (details.length > 0) {
+    const err = new RequestValidationError(details);
+    return res.status(err.statusCode).json({ error: err.message, details });
+  }
+
+  Object.assign(req, parsed);
+  next();
+};
@@ -0,0 +1,69 @@
+// This file defines the Mongoose schema for the 'Asset' collection in the MongoDB database.
+// An asset is an uploaded image, stored in several sizes by the configured storage adapter
+// (see utils/storage/index.js). The upload API returns its ID, which can then be used in
+// place of an image URL, e.g. as a fabric's `imageUrl`.
+
+import mongoose from "mongoose";
+
+// What an image is for. Profile, shop and work photos update the tailor's profile when uploaded.
+export const ASSET_PURPOSES = {
+  fabric: ["tailor"], // A photo of a fabric in the tailor's catalogue.
+  profile: ["tailor"], // The tailor's profile photo.
+  shop: ["tailor"], // A photo of the tailor's shop.
+  work: ["tailor"], // A photo in the tailor's work gallery.
+  order: ["customer"], // A photo of the fabric the customer is providing for an order.
+  message: ["customer", "tailor"], // A reference or fit photo sent in an order's message thread.
+};
+
+// One stored size of an image (see IMAGE_VARIANTS in utils/images.js).
+const variantSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true }, // "thumbnail", "medium" or "large".
+    key: { type: String, required: true }, // Where the storage adapter keeps the file.
+    url: { type: String, required: true },
+    width: { type: Number },
+    height: { type: Number },
+    size: { type: Number }, // In bytes.
+  },
+  { _id: false }
+);
+
+const assetSchema = new mongoose.Schema(
+  {
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // Who uploaded it.
+    purpose: { type: String, enum: Object.keys(ASSET_PURPOSES), required: true },
+    storage: { type: String, required: true }, // The storage adapter the files were written with.
+    contentType: { type: String, default: "image/jpeg" }, // Every size is stored as a JPEG.
+    width: { type: Number }, // The size of the largest stored version.
+    height: { type: Number },
+    url: { type: String, required: true }, // The largest stored version.
+    thumbnailUrl: { type: String },
+    variants: { type: [variantSchema], default: [] },
+  },
+  {
+    // Mongoose option to automatically add `createdAt` and `updatedAt` fields.
+    timestamps: true,
+  }
+);
+
+// Speeds up listing a user's uploads, e.g. a tailor's work gallery, newest first.
+assetSchema.index({ ownerId: 1, purpose: 1, createdAt: -1 });
+
+// Turns an image field sent by the app into the URL to store. The field may hold the ID of an
+// asset the user uploaded, which is swapped for its URL, or (as before uploads existed) a URL,
+// which is kept as it is. Throws an error with `statusCode` 400 for an asset that doesn't
+// exist or belongs to someone else.
+assetSchema.statics.resolveUrl = async function (value, ownerId) {
+  if (typeof value !== "string" || !/^[a-f0-9]{24}$/i.test(value)) return value;
+
+  const asset = await this.findOne({ _id: value, ownerId }, { url: 1 });
+  if (!asset) {
+    const err = new Error(`Image ${value} not found. Upload it first with POST /api/uploads.`);
+    err.statusCode = 400;
+    throw err;
+  }
+  return asset.url;
+};
+
+// Compiles the schema into a Mongoose model named 'Asset' and exports it.
+export default mongoose.model("Asset", assetSchema);
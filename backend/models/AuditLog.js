@@ -0,0 +1,57 @@
+// This file defines the Mongoose schema for the 'AuditLog' collection in the MongoDB database.
+// Every admin action is recorded here: who did what to which document, when and why.
+// Entries are only ever added, never changed.
+
+import mongoose from "mongoose";
+
+// Everything an admin can do (see routes/adminRoutes.js).
+export const AUDIT_ACTIONS = [
+  "TAILOR_APPROVED",
+  "TAILOR_REJECTED",
+  "USER_SUSPENDED",
+  "USER_REACTIVATED",
+  "ORDER_CANCELLED",
+  "REVIEW_HIDDEN",
+  "REVIEW_UNHIDDEN",
+  "FABRIC_HIDDEN",
+  "FABRIC_UNHIDDEN",
+];
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+      name: { type: String },
+      ip: { type: String },
+    },
+    action: { type: String, enum: AUDIT_ACTIONS, required: true },
+    targetType: { type: String, enum: ["User", "Order", "Review", "Fabric"], required: true },
+    targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    reason: { type: String, trim: true },
+    // What changed, e.g. `{ status: { from: "ACTIVE", to: "SUSPENDED" } }`.
+    changes: { type: mongoose.Schema.Types.Mixed },
+  },
+  {
+    // Entries are never updated, so only `createdAt` is kept.
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ targetType: 1, targetId: 1, _id: -1 });
+auditLogSchema.index({ "actor.userId": 1, _id: -1 });
+auditLogSchema.index({ action: 1, _id: -1 });
+
+// Records an admin action taken in a request.
+auditLogSchema.statics.record = function (req, action, target, { reason, changes } = {}) {
+  return this.create({
+    actor: { userId: req.user._id, name: req.user.name, ip: req.ip },
+    action,
+    targetType: target.constructor.modelName,
+    targetId: target._id,
+    reason,
+    changes,
+  });
+};
+
+// Compiles the schema into a Mongoose model named 'AuditLog' and exports it.
+export default mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,19 @@
+// This file defines the Mongoose schema for the 'Counter' collection in the MongoDB database.
+// Each document is a named sequence, e.g. one per tailor per year for invoice numbers.
+
+import mongoose from "mongoose";
+
+const counterSchema = new mongoose.Schema({
+  _id: { type: String }, // The sequence name, e.g. "invoice:<tailorId>:2026".
+  seq: { type: Number, default: 0 }, // The last number handed out.
+});
+
+// Hands out the next number of a sequence, starting at 1. The increment is a single atomic
+// update, so two requests can never get the same number.
+counterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate({ _id: name }, { $inc: { seq: 1 } }, { upsert: true, new: true });
+  return counter.seq;
+};
+
+// Compiles the schema into a Mongoose model named 'Counter' and exports it.
+export default mongoose.model("Counter", counterSchema);
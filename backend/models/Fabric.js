@@ -23,14 +23,81 @@ const fabricSchema = new mongoose.Schema({
   // The price of the fabric per meter.
   pricePerMeter: Number,
   // The quantity of the fabric available in stock, measured in meters.
+  // Meters reserved by open orders are already taken out of this number.
   availableQty: Number,
+  // Meters held for orders that have been placed but not cut yet.
+  reservedQty: { type: Number, default: 0 },
+  // When `availableQty` drops to this many meters or fewer, the fabric is flagged as low on stock.
+  lowStockThreshold: { type: Number, default: 2 },
   // A URL pointing to an image of the fabric.
   imageUrl: String,
   // A boolean flag to indicate if the fabric is currently in stock and available for selection.
   // It defaults to `true`, meaning new fabrics are available by default.
-  isAvailable: { type: Boolean, default: true }
+  isAvailable: { type: Boolean, default: true },
+  // --- Moderation ---
+  // Set when an admin hides the fabric (see routes/adminRoutes.js). Hidden fabrics can't be
+  // found or ordered, whatever `isAvailable` says.
+  hiddenAt: Date,
+  hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  hiddenReason: String,
+}, {
+  // Include virtual fields such as `isLowStock` when a fabric is sent as JSON.
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
 });
 
+// A virtual field telling the tailor that this fabric needs restocking soon.
+fabricSchema.virtual("isLowStock").get(function () {
+  return this.availableQty != null && this.availableQty <= this.lowStockThreshold;
+});
+
+// A text index for the free-text search (`GET /api/search`), so "blue silk" finds
+// fabrics by their name, material or colour.
+fabricSchema.index(
+  { name: "text", type: "text", color: "text" },
+  { name: "fabric_text_search", weights: { name: 5, type: 5, color: 3 } }
+);
+
+// --- Stock Reservation ---
+// Each of these runs as a single atomic update, so two customers ordering the last meters
+// of the same bolt at the same time can never both succeed.
+
+// Reserves `qty` meters for a new order. Returns the updated fabric, or `null` if the fabric
+// is unavailable or doesn't have enough stock. The fabric is automatically marked
+// unavailable once its stock reaches zero.
+fabricSchema.statics.reserve = function (id, qty) {
+  const remaining = { $subtract: ["$availableQty", qty] };
+  return this.findOneAndUpdate(
+    { _id: id, isAvailable: true, availableQty: { $gte: qty } },
+    [{ $set: { availableQty: remaining, reservedQty: { $add: [{ $ifNull: ["$reservedQty", 0] }, qty] }, isAvailable: { $gt: [remaining, 0] } } }],
+    { new: true }
+  );
+};
+
+// Puts meters reserved by a rejected or cancelled order back into stock. If the fabric was
+// only unavailable because it had sold out, it becomes available again.
+fabricSchema.statics.release = function (id, qty) {
+  return this.findOneAndUpdate(
+    { _id: id },
+    [{ $set: {
+      isAvailable: { $cond: [{ $lte: ["$availableQty", 0] }, true, "$isAvailable"] },
+      availableQty: { $add: ["$availableQty", qty] },
+      reservedQty: { $max: [{ $subtract: [{ $ifNull: ["$reservedQty", 0] }, qty] }, 0] },
+    } }],
+    { new: true }
+  );
+};
+
+// Marks reserved meters as used once the tailor starts cutting. They are no longer held
+// and will not return to stock.
+fabricSchema.statics.consume = function (id, qty) {
+  return this.findOneAndUpdate(
+    { _id: id },
+    [{ $set: { reservedQty: { $max: [{ $subtract: [{ $ifNull: ["$reservedQty", 0] }, qty] }, 0] } } }],
+    { new: true }
+  );
+};
+
 // Compiles the schema into a Mongoose model named 'Fabric'.
 // A model is a constructor compiled from a schema definition. An instance of a model
 // represents a single MongoDB document and can be saved to or retrieved from the database.
@@ -0,0 +1,74 @@
+// This file defines the Mongoose schema for the 'Garment' collection in the MongoDB database.
+// The garment catalogue is the single list of garment types the platform supports. Each
+// garment describes the measurements a tailor needs for it, so orders and measurement
+// profiles always use the same keys, units and sensible ranges.
+
+import mongoose from "mongoose";
+import { DEFAULT_GARMENTS } from "../utils/measurements.js"; // The built-in catalogue used to seed an empty database.
+
+// A single measurement a garment needs (e.g. "chest").
+const measurementFieldSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, lowercase: true, trim: true }, // The canonical key stored on orders, e.g. "chest".
+    label: { type: String, required: true }, // The name shown in the app, e.g. "Chest".
+    unit: { type: String, enum: ["cm", "inch"], default: "cm" }, // The unit `min` and `max` are given in.
+    min: { type: Number, required: true },
+    max: { type: Number, required: true },
+    required: { type: Boolean, default: true },
+    displayOrder: { type: Number, default: 0 }, // Fields are shown in ascending order.
+    aliases: { type: [String], default: [] }, // Other names accepted for this key, e.g. "bust" for "chest".
+  },
+  { _id: false }
+);
+
+const garmentSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true }, // The display name, e.g. "Shirt".
+    // A lowercase copy of `name`, so lookups are case-insensitive and names stay unique.
+    nameKey: { type: String, required: true, unique: true },
+    description: { type: String },
+    displayOrder: { type: Number, default: 0 }, // Garments are listed in ascending order.
+    isActive: { type: Boolean, default: true }, // Inactive garments can't be ordered.
+    measurementFields: { type: [measurementFieldSchema], default: [] },
+  },
+  {
+    // Mongoose option to automatically add `createdAt` and `updatedAt` fields.
+    timestamps: true,
+  }
+);
+
+// Keep `nameKey` in step with `name` before validation runs.
+garmentSchema.pre("validate", function () {
+  if (this.name) this.nameKey = this.name.trim().toLowerCase();
+});
+
+// Finds an active garment by name, ignoring case. Resolves to `null` if there isn't one.
+garmentSchema.statics.findActiveByName = function (name) {
+  if (!name) return Promise.resolve(null);
+  return this.findOne({ nameKey: String(name).trim().toLowerCase(), isActive: true });
+};
+
+// Matches the ways a tailor may have typed this garment in their free-text specializations,
+// ignoring case, surrounding spaces and a plural: "Shirt", "shirts" and "Shirt " all match "Shirt".
+garmentSchema.methods.specializationPattern = function () {
+  const name = this.name.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`^\\s*${name}(e?s)?\\s*$`, "i");
+};
+
+// Adds any built-in garment that is missing from the database. Existing garments are never
+// touched, so changes made to the catalogue are kept across restarts.
+garmentSchema.statics.seedDefaults = async function () {
+  const result = await this.bulkWrite(
+    DEFAULT_GARMENTS.map((garment) => ({
+      updateOne: {
+        filter: { nameKey: garment.name.toLowerCase() },
+        update: { $setOnInsert: { ...garment, nameKey: garment.name.toLowerCase() } },
+        upsert: true,
+      },
+    }))
+  );
+  return result.upsertedCount;
+};
+
+// Compiles the schema into a Mongoose model named 'Garment' and exports it.
+export default mongoose.model("Garment", garmentSchema);
@@ -0,0 +1,114 @@
+// This file defines the Mongoose schema for the 'Invoice' collection in the MongoDB database.
+// Every order gets one numbered invoice, issued the first time it is asked for. While the
+// order is in progress the invoice is kept up to date with its payments; once the order is
+// delivered it becomes the final receipt and never changes again.
+
+import mongoose from "mongoose";
+import User from "./User.js"; // The seller details come from the tailor's profile.
+import Counter from "./Counter.js"; // Hands out invoice numbers.
+import { buildInvoiceContent } from "../utils/invoices/index.js";
+import { getLocalDate } from "../utils/schedule.js";
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true, unique: true },
+    tailorId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    customerId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    // Numbered per tailor per year, e.g. "INV-2026-0042", since each tailor bills as their own business.
+    // Unset only for the moment between the invoice being created and numbered (see issueFor).
+    number: { type: String },
+    kind: { type: String, enum: ["INVOICE", "RECEIPT"], default: "INVOICE" },
+    issuedAt: { type: Date, default: Date.now },
+    finalizedAt: { type: Date }, // When it became the final receipt.
+
+    // --- Contents (see utils/invoices/index.js) ---
+    seller: { name: String, shopName: String, address: String, phone: String, email: String, gstin: String },
+    buyer: { name: String, phone: String, email: String },
+    orderSummary: { garmentType: String, serviceType: String, placedAt: Date, promisedDate: Date, deliveredAt: Date },
+    lines: [
+      {
+        _id: false,
+        description: { type: String },
+        quantity: { type: Number },
+        unit: { type: String }, // "pc" or "m".
+        unitPrice: { type: Number },
+        amount: { type: Number },
+      },
+    ],
+    taxableValue: { type: Number },
+    taxes: [{ _id: false, name: String, rate: Number, amount: Number }], // Included in `total`.
+    total: { type: Number, required: true },
+    depositPaid: { type: Number, default: 0 },
+    depositMode: { type: String },
+    transactionId: { type: String },
+    amountPaid: { type: Number, default: 0 },
+    balanceDue: { type: Number, default: 0 },
+  },
+  {
+    // Mongoose option to automatically add `createdAt` and `updatedAt` fields.
+    timestamps: true,
+  }
+);
+
+// Invoice numbers never repeat for the same tailor.
+invoiceSchema.index({ tailorId: 1, number: 1 }, { unique: true, partialFilterExpression: { number: { $type: "string" } } });
+
+// How long an invoice may wait to be numbered by the request that created it before another
+// request takes over, in case that one failed.
+const NUMBERING_TIMEOUT_MS = 30 * 1000;
+
+// Creates the order's invoice, or returns the one another request created, with its number.
+// Only the request whose upsert inserts the invoice claims a number from the counter, so
+// concurrent requests can't use up numbers and leave gaps in the tailor's sequence.
+const createNumbered = async (Invoice, order, tailor) => {
+  const result = await Invoice.findOneAndUpdate(
+    { orderId: order._id },
+    { $setOnInsert: { tailorId: order.tailorId, customerId: order.customerId } },
+    { upsert: true, new: true, includeResultMetadata: true }
+  );
+  const invoice = result.value;
+  if (invoice.number) return invoice;
+
+  const inserted = !result.lastErrorObject?.updatedExisting;
+  if (!inserted && Date.now() - invoice.createdAt < NUMBERING_TIMEOUT_MS) {
+    const err = new Error("This invoice is being issued. Try again in a moment.");
+    err.statusCode = 409;
+    throw err;
+  }
+
+  const year = getLocalDate(new Date(), tailor?.tailorDetails?.timezone).getUTCFullYear();
+  const seq = await Counter.next(`invoice:${order.tailorId}:${year}`);
+  const numbered = await Invoice.findOneAndUpdate(
+    { _id: invoice._id, number: { $exists: false } },
+    { $set: { number: `INV-${year}-${String(seq).padStart(4, "0")}` } },
+    { new: true }
+  );
+  // Only when two requests took over from a failed one at once does the loser's number go unused.
+  return numbered || Invoice.findById(invoice._id);
+};
+
+// Returns the up-to-date invoice for an order, issuing it (and its number) the first time.
+// A delivered order's invoice is finalized as a receipt and returned unchanged from then on.
+// Throws an error with `statusCode` 409 for a rejected or cancelled order, or while another
+// request is still numbering the invoice.
+invoiceSchema.statics.issueFor = async function (order) {
+  if (order.status === "REJECTED" || order.status === "CANCELLED") {
+    const err = new Error(`There is no invoice for a ${order.status.toLowerCase()} order.`);
+    err.statusCode = 409;
+    throw err;
+  }
+
+  let invoice = await this.findOne({ orderId: order._id });
+  if (invoice?.kind === "RECEIPT") return invoice;
+
+  const tailor = await User.findById(order.tailorId, { name: 1, phone: 1, email: 1, tailorDetails: 1 });
+  if (!invoice?.number) invoice = await createNumbered(this, order, tailor);
+  if (invoice.kind === "RECEIPT") return invoice; // Finalized by another request meanwhile.
+
+  invoice.set(buildInvoiceContent(order, tailor));
+  if (invoice.kind === "RECEIPT") invoice.finalizedAt = new Date();
+  return invoice.save();
+};
+
+// Compiles the schema into a Mongoose model named 'Invoice' and exports it.
+export default mongoose.model("Invoice", invoiceSchema);
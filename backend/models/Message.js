@@ -0,0 +1,43 @@
+// This file defines the Mongoose schema for the 'Message' collection in the MongoDB database.
+// Each order has its own message thread between the customer and the tailor, e.g. to share
+// reference photos or sort out fit issues. See routes/messageRoutes.js.
+
+import mongoose from "mongoose";
+
+// The most images a single message can have.
+export const MAX_MESSAGE_ATTACHMENTS = 4;
+
+const messageSchema = new mongoose.Schema(
+  {
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+    senderId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    senderRole: { type: String, enum: ["customer", "tailor"], required: true },
+    text: { type: String, trim: true, maxlength: 2000 },
+    attachmentUrls: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: (urls) => urls.length <= MAX_MESSAGE_ATTACHMENTS,
+        message: `A message can have at most ${MAX_MESSAGE_ATTACHMENTS} images`,
+      },
+    },
+    readAt: { type: Date }, // When the other participant read it. Empty while it is unread.
+  },
+  {
+    // Mongoose option to automatically add `createdAt` and `updatedAt` fields.
+    timestamps: true,
+  }
+);
+
+// A message must say something or show something.
+messageSchema.pre("validate", function () {
+  if (!this.text && this.attachmentUrls.length === 0) {
+    this.invalidate("text", "A message needs text or at least one image");
+  }
+});
+
+// Speeds up loading a thread page by page, newest first.
+messageSchema.index({ orderId: 1, _id: -1 });
+
+// Compiles the schema into a Mongoose model named 'Message' and exports it.
+export default mongoose.model("Message", messageSchema);
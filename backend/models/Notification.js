@@ -0,0 +1,29 @@
+// This file defines the Mongoose schema for the 'Notification' collection in the MongoDB database.
+// These are the in-app notifications shown in each user's inbox. They are created alongside
+// the email/SMS notifications (see utils/notifications/index.js) and pushed to the app in
+// real time when it is connected, so anything missed while offline can be caught up later.
+
+import mongoose from "mongoose";
+
+const notificationSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // Whose inbox it is in.
+    type: { type: String, required: true }, // The event, e.g. "ORDER_PLACED".
+    title: { type: String, required: true },
+    body: { type: String },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order" }, // The order to open when it is tapped.
+    data: { type: mongoose.Schema.Types.Mixed }, // Small extra details for the app, e.g. the order status.
+    readAt: { type: Date }, // Empty while the notification is unread.
+  },
+  {
+    // Mongoose option to automatically add `createdAt` and `updatedAt` fields.
+    timestamps: true,
+  }
+);
+
+// Speeds up listing a user's inbox (newest first) and counting their unread notifications.
+notificationSchema.index({ userId: 1, _id: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+// Compiles the schema into a Mongoose model named 'Notification' and exports it.
+export default mongoose.model("Notification", notificationSchema);
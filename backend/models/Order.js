@@ -5,11 +5,77 @@
 // measurements, payment, and status.
 
 import mongoose from "mongoose";
+import Fabric from "./Fabric.js"; // Tailor-provided fabric stock is reserved and released alongside the order.
+import Slot from "./Slot.js"; // Pickup and measurement-visit slots are booked and released alongside the order.
+import { publish } from "../utils/realtime.js"; // Pushes order changes to the customer's and tailor's open apps.
+
+// --- Order State Machine ---
+// The single source of truth for how an order may move through its workflow.
+// Each key is a current status, and maps every status it may move to onto the roles
+// allowed to make that move. Any transition not listed here is illegal.
+// DELIVERED, REJECTED and CANCELLED have no entries, which makes them final.
+// Admins can cancel an order at any stage, to clear up orders that are stuck.
+export const ORDER_TRANSITIONS = {
+  PLACED: { ACCEPTED: ["tailor"], REJECTED: ["tailor"], CANCELLED: ["customer", "admin"] },
+  ACCEPTED: { CUTTING: ["tailor"], CANCELLED: ["customer", "admin"] },
+  CUTTING: { STITCHING: ["tailor"], CANCELLED: ["admin"] },
+  STITCHING: { FINISHING: ["tailor"], CANCELLED: ["admin"] },
+  FINISHING: { READY: ["tailor"], CANCELLED: ["admin"] },
+  READY: { DELIVERED: ["tailor"], CANCELLED: ["admin"] },
+};
+
+// The next step in the tailor's normal production flow for each status.
+// This is used by the /update-status endpoint to advance an order by one stage.
+// READY → DELIVERED is deliberately missing: it requires the customer's delivery OTP
+// and can only happen through the /deliver endpoint.
+export const NEXT_STATUS = {
+  ACCEPTED: "CUTTING",
+  CUTTING: "STITCHING",
+  STITCHING: "FINISHING",
+  FINISHING: "READY",
+};
+
+// The statuses in which an order is still waiting for, or taking up, the tailor's time.
+// Orders in these statuses make up the tailor's workload and can become overdue.
+export const OPEN_WORK_STATUSES = ["PLACED", "ACCEPTED", "CUTTING", "STITCHING", "FINISHING"];
+
+// How many wrong delivery OTPs the tailor may enter before the code is locked.
+// The customer then has to generate a new one.
+export const MAX_DELIVERY_OTP_ATTEMPTS = 5;
+
+// The error thrown when an order is asked to make a move the state machine does not allow.
+// `statusCode` lets the routes answer with 409 Conflict instead of a generic 500.
+export class OrderTransitionError extends Error {
+  constructor(message, from, to) {
+    super(message);
+    this.name = "OrderTransitionError";
+    this.statusCode = 409;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+// A single entry in an order's audit trail, recorded every time its status changes.
+const statusHistorySchema = new mongoose.Schema(
+  {
+    from: { type: String }, // The previous status (empty for the initial PLACED entry).
+    to: { type: String, required: true }, // The new status.
+    at: { type: Date, default: Date.now }, // When the change happened.
+    actor: {
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Who made the change (empty for system actions).
+      role: { type: String, required: true }, // "customer", "tailor", "admin" or "system".
+      name: { type: String },
+    },
+    note: { type: String, trim: true }, // An optional explanation, e.g. a rejection reason.
+  },
+  { _id: false }
+);
 
 // Create a new Mongoose schema for orders.
 const orderSchema = new mongoose.Schema(
   {
     // --- Customer & Tailor Details ---
+    customerId: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // The customer who placed the order, taken from their token.
     customerName: { type: String, required: true, trim: true }, // `trim: true` removes whitespace from the start and end.
     customerPhone: { type: String, required: true },
     customerEmail: { type: String }, // Optional, as users can sign up with a phone number.
@@ -21,7 +87,13 @@ const orderSchema = new mongoose.Schema(
     // --- Garment & Measurement Details ---
     garmentType: { type: String, required: true }, // The primary type of garment (e.g., "Shirt").
     items: { type: [String], default: [] }, // A list of items in the order.
+    serviceType: { type: String, enum: ["STITCHING", "ALTERATION"], default: "STITCHING" }, // New garment or alteration work.
     measurements: { type: mongoose.Schema.Types.Mixed, default: {} }, // A flexible field to store key-value pairs of measurements.
+    // When the customer picks a saved measurement profile, its ID is kept here and its
+    // measurements are copied into `measurements`, so later edits to the profile don't
+    // change an order that is already being stitched.
+    measurementProfileId: { type: mongoose.Schema.Types.ObjectId },
+    measurementUnit: { type: String, enum: ["cm", "inch"] },
     
     // --- Fabric Details ---
     // This section is a nested object that can store details for fabric provided
@@ -32,23 +104,45 @@ const orderSchema = new mongoose.Schema(
       type: { type: String },
       length: { type: String },
       color: { type: String },
-      photoPath: { type: String },
+      photoPath: { type: String }, // The URL of a photo of the fabric (see POST /api/uploads).
       // Tailor-provided details
       fabricId: { type: mongoose.Schema.Types.ObjectId, ref: "Fabric" }, // Reference to a document in the Fabric collection.
       name: { type: String },
       pricePerMeter: { type: Number },
       quantity: { type: Number },
+      // What has happened to the meters reserved from the tailor's stock for this order.
+      stockStatus: { type: String, enum: ["RESERVED", "RELEASED", "CONSUMED"] },
     },
 
     // --- Logistics & Handover Details ---
     handoverType: { type: String, enum: ["pickup", "drop"], required: true }, // The handover method.
     pickup: { // Details for when the handover type is "pickup".
       address: String,
-      date: String, // The scheduled date for pickup.
-      timeSlot: String, // The chosen time slot for pickup.
+      date: String, // The scheduled date for pickup, e.g. "2026-10-20".
+      timeSlot: String, // The chosen time slot for pickup, e.g. "9:00 AM - 11:00 AM".
+      slotBookingId: { type: mongoose.Schema.Types.ObjectId }, // The booking in the 'Slot' collection.
+    },
+    // Set when the customer books the tailor to come and take their measurements.
+    measurementVisit: {
+      address: String,
+      date: String,
+      timeSlot: String,
+      slotBookingId: { type: mongoose.Schema.Types.ObjectId },
     },
     
     // --- Payment Details ---
+    // The itemised price worked out by the server-side pricing engine (utils/pricing.js)
+    // when the order was placed. The `payment` totals below are always derived from it.
+    priceBreakdown: [
+      {
+        _id: false,
+        type: { type: String }, // STITCHING, ALTERATION, SURCHARGE, FABRIC or PICKUP.
+        label: { type: String },
+        quantity: { type: Number },
+        unitPrice: { type: Number },
+        amount: { type: Number },
+      },
+    ],
     payment: {
       totalAmount: { type: Number, required: true },
       depositAmount: { type: Number, required: true }, // The initial deposit required.
@@ -60,8 +154,27 @@ const orderSchema = new mongoose.Schema(
         enum: ["PENDING_DEPOSIT", "DEPOSIT_PAID", "PAID"], 
         default: "PENDING_DEPOSIT" 
       },
+      // Set when the deposit is paid online through the payment gateway (see routes/paymentRoutes.js).
+      transactionId: { type: String }, // The gateway's payment ID.
+      providerOrderId: { type: String }, // The gateway's order ID the payment was made against.
+      depositPaidAt: { type: Date },
+      // Set when a customer cancels after paying the deposit. The tailor owes this amount
+      // back to the customer and must acknowledge it once it has been returned.
+      refund: {
+        amount: { type: Number }, // The amount to be returned to the customer.
+        cancellationFee: { type: Number }, // The part of the deposit the tailor keeps.
+        status: { type: String, enum: ["PENDING", "ACKNOWLEDGED"] },
+        requestedAt: { type: Date },
+        acknowledgedAt: { type: Date },
+      },
     },
 
+    // --- Scheduling ---
+    // The date the tailor is expected to have the order READY, worked out from their capacity,
+    // turnaround time, working days and queue when the order is placed (see utils/schedule.js).
+    // It is a calendar date stored as midnight UTC.
+    promisedDate: { type: Date },
+
     // --- Order Status & Workflow ---
     status: { // The current stage of the order in the workflow.
       type: String,
@@ -78,15 +191,279 @@ const orderSchema = new mongoose.Schema(
       ],
       default: "PLACED", // New orders default to this status.
     },
+    // The audit trail of every status change, oldest first. It is only written through `transitionTo`.
+    statusHistory: { type: [statusHistorySchema], default: [] },
     // A simple OTP used for verifying the final delivery to the customer.
+    // It is only ever shown to the customer; see the `toJSON` transform below.
     deliveryOtp: { type: String },
+    deliveryOtpAttempts: { type: Number, default: 0 }, // Wrong OTP entries since the code was issued.
   },
   {
     // Mongoose option to automatically add `createdAt` and `updatedAt` fields to the schema.
     // This is extremely useful for tracking when documents are created and modified.
-    timestamps: true 
+    timestamps: true,
+    // Rejects a save if the order was changed by someone else since it was loaded,
+    // so two simultaneous status changes can't both succeed.
+    optimisticConcurrency: true,
+    // The delivery OTP is proof that the customer received the order, so it must never
+    // reach the tailor. It is stripped from every JSON response; the customer reads it
+    // through the dedicated /delivery-otp endpoint instead.
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.deliveryOtp;
+        delete ret.deliveryOtpAttempts;
+        return ret;
+      },
+    },
   }
 );
 
+// --- Ownership Helpers ---
+// Checks whether a user is the customer who placed this order. Orders created before
+// `customerId` was recorded are matched on the customer's phone number instead.
+orderSchema.methods.isCustomer = function (user) {
+  if (this.customerId) return this.customerId.equals(user._id);
+  return this.customerPhone === user.phone;
+};
+
+// Checks whether a user is the tailor this order was placed with.
+orderSchema.methods.isTailor = function (user) {
+  return this.tailorId.equals(user._id);
+};
+
+// --- Messaging ---
+// How many days the customer and tailor can keep messaging after an order is closed.
+// It is configurable through the MESSAGE_THREAD_OPEN_DAYS environment variable and defaults to 7.
+const getThreadOpenDays = () => {
+  const days = Number(process.env.MESSAGE_THREAD_OPEN_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : 7;
+};
+
+// When the order's message thread becomes read-only, or `null` while the order is still open.
+// The clock starts when the order is delivered (or rejected or cancelled), so there is still
+// time to sort out fit issues or a refund.
+orderSchema.methods.messagingClosesAt = function () {
+  if (!this.isFinal()) return null;
+  const closedAt = this.statusHistory.at(-1)?.at || this.updatedAt;
+  return new Date(closedAt.getTime() + getThreadOpenDays() * 24 * 60 * 60 * 1000);
+};
+
+// Whether the customer and tailor can still send messages about this order.
+orderSchema.methods.canMessage = function (now = new Date()) {
+  const closesAt = this.messagingClosesAt();
+  return !closesAt || now < closesAt;
+};
+
+// --- Scheduling Helpers ---
+// Whether the order has missed its promised date. `today` is the tailor's current calendar
+// date (see `getLocalDate` in utils/schedule.js).
+orderSchema.methods.isOverdue = function (today) {
+  return Boolean(this.promisedDate) && OPEN_WORK_STATUSES.includes(this.status) && this.promisedDate < today;
+};
+
+// Adds up the open workload of one or more tailors for a garment type, counting each item in
+// an order as one garment. Resolves to a Map of tailor ID (as a string) to garment count;
+// tailors with nothing open are missing from it.
+orderSchema.statics.workloadByTailor = async function (tailorIds, garmentType) {
+  const rows = await this.aggregate([
+    { $match: { tailorId: { $in: tailorIds }, garmentType, status: { $in: OPEN_WORK_STATUSES } } },
+    { $group: { _id: "$tailorId", units: { $sum: { $max: [{ $size: { $ifNull: ["$items", []] } }, 1] } } } },
+  ]);
+  return new Map(rows.map((row) => [String(row._id), row.units]));
+};
+
+// --- Status Transition Engine ---
+// Builds the actor entry for the audit trail from a user document, or from a plain
+// `{ role: "system" }` object for changes that no person made directly.
+const toActor = (actor) => ({ userId: actor._id, role: actor.role, name: actor.name });
+
+// Checks whether `role` may move an order from `from` to `to`, without changing anything.
+orderSchema.statics.canTransition = function (from, to, role) {
+  const allowedRoles = ORDER_TRANSITIONS[from]?.[to];
+  return Boolean(allowedRoles) && allowedRoles.includes(role);
+};
+
+// Whether the order has reached a status it can never leave (DELIVERED, REJECTED or CANCELLED).
+orderSchema.methods.isFinal = function () {
+  return !ORDER_TRANSITIONS[this.status];
+};
+
+// The fee a customer pays for cancelling an order the tailor has already accepted.
+// It is configurable through the CANCELLATION_FEE environment variable and defaults to ₹100.
+const getCancellationFee = () => {
+  const fee = Number(process.env.CANCELLATION_FEE);
+  return Number.isFinite(fee) && fee >= 0 ? fee : 100;
+};
+
+// Works out what the customer would get back if they cancelled the order right now.
+// Cancelling is free while the order is PLACED; after that the cancellation fee is kept
+// out of the deposit. The fee never exceeds what was actually paid, so an unpaid deposit
+// means there is nothing to refund and nothing to charge.
+orderSchema.methods.cancellationTerms = function () {
+  const allowed = this.constructor.canTransition(this.status, "CANCELLED", "customer");
+  const depositPaid = this.payment.depositStatus === "PAID" ? this.payment.depositAmount : 0;
+  const cancellationFee = allowed && this.status !== "PLACED" ? Math.min(getCancellationFee(), depositPaid) : 0;
+
+  return { allowed, depositPaid, cancellationFee, refundAmount: allowed ? depositPaid - cancellationFee : 0 };
+};
+
+// Records the initial PLACED entry of a new order's history.
+orderSchema.methods.recordPlaced = function (actor, note) {
+  this.statusHistory.push({ to: this.status, actor: toActor(actor), note });
+  return this;
+};
+
+// Moves the order to a new status, enforcing the state machine and recording the change.
+// The caller is responsible for saving the order afterwards.
+// Throws an `OrderTransitionError` if the move is not allowed for the actor's role.
+orderSchema.methods.transitionTo = function (to, actor, note) {
+  const from = this.status;
+  const allowedRoles = ORDER_TRANSITIONS[from]?.[to];
+
+  if (!allowedRoles) {
+    throw new OrderTransitionError(`Cannot move an order from ${from} to ${to}.`, from, to);
+  }
+  if (!allowedRoles.includes(actor.role)) {
+    throw new OrderTransitionError(`A ${actor.role} cannot move an order from ${from} to ${to}.`, from, to);
+  }
+
+  this.status = to;
+  this.statusHistory.push({ from, to, actor: toActor(actor), note });
+
+  // A rejected or cancelled order no longer needs its pickup or visit slots.
+  if ((to === "REJECTED" || to === "CANCELLED") && (this.pickup?.slotBookingId || this.measurementVisit?.slotBookingId)) {
+    this.$locals.releaseSlots = true;
+  }
+
+  // Keep the tailor's fabric stock in step with the order. The stock itself is only
+  // updated once the order has been saved (see the post-save hook below).
+  if (this.fabricDetails?.stockStatus === "RESERVED") {
+    if (to === "REJECTED" || to === "CANCELLED") {
+      this.fabricDetails.stockStatus = "RELEASED";
+      this.$locals.stockAction = "release";
+    } else if (to === "CUTTING") {
+      this.fabricDetails.stockStatus = "CONSUMED";
+      this.$locals.stockAction = "consume";
+    }
+  }
+  return this;
+};
+
+// --- Fabric Stock ---
+// Reserves the tailor-provided fabric for a new order before it is saved.
+// Throws an error with `statusCode` 409 if there isn't enough stock left.
+orderSchema.methods.reserveFabric = async function () {
+  if (!this.isTailorProvidingFabric || !this.fabricDetails?.fabricId) return;
+
+  const fabric = await Fabric.reserve(this.fabricDetails.fabricId, this.fabricDetails.quantity);
+  if (!fabric) {
+    const err = new Error("Not enough of the selected fabric is left in stock.");
+    err.statusCode = 409;
+    throw err;
+  }
+  this.fabricDetails.stockStatus = "RESERVED";
+};
+
+// Puts the reserved fabric back, e.g. when saving a new order fails after reserving it.
+orderSchema.methods.releaseFabric = async function () {
+  if (this.fabricDetails?.stockStatus !== "RESERVED") return;
+  await Fabric.release(this.fabricDetails.fabricId, this.fabricDetails.quantity);
+  this.fabricDetails.stockStatus = "RELEASED";
+};
+
+// Applies the stock change decided by `transitionTo` once the new status is safely stored.
+// A failure here must not undo the status change, so it is logged for follow-up instead.
+orderSchema.post("save", async function (doc) {
+  const action = doc.$locals.stockAction;
+  if (!action) return;
+  delete doc.$locals.stockAction;
+
+  try {
+    await Fabric[action](doc.fabricDetails.fabricId, doc.fabricDetails.quantity);
+  } catch (err) {
+    console.error(`❌ Fabric stock ${action} failed for order ${doc._id}:`, err.message);
+  }
+});
+
+// --- Pickup & Measurement Visit Slots ---
+// Turns the customer's checkout holds into bookings for this new order, and copies the
+// slot's date and time onto it. `holds` maps "pickup" and/or "measurementVisit" to a hold ID.
+// Throws an error with `statusCode` 409 if a hold has expired or doesn't match this order.
+orderSchema.methods.bookSlots = async function (holds) {
+  const kinds = { pickup: "PICKUP", measurementVisit: "MEASUREMENT_VISIT" };
+  for (const [field, holdId] of Object.entries(holds)) {
+    if (!holdId) continue;
+    const slot = mongoose.isValidObjectId(holdId)
+      ? await Slot.book(holdId, { customerId: this.customerId, orderId: this._id, tailorId: this.tailorId, kind: kinds[field] })
+      : null;
+    if (!slot) {
+      await this.releaseSlots(); // Don't keep an earlier slot booked for an order that won't be saved.
+      const err = new Error(`Your ${field === "pickup" ? "pickup" : "measurement visit"} slot is no longer held. Please pick a slot again.`);
+      err.statusCode = 409;
+      throw err;
+    }
+    this[field].date = slot.date.toISOString().slice(0, 10);
+    this[field].timeSlot = slot.label;
+    this[field].slotBookingId = holdId;
+  }
+};
+
+// Frees every slot booked for this order, e.g. when saving a new order fails after booking.
+orderSchema.methods.releaseSlots = function () {
+  return Slot.releaseForOrder(this._id);
+};
+
+// Frees the slots of an order that was just rejected or cancelled (see `transitionTo`).
+orderSchema.post("save", async function (doc) {
+  if (!doc.$locals.releaseSlots) return;
+  delete doc.$locals.releaseSlots;
+
+  try {
+    await Slot.releaseForOrder(doc._id);
+  } catch (err) {
+    console.error(`❌ Releasing slots failed for order ${doc._id}:`, err.message);
+  }
+});
+
+// --- Real-time Updates ---
+// Remembers whether this save creates the order or changes its status or payment status;
+// `isModified` is already reset by the time the post-save hook runs.
+orderSchema.pre("save", function () {
+  this.$locals.pushUpdate = this.isNew || this.isModified("status") || this.isModified("payment.paymentStatus");
+});
+
+// Pushes an "order" event to the customer and the tailor once the change is stored, so their
+// order screens can refresh without polling (see GET /api/notifications/stream).
+orderSchema.post("save", function (doc) {
+  if (!doc.$locals.pushUpdate) return;
+  delete doc.$locals.pushUpdate;
+
+  const update = {
+    orderId: doc._id,
+    status: doc.status,
+    paymentStatus: doc.payment?.paymentStatus,
+    promisedDate: doc.promisedDate,
+    updatedAt: doc.updatedAt,
+  };
+  publish(doc.customerId, "order", update);
+  publish(doc.tailorId, "order", update);
+});
+
+// --- Delivery OTP ---
+// Issues a fresh 4-digit delivery OTP and resets the attempt counter.
+orderSchema.methods.issueDeliveryOtp = function () {
+  this.deliveryOtp = Math.floor(1000 + Math.random() * 9000).toString();
+  this.deliveryOtpAttempts = 0;
+  return this.deliveryOtp;
+};
+
+// Whether the tailor has used up all their attempts at the current delivery OTP.
+orderSchema.methods.isDeliveryOtpLocked = function () {
+  return this.deliveryOtpAttempts >= MAX_DELIVERY_OTP_ATTEMPTS;
+};
+
+// Speeds up a tailor's order lists, workload counts and overdue checks.
+orderSchema.index({ tailorId: 1, status: 1, promisedDate: 1 });
+
 // Compiles the schema into a Mongoose model named 'Order' and exports it.
 export default mongoose.model("Order", orderSchema);
@@ -0,0 +1,35 @@
+// This file defines the Mongoose schema for the 'Otp' collection in the MongoDB database.
+// Each document is the current one-time password of one user for one purpose. Only a hash of
+// the code is stored. See utils/otp.js for how codes are issued, checked and rate-limited.
+
+import mongoose from "mongoose";
+
+// What a code can be used for. Each purpose has its own code, so a sign-up code can't reset a password.
+// EMAIL_CHANGE and PHONE_CHANGE confirm a new email address or phone number before it replaces the old one.
+export const OTP_PURPOSES = ["SIGNUP", "RESET", "LOGIN", "EMAIL_CHANGE", "PHONE_CHANGE"];
+
+const otpSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    purpose: { type: String, enum: OTP_PURPOSES, required: true },
+    channel: { type: String, enum: ["email", "sms"], required: true }, // Where the code was sent.
+    target: { type: String }, // The new email or phone the code was sent to, for EMAIL_CHANGE and PHONE_CHANGE.
+    codeHash: { type: String }, // Removed once the code is locked out.
+    expiresAt: { type: Date },
+    attempts: { type: Number, default: 0 }, // Wrong guesses against the current code.
+    sentAt: { type: Date }, // When the last code was sent, for the resend cooldown.
+    lockedUntil: { type: Date }, // Set after too many wrong guesses; no codes are sent or checked until then.
+    // MongoDB deletes the document once this passes (the later of expiry and lockout).
+    purgeAt: { type: Date },
+  },
+  {
+    // Mongoose option to automatically add `createdAt` and `updatedAt` fields.
+    timestamps: true,
+  }
+);
+
+otpSchema.index({ userId: 1, purpose: 1 }, { unique: true });
+otpSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+// Compiles the schema into a Mongoose model named 'Otp' and exports it.
+export default mongoose.model("Otp", otpSchema);
@@ -0,0 +1,44 @@
+// This file defines the Mongoose schema for the 'OutboxMessage' collection in the MongoDB database.
+// Every notification (an email, an SMS, ...) is written here first and only then sent, so a
+// failed send is retried later instead of being lost. See utils/notifications/index.js.
+
+import mongoose from "mongoose";
+
+const outboxMessageSchema = new mongoose.Schema(
+  {
+    event: { type: String, required: true }, // What happened, e.g. "ORDER_PLACED".
+    channel: { type: String, required: true }, // How it is sent, e.g. "email" or "console".
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order" }, // The order it is about, if any.
+    recipient: {
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      role: { type: String }, // "customer" or "tailor".
+      address: { type: String, required: true }, // The email address, phone number, ... for this channel.
+    },
+
+    // --- Rendered Content ---
+    // The message is rendered when it is queued, so a retry sends exactly the same text.
+    subject: { type: String },
+    text: { type: String, required: true },
+    html: { type: String },
+
+    // --- Delivery State ---
+    // PENDING messages are waiting to be (re)tried, SENDING ones are claimed by a worker,
+    // and FAILED ones have run out of attempts (or can never be sent) and need a person to look.
+    status: { type: String, enum: ["PENDING", "SENDING", "SENT", "FAILED"], default: "PENDING" },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now }, // When the message may next be tried.
+    lockedUntil: { type: Date }, // A claimed message is retried after this if its worker died mid-send.
+    lastError: { type: String },
+    sentAt: { type: Date },
+  },
+  {
+    // Mongoose option to automatically add `createdAt` and `updatedAt` fields.
+    timestamps: true,
+  }
+);
+
+// Speeds up the worker's search for the next message that is due.
+outboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Compiles the schema into a Mongoose model named 'OutboxMessage' and exports it.
+export default mongoose.model("OutboxMessage", outboxMessageSchema);
@@ -0,0 +1,35 @@
+// This file defines the Mongoose schema for the 'Payment' collection in the MongoDB database.
+// Each document is one attempt to pay an order's deposit online through a payment gateway.
+// It keeps the gateway's own IDs so webhooks and checkout callbacks can be matched back
+// to the right order, and so the same payment is never applied twice.
+
+import mongoose from "mongoose";
+
+const paymentSchema = new mongoose.Schema(
+  {
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+    customerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    purpose: { type: String, enum: ["DEPOSIT"], default: "DEPOSIT" }, // What the payment is for.
+    provider: { type: String, required: true }, // The gateway used, e.g. "razorpay" or "mock".
+    amount: { type: Number, required: true }, // The amount in rupees.
+    currency: { type: String, default: "INR" },
+
+    // --- Gateway References ---
+    providerOrderId: { type: String, required: true, unique: true }, // The gateway's order ID, created before checkout.
+    providerPaymentId: { type: String }, // The gateway's transaction ID, known once the customer has paid.
+
+    status: { type: String, enum: ["CREATED", "PAID", "FAILED"], default: "CREATED" },
+    paidAt: { type: Date },
+    failureReason: { type: String },
+  },
+  {
+    // Mongoose option to automatically add `createdAt` and `updatedAt` fields.
+    timestamps: true,
+  }
+);
+
+// Speeds up looking for an order's existing payment attempts.
+paymentSchema.index({ orderId: 1, status: 1 });
+
+// Compiles the schema into a Mongoose model named 'Payment' and exports it.
+export default mongoose.model("Payment", paymentSchema);
@@ -0,0 +1,90 @@
+// This file defines the Mongoose schema for the 'Review' collection in the MongoDB database.
+// A customer can review a tailor once per delivered order. The tailor's stored rating and
+// review count (`tailorDetails.rating` / `tailorDetails.reviewCount`) are recalculated from
+// these documents whenever a review is written or removed.
+
+import mongoose from "mongoose";
+import User from "./User.js"; // Used to store the recalculated rating on the tailor.
+
+// The most photos a single review can have.
+export const MAX_REVIEW_PHOTOS = 5;
+
+const reviewSchema = new mongoose.Schema(
+  {
+    // `unique: true` ensures that an order can only ever be reviewed once.
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true, unique: true },
+    tailorId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    customerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    customerName: { type: String }, // Shown next to the review, so listing reviews needs no lookup.
+    garmentType: { type: String }, // The garment that was made, e.g. "Shirt".
+
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5,
+      validate: { validator: Number.isInteger, message: "rating must be a whole number of stars" },
+    },
+    comment: { type: String, trim: true, maxlength: 2000 },
+    photoUrls: {
+      type: [String],
+      default: [],
+      validate: { validator: (urls) => urls.length <= MAX_REVIEW_PHOTOS, message: `A review can have at most ${MAX_REVIEW_PHOTOS} photos` },
+    },
+
+    // --- Tailor's Reply ---
+    reply: {
+      text: { type: String, trim: true, maxlength: 2000 },
+      repliedAt: { type: Date },
+    },
+
+    // --- Moderation ---
+    // Set when an admin hides an abusive review (see routes/adminRoutes.js). Hidden reviews
+    // are left off the tailor's public page and don't count towards their rating.
+    hiddenAt: { type: Date },
+    hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    hiddenReason: { type: String, trim: true },
+  },
+  {
+    // Mongoose option to automatically add `createdAt` and `updatedAt` fields.
+    timestamps: true,
+  }
+);
+
+// Speeds up listing a tailor's reviews, newest first.
+reviewSchema.index({ tailorId: 1, _id: -1 });
+
+// Recalculates a tailor's average rating and review count from their visible reviews and
+// stores them on the tailor. The average is rounded to one decimal place; a tailor without
+// reviews has a rating of 0.
+reviewSchema.statics.recalculateTailorRating = async function (tailorId) {
+  const [stats] = await this.aggregate([
+    { $match: { tailorId: new mongoose.Types.ObjectId(String(tailorId)), hiddenAt: null } },
+    { $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } },
+  ]);
+
+  const rating = stats ? Math.round(stats.average * 10) / 10 : 0;
+  const reviewCount = stats ? stats.count : 0;
+  await User.updateOne(
+    { _id: tailorId },
+    { $set: { "tailorDetails.rating": rating, "tailorDetails.reviewCount": reviewCount } }
+  );
+  return { rating, reviewCount };
+};
+
+// Keep the tailor's rating in step with their reviews. A reply doesn't change the stars,
+// so only new reviews, rating changes and hiding or unhiding trigger a recalculation.
+reviewSchema.pre("save", function () {
+  this.$locals.ratingChanged = this.isNew || this.isModified("rating") || this.isModified("hiddenAt");
+});
+
+reviewSchema.post("save", async function (doc) {
+  if (doc.$locals.ratingChanged) await doc.constructor.recalculateTailorRating(doc.tailorId);
+});
+
+reviewSchema.post("deleteOne", { document: true, query: false }, async function (doc) {
+  await doc.constructor.recalculateTailorRating(doc.tailorId);
+});
+
+// Compiles the schema into a Mongoose model named 'Review' and exports it.
+export default mongoose.model("Review", reviewSchema);
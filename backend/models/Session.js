@@ -0,0 +1,126 @@
+// This file defines the Mongoose schema for the 'Session' collection in the MongoDB database.
+// A session is one logged-in device. It holds the hash of the device's current refresh token,
+// which changes every time the token is used (see utils/token.js for how the tokens fit together).
+
+import mongoose from "mongoose";
+import { generateRefreshToken, hashRefreshToken } from "../utils/token.js";
+import { closeClients } from "../utils/realtime.js"; // Logged-out devices also lose their real-time stream.
+
+// Why a session was ended.
+export const SESSION_REVOKE_REASONS = ["LOGOUT", "LOGOUT_ALL", "PASSWORD_RESET", "PASSWORD_CHANGED", "SUSPENDED", "TOKEN_REUSE", "REVOKED"];
+
+// The error thrown when a refresh token can't be used. `statusCode` lets the routes answer with a 401.
+export class SessionError extends Error {
+  constructor(message = "Your session has ended. Please log in again.") {
+    super(message);
+    this.name = "SessionError";
+    this.statusCode = 401;
+  }
+}
+
+// How long an unused session lasts, from REFRESH_TOKEN_TTL_DAYS (default 30).
+const getRefreshTtlMs = () => {
+  const days = Number(process.env.REFRESH_TOKEN_TTL_DAYS);
+  return (Number.isFinite(days) && days > 0 ? days : 30) * 24 * 60 * 60 * 1000;
+};
+
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    tokenHash: { type: String, required: true, unique: true }, // The current refresh token.
+    // The token it replaced. Seeing it again means it was stolen, so the session is revoked.
+    previousTokenHash: { type: String },
+    // The device, as shown in "my devices".
+    deviceName: { type: String, trim: true, maxlength: 100 }, // Sent by the app at login, e.g. "Pixel 8".
+    userAgent: { type: String },
+    ip: { type: String },
+    lastUsedAt: { type: Date, default: Date.now }, // When the refresh token was last used.
+    // Unused sessions expire; every refresh pushes this back. MongoDB deletes expired sessions.
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date },
+    revokedReason: { type: String, enum: SESSION_REVOKE_REASONS },
+  },
+  {
+    // Mongoose option to automatically add `createdAt` and `updatedAt` fields.
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ previousTokenHash: 1 }, { sparse: true });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Is the session still usable?
+sessionSchema.methods.isActive = function (now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+// Starts a session for a user logging in on a device. Resolves to the session and its
+// refresh token, which is only ever returned here and by `rotate`.
+sessionSchema.statics.start = async function (user, req) {
+  const refreshToken = generateRefreshToken();
+  const session = await this.create({
+    userId: user._id,
+    tokenHash: hashRefreshToken(refreshToken),
+    deviceName: typeof req.body?.deviceName === "string" ? req.body.deviceName.slice(0, 100) : undefined,
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + getRefreshTtlMs()),
+  });
+  return { session, refreshToken };
+};
+
+// Trades a refresh token for a new one. Each token works once: presenting an already-used
+// token revokes its session, which logs out both the thief and the real device.
+// Throws a SessionError if the token is unknown, used, revoked or expired.
+sessionSchema.statics.rotate = async function (refreshToken, req) {
+  const now = new Date();
+  const hash = hashRefreshToken(refreshToken);
+  const nextToken = generateRefreshToken();
+
+  // Swapping the hash in a single update means two requests with the same token can't both win.
+  const session = await this.findOneAndUpdate(
+    { tokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        tokenHash: hashRefreshToken(nextToken),
+        previousTokenHash: hash,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + getRefreshTtlMs()),
+        userAgent: req.get("user-agent"),
+        ip: req.ip,
+      },
+    },
+    { new: true }
+  );
+  if (session) return { session, refreshToken: nextToken };
+
+  const reused = await this.findOneAndUpdate(
+    { previousTokenHash: hash, revokedAt: null },
+    { $set: { revokedAt: now, revokedReason: "TOKEN_REUSE" } }
+  );
+  if (reused) console.warn(`⚠️ Refresh token reused for session ${reused._id} of user ${reused.userId}; session revoked.`);
+  throw new SessionError();
+};
+
+// Ends sessions of a user: all of them, or just the one with `sessionId`.
+sessionSchema.statics.revokeForUser = async function (userId, reason, sessionId) {
+  const query = { userId, revokedAt: null };
+  if (sessionId) query._id = sessionId;
+  const result = await this.updateMany(query, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  closeClients(userId, { sessionId });
+  return result;
+};
+
+// Ends every session of a user except `keepSessionId`, e.g. all but the device that just changed the password.
+sessionSchema.statics.revokeOthers = async function (userId, reason, keepSessionId) {
+  const result = await this.updateMany(
+    { userId, revokedAt: null, _id: { $ne: keepSessionId } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  closeClients(userId, { exceptSessionId: keepSessionId });
+  return result;
+};
+
+// Compiles the schema into a Mongoose model named 'Session' and exports it.
+export default mongoose.model("Session", sessionSchema);
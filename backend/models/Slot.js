@@ -0,0 +1,123 @@
+// This file defines the Mongoose schema for the 'Slot' collection in the MongoDB database.
+// Each document is one time slot of one tailor (e.g. Shirt Studio's home pickups on
+// 20 October from 09:00 to 11:00) together with the bookings made against it. Slots are
+// only stored once someone books them; the slots on offer are generated by utils/slots.js.
+//
+// Keeping the bookings inside the slot lets a single atomic update check the slot still
+// has room and add the booking, so two customers can never take the last place at once.
+
+import mongoose from "mongoose";
+
+// A customer's claim on a slot. It starts as a short HELD reservation while the customer
+// checks out, and becomes BOOKED once their order is placed.
+const bookingSchema = new mongoose.Schema({
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order" }, // Set once the booking is confirmed.
+  status: { type: String, enum: ["HELD", "BOOKED"], required: true },
+  expiresAt: { type: Date }, // When an unconfirmed hold lapses. Not set on confirmed bookings.
+  createdAt: { type: Date, default: Date.now },
+});
+
+const slotSchema = new mongoose.Schema(
+  {
+    tailorId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    kind: { type: String, enum: ["PICKUP", "MEASUREMENT_VISIT"], required: true },
+    date: { type: Date, required: true }, // The calendar date, stored as midnight UTC.
+    start: { type: String, required: true }, // e.g. "09:00", in the tailor's timezone.
+    end: { type: String, required: true },
+    label: { type: String }, // e.g. "9:00 AM - 11:00 AM", as shown in the app.
+    bookings: { type: [bookingSchema], default: [] },
+  },
+  {
+    // Mongoose option to automatically add `createdAt` and `updatedAt` fields.
+    timestamps: true,
+  }
+);
+
+// There is only ever one document per tailor, kind, day and start time.
+slotSchema.index({ tailorId: 1, kind: 1, date: 1, start: 1 }, { unique: true });
+// Speeds up finding a booking by its ID or by the order it belongs to.
+slotSchema.index({ "bookings._id": 1 });
+slotSchema.index({ "bookings.orderId": 1 });
+
+// An aggregation expression listing the bookings that still take up room in the slot:
+// confirmed bookings and holds that haven't expired. Holds already made by `exceptHeldBy`
+// are left out, so a customer who picks the same slot again doesn't take two places.
+const activeBookings = (now, exceptHeldBy) => ({
+  $filter: {
+    input: { $ifNull: ["$bookings", []] },
+    as: "booking",
+    cond: {
+      $or: [
+        { $eq: ["$$booking.status", "BOOKED"] },
+        { $and: [{ $gt: ["$$booking.expiresAt", now] }, { $ne: ["$$booking.customerId", exceptHeldBy] }] },
+      ],
+    },
+  },
+});
+
+// Counts the bookings taking up room in a slot document.
+slotSchema.methods.activeCount = function (now = new Date()) {
+  return this.bookings.filter((booking) => booking.status === "BOOKED" || booking.expiresAt > now).length;
+};
+
+// Holds a place in a slot for a customer who is checking out. `slot` is one of the slots
+// generated by utils/slots.js. Resolves to `{ slot, hold }`, or `null` if the slot is full.
+// Expired holds are cleared out in the same update.
+slotSchema.statics.hold = async function ({ tailorId, kind, slot, customerId, capacity, holdMinutes }) {
+  const key = { tailorId, kind, date: new Date(`${slot.date}T00:00:00Z`), start: slot.start };
+
+  // Make sure the slot document exists. If two customers create it at the same time, one
+  // insert fails on the unique index, which is fine: the document is there either way.
+  try {
+    await this.updateOne(key, { $setOnInsert: { end: slot.end, label: slot.label, bookings: [] } }, { upsert: true });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  const now = new Date();
+  const hold = {
+    _id: new mongoose.Types.ObjectId(),
+    customerId,
+    status: "HELD",
+    expiresAt: new Date(now.getTime() + holdMinutes * 60 * 1000),
+    createdAt: now,
+  };
+  const updated = await this.findOneAndUpdate(
+    { ...key, $expr: { $lt: [{ $size: activeBookings(now, customerId) }, capacity] } },
+    [{ $set: { bookings: { $concatArrays: [activeBookings(now, customerId), { $literal: [hold] }] }, updatedAt: now } }],
+    { new: true }
+  );
+  return updated ? { slot: updated, hold: updated.bookings.id(hold._id) } : null;
+};
+
+// Confirms a customer's unexpired hold for an order. Resolves to the slot, or `null` if the
+// hold doesn't exist, has expired, or isn't for this tailor and kind of slot.
+slotSchema.statics.book = function (holdId, { customerId, orderId, tailorId, kind }) {
+  return this.findOneAndUpdate(
+    {
+      tailorId,
+      kind,
+      bookings: { $elemMatch: { _id: holdId, customerId, status: "HELD", expiresAt: { $gt: new Date() } } },
+    },
+    { $set: { "bookings.$.status": "BOOKED", "bookings.$.orderId": orderId }, $unset: { "bookings.$.expiresAt": 1 } },
+    { new: true }
+  );
+};
+
+// Gives up a customer's hold before they place an order. Resolves to `true` if there was one.
+slotSchema.statics.releaseHold = async function (holdId, customerId) {
+  const result = await this.updateOne(
+    { "bookings._id": holdId },
+    { $pull: { bookings: { _id: holdId, customerId, status: "HELD" } } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Frees every slot booked for an order, e.g. when it is cancelled or rejected.
+slotSchema.statics.releaseForOrder = function (orderId) {
+  return this.updateMany({ "bookings.orderId": orderId }, { $pull: { bookings: { orderId } } });
+};
+
+// Compiles the schema into a Mongoose model named 'Slot' and exports it.
+export default mongoose.model("Slot", slotSchema);
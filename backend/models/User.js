@@ -5,6 +5,16 @@
 // and a geospatial index for location-based queries.
 
 import mongoose from "mongoose";
+import Session from "./Session.js"; // A suspended user's devices are logged out.
+import { isValidCoordinates } from "../utils/geo.js"; // Keeps tailor locations usable by the geospatial index.
+
+// The query for tailors customers can find and order from: active, and not waiting for (or
+// refused) admin approval.
+export const LISTED_TAILOR_FILTER = {
+  role: "tailor",
+  status: "ACTIVE",
+  "tailorDetails.approvalStatus": { $nin: ["PENDING", "REJECTED"] },
+};
 
 // Create a new Mongoose schema for users.
 const userSchema = new mongoose.Schema(
@@ -15,16 +25,14 @@ const userSchema = new mongoose.Schema(
     email: { type: String, required: true, unique: true },
     phone: { type: String, required: true, unique: true },
     password: { type: String, required: true }, // The user's hashed password.
-    role: { type: String, enum: ["customer", "tailor"], required: true }, // The role must be one of the specified values.
+    role: { type: String, enum: ["customer", "tailor", "admin"], required: true }, // The role must be one of the specified values.
 
     // --- Account Status & Verification ---
     isVerified: { type: Boolean, default: false }, // Tracks if the user has completed OTP verification.
-    status: { type: String, enum: ["ACTIVE", "INACTIVE", "SUSPENDED"], default: "ACTIVE" },
+    status: { type: String, enum: ["ACTIVE", "INACTIVE", "SUSPENDED"], default: "ACTIVE" }, // Set by admins (see routes/adminRoutes.js).
 
-    // --- One-Time Password (OTP) Fields ---
-    // These fields are used temporarily for account verification and password resets.
-    otp: { type: String },
-    otpExpires: { type: Date }, // A timestamp to determine when the OTP is no longer valid.
+    // One-time passwords for verification, password resets and phone login live in the
+    // 'Otp' collection (see models/Otp.js).
 
     // --- Geospatial Location Data (for Tailors) ---
     // This field stores the tailor's location in a GeoJSON "Point" format.
@@ -37,6 +45,11 @@ const userSchema = new mongoose.Schema(
       },
       coordinates: {
         type: [Number], // The coordinates are stored in [longitude, latitude] order.
+        // A bad point would make MongoDB refuse the save because of the `2dsphere` index, so catch it here.
+        validate: {
+          validator: (coordinates) => coordinates.length === 0 || isValidCoordinates(coordinates),
+          message: "location.coordinates must be [longitude, latitude]",
+        },
       },
     },
 
@@ -53,7 +66,9 @@ const userSchema = new mongoose.Schema(
         {
           profileName: { type: String, required: true },
           garmentType: { type: String, required: true }, // e.g., "Shirt", "Pant"
-          measurements: { type: mongoose.Schema.Types.Mixed }, // A flexible map for measurements.
+          // A map of measurement keys to numbers, validated against the garment's template (utils/measurements.js).
+          measurements: { type: mongoose.Schema.Types.Mixed },
+          unit: { type: String, enum: ["cm", "inch"], default: "inch" }, // The unit every value is given in.
         },
       ],
     },
@@ -62,11 +77,31 @@ const userSchema = new mongoose.Schema(
     // A comprehensive nested object for all information relevant to users with the "tailor" role.
     tailorDetails: {
       shopName: { type: String },
+      // New tailors are reviewed by an admin before customers can find them or order from them.
+      // Tailors who joined before approvals existed have no status and stay listed.
+      approvalStatus: { type: String, enum: ["PENDING", "APPROVED", "REJECTED"] },
+      approvalNote: { type: String }, // The admin's reason, shown to a rejected tailor.
+      approvalReviewedAt: { type: Date },
+      gstin: { type: String, trim: true, uppercase: true }, // GST registration number. When set, invoices show the tax included in prices.
       experience: { type: Number },
       specializations: { type: [String] }, // e.g., ["Shirts", "Blouses"]
       workingDays: { type: [String] }, // e.g., ["Monday", "Tuesday"]
-      workingHours: { open: String, close: String },
+      workingHours: { open: String, close: String }, // e.g., { open: "10:00", close: "8:00 PM" }
+      timezone: { type: String, default: "Asia/Kolkata" }, // The IANA timezone the working hours are in.
       pricing: { basePrice: Number, alterationPrice: Number },
+      // --- Capacity & Turnaround ---
+      // How many garments of each type the tailor can start per working day, e.g.
+      // [{ garmentType: "Shirt", perDay: 4 }]. Garments not listed use `defaultDailyCapacity`;
+      // if that isn't set either, the tailor has no limit. Used to work out `promisedDate` on orders.
+      dailyCapacity: [
+        {
+          _id: false,
+          garmentType: { type: String, required: true },
+          perDay: { type: Number, required: true, min: 1 },
+        },
+      ],
+      defaultDailyCapacity: { type: Number, min: 1 },
+      turnaroundDays: { type: Number, min: 0, default: 3 }, // Working days to finish a garment once started.
       homePickup: { type: Boolean, default: false }, // Does the tailor offer home pickup?
       measurementVisit: { type: Boolean, default: false }, // Does the tailor visit for measurements?
       providesFabric: { type: Boolean, default: false }, // Does the tailor sell their own fabric?
@@ -78,7 +113,10 @@ const userSchema = new mongoose.Schema(
       profilePictureUrl: { type: String }, // URL for the tailor's profile photo.
       shopImageUrl: { type: String }, // URL for a photo of the tailor's shop.
       workPhotoUrls: { type: [String] }, // A list of URLs for photos of their work.
-      rating: { type: Number, default: 4.5 }, // The tailor's average rating, with a default value.
+      // The tailor's average star rating and number of reviews. Both are recalculated from the
+      // 'Review' collection (see `Review.recalculateTailorRating`); a tailor without reviews has 0.
+      rating: { type: Number, default: 0 },
+      reviewCount: { type: Number, default: 0 },
     },
   },
   {
@@ -93,5 +131,45 @@ const userSchema = new mongoose.Schema(
 // within a certain radius of a given point.
 userSchema.index({ location: "2dsphere" });
 
+// --- Text Index ---
+// Powers the free-text search (`GET /api/search`). A match on the shop name counts for more
+// than a match on a specialization, which counts for more than a match on the area.
+userSchema.index(
+  {
+    "tailorDetails.shopName": "text",
+    "tailorDetails.specializations": "text",
+    "tailorDetails.city": "text",
+    "tailorDetails.landmark": "text",
+  },
+  {
+    name: "tailor_text_search",
+    weights: { "tailorDetails.shopName": 10, "tailorDetails.specializations": 5, "tailorDetails.city": 2, "tailorDetails.landmark": 2 },
+  }
+);
+
+// --- Tailor Approval ---
+// A tailor who hasn't finished signing up always waits for approval, whatever the sign-up
+// request said, so nobody can approve themselves.
+userSchema.pre("save", function () {
+  if (this.role === "tailor" && !this.isVerified) {
+    this.tailorDetails.approvalStatus = "PENDING";
+    this.tailorDetails.approvalNote = undefined;
+    this.tailorDetails.approvalReviewedAt = undefined;
+  }
+});
+
+// --- Suspension ---
+// Suspending a user logs them out of every device, so nobody can keep using the account
+// with a refresh token. The sessions are revoked once the change has been saved.
+userSchema.pre("save", function () {
+  if (!this.isNew && this.isModified("status") && this.status === "SUSPENDED") this.$locals.revokeSessions = true;
+});
+
+userSchema.post("save", async function (doc) {
+  if (!doc.$locals.revokeSessions) return;
+  delete doc.$locals.revokeSessions;
+  await Session.revokeForUser(doc._id, "SUSPENDED");
+});
+
 // Compiles the schema into a Mongoose model named 'User' and exports it.
 export default mongoose.model("User", userSchema);
@@ -0,0 +1,361 @@
+// This file defines the API routes for platform admins: finding users and orders, approving
+// new tailors, suspending accounts, hiding abusive reviews and fabrics, and cancelling orders
+// that are stuck. Every change is recorded in the audit log (models/AuditLog.js).
+// Admin accounts are created with `npm run create-admin -- <email>` (see scripts/createAdmin.js).
+
+import express from "express";
+import User from "../models/User.js"; // The Mongoose model for the User schema.
+import Order, { OPEN_WORK_STATUSES, OrderTransitionError } from "../models/Order.js";
+import Review from "../models/Review.js";
+import Fabric from "../models/Fabric.js";
+import AuditLog, { AUDIT_ACTIONS } from "../models/AuditLog.js";
+import { protect, authorize, requireOwner } from "../middleware/authMiddleware.js";
+import { validate } from "../middleware/validate.js"; // Checks each request against its schema.
+import { field, pageQuery } from "../utils/validation.js";
+import { notifyOrderEvent } from "../utils/notifications/index.js"; // Tells the customer and tailor about a cancellation.
+import { findPage } from "../utils/pagination.js";
+
+const router = express.Router();
+
+// Every route in this file is for admins only.
+router.use(protect, authorize("admin"));
+
+// Orders that haven't changed for this many days are listed as stuck (`?stuck=true`).
+const getStuckOrderDays = () => {
+  const days = Number(process.env.ADMIN_STUCK_ORDER_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : 14;
+};
+
+// Loads the document from the URL into `req.doc`. Admins can act on anyone's documents.
+const load = (Model) => requireOwner(Model, () => true);
+
+// --- Request Schemas ---
+const idParams = { id: field.id({ required: true }) };
+const idSchema = { params: idParams };
+// The admin's explanation for an action, which goes into the audit log and, where it
+// applies, to the user. Required for anything that takes something away from a user.
+const reasonSchema = { params: idParams, body: { reason: field.string({ max: 500 }) } };
+const requiredReasonSchema = { params: idParams, body: { reason: field.string({ max: 500, required: true }) } };
+
+// `q` is matched against the start of names, emails and phone numbers.
+const searchText = field.string({ max: 100 });
+const usersSchema = {
+  query: {
+    q: searchText,
+    role: field.oneOf(User.schema.path("role").enumValues),
+    status: field.oneOf(User.schema.path("status").enumValues),
+    approval: field.oneOf(User.schema.path("tailorDetails.approvalStatus").enumValues),
+    ...pageQuery,
+  },
+};
+const ordersSchema = {
+  query: {
+    status: field.oneOf(Order.schema.path("status").enumValues),
+    tailorId: field.id(),
+    customerId: field.id(),
+    q: searchText,
+    stuck: field.boolean(),
+    ...pageQuery,
+  },
+};
+const moderatedListSchema = { query: { tailorId: field.id(), hidden: field.boolean(), ...pageQuery } };
+const auditLogListSchema = {
+  query: {
+    action: field.oneOf(AUDIT_ACTIONS),
+    targetType: field.oneOf(AuditLog.schema.path("targetType").enumValues),
+    targetId: field.id(),
+    actorId: field.id(),
+    ...pageQuery,
+  },
+};
+
+// Escapes text for use inside a regular expression, so a search can't inject a pattern.
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Answers with the right status for the errors these routes can raise.
+const sendAdminError = (res, err) => {
+  if (err instanceof OrderTransitionError) {
+    return res.status(err.statusCode).json({ error: err.message, currentStatus: err.from, requestedStatus: err.to });
+  }
+  if (err.name === "VersionError") {
+    return res.status(409).json({ error: "This document was just updated by someone else. Please refresh and try again." });
+  }
+  if (err.name === "ValidationError") return res.status(400).json({ error: err.message });
+  res.status(err.statusCode || 500).json({ error: err.message });
+};
+
+// --- USERS ---
+
+// @desc    Find users
+// @route   GET /api/admin/users?q=&role=&status=&approval=&limit=&cursor=
+// @access  Private (Admin only)
+// `q` matches the start of a name, email or phone number. `approval=PENDING` lists the
+// tailors waiting for approval.
+router.get("/users", validate(usersSchema), async (req, res) => {
+  try {
+    const { q, role, status, approval } = req.query;
+    const query = {};
+    if (role) query.role = role;
+    if (status) query.status = status;
+    if (approval) query["tailorDetails.approvalStatus"] = approval;
+    if (q) {
+      const pattern = new RegExp(`^${escapeRegex(q)}`, "i");
+      query.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+    }
+
+    const { nextCursor, page } = await findPage(User, query, req.query, "-password");
+    res.json({ nextCursor, users: page });
+  } catch (err) {
+    sendAdminError(res, err);
+  }
+});
+
+// @desc    Get a user
+// @route   GET /api/admin/users/:id
+// @access  Private (Admin only)
+router.get("/users/:id", validate(idSchema), load(User), (req, res) => {
+  const { password, ...user } = req.doc.toObject();
+  res.json(user);
+});
+
+// @desc    Approve a tailor, so customers can find them and order from them
+// @route   POST /api/admin/users/:id/approve
+// @access  Private (Admin only)
+// Body: `{ reason }` (optional). A rejected tailor can be approved later.
+router.post("/users/:id/approve", validate(reasonSchema), load(User), async (req, res) => {
+  try {
+    const user = req.doc;
+    if (user.role !== "tailor") return res.status(400).json({ error: "Only tailors need approval." });
+    if (!user.isVerified) return res.status(409).json({ error: "This tailor hasn't finished signing up yet." });
+    const from = user.tailorDetails.approvalStatus;
+    if (from === "APPROVED") return res.status(409).json({ error: "This tailor is already approved." });
+
+    user.tailorDetails.approvalStatus = "APPROVED";
+    user.tailorDetails.approvalNote = req.body.reason;
+    user.tailorDetails.approvalReviewedAt = new Date();
+    await user.save();
+    await AuditLog.record(req, "TAILOR_APPROVED", user, { reason: req.body.reason, changes: { approvalStatus: { from, to: "APPROVED" } } });
+    res.json({ message: `${user.name} is approved.`, approvalStatus: "APPROVED" });
+  } catch (err) {
+    sendAdminError(res, err);
+  }
+});
+
+// @desc    Turn down a tailor's application
+// @route   POST /api/admin/users/:id/reject
+// @access  Private (Admin only)
+// Body: `{ reason }` (required; the tailor sees it as `tailorDetails.approvalNote`).
+// Also takes an approved tailor off the listings.
+router.post("/users/:id/reject", validate(requiredReasonSchema), load(User), async (req, res) => {
+  try {
+    const user = req.doc;
+    const { reason } = req.body;
+    if (user.role !== "tailor") return res.status(400).json({ error: "Only tailors need approval." });
+    // Until they've signed up, saving always puts them back to PENDING (see models/User.js).
+    if (!user.isVerified) return res.status(409).json({ error: "This tailor hasn't finished signing up yet." });
+    const from = user.tailorDetails.approvalStatus;
+    if (from === "REJECTED") return res.status(409).json({ error: "This tailor is already rejected." });
+
+    user.tailorDetails.approvalStatus = "REJECTED";
+    user.tailorDetails.approvalNote = reason;
+    user.tailorDetails.approvalReviewedAt = new Date();
+    await user.save();
+    await AuditLog.record(req, "TAILOR_REJECTED", user, { reason, changes: { approvalStatus: { from, to: "REJECTED" } } });
+    res.json({ message: `${user.name} is rejected.`, approvalStatus: "REJECTED" });
+  } catch (err) {
+    sendAdminError(res, err);
+  }
+});
+
+// @desc    Suspend an account
+// @route   POST /api/admin/users/:id/suspend
+// @access  Private (Admin only)
+// Body: `{ reason }` (required). The user is logged out of every device and can't log in
+// again until reactivated. Admin accounts can't be suspended here.
+router.post("/users/:id/suspend", validate(requiredReasonSchema), load(User), async (req, res) => {
+  try {
+    const user = req.doc;
+    const { reason } = req.body;
+    if (user.role === "admin") return res.status(403).json({ error: "Admin accounts can't be suspended." });
+    if (user.status === "SUSPENDED") return res.status(409).json({ error: "This account is already suspended." });
+
+    const from = user.status;
+    user.status = "SUSPENDED";
+    await user.save(); // Also ends the user's sessions (see models/User.js).
+    await AuditLog.record(req, "USER_SUSPENDED", user, { reason, changes: { status: { from, to: "SUSPENDED" } } });
+    res.json({ message: `${user.name} is suspended.`, status: "SUSPENDED" });
+  } catch (err) {
+    sendAdminError(res, err);
+  }
+});
+
+// @desc    Reactivate a suspended or inactive account
+// @route   POST /api/admin/users/:id/reactivate
+// @access  Private (Admin only)
+// Body: `{ reason }` (optional).
+router.post("/users/:id/reactivate", validate(reasonSchema), load(User), async (req, res) => {
+  try {
+    const user = req.doc;
+    if (user.status === "ACTIVE") return res.status(409).json({ error: "This account is already active." });
+
+    const from = user.status;
+    user.status = "ACTIVE";
+    await user.save();
+    await AuditLog.record(req, "USER_REACTIVATED", user, { reason: req.body.reason, changes: { status: { from, to: "ACTIVE" } } });
+    res.json({ message: `${user.name} is active again.`, status: "ACTIVE" });
+  } catch (err) {
+    sendAdminError(res, err);
+  }
+});
+
+// --- ORDERS ---
+
+// @desc    Find orders
+// @route   GET /api/admin/orders?status=&tailorId=&customerId=&q=&stuck=true&limit=&cursor=
+// @access  Private (Admin only)
+// `q` matches the start of the customer's or tailor's name or the customer's phone number.
+// `stuck=true` lists unfinished orders that haven't changed for ADMIN_STUCK_ORDER_DAYS (default 14).
+router.get("/orders", validate(ordersSchema), async (req, res) => {
+  try {
+    const { status, tailorId, customerId, q, stuck } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (tailorId) query.tailorId = tailorId;
+    if (customerId) query.customerId = customerId;
+    if (q) {
+      const pattern = new RegExp(`^${escapeRegex(q)}`, "i");
+      query.$or = [{ customerName: pattern }, { tailorName: pattern }, { customerPhone: pattern }];
+    }
+    if (stuck) {
+      if (!status) query.status = { $in: [...OPEN_WORK_STATUSES, "READY"] };
+      query.updatedAt = { $lt: new Date(Date.now() - getStuckOrderDays() * 24 * 60 * 60 * 1000) };
+    }
+
+    const { nextCursor, page } = await findPage(Order, query, req.query);
+    res.json({ nextCursor, orders: page });
+  } catch (err) {
+    sendAdminError(res, err);
+  }
+});
+
+// @desc    Get an order
+// @route   GET /api/admin/orders/:id
+// @access  Private (Admin only)
+router.get("/orders/:id", validate(idSchema), load(Order), (req, res) => {
+  res.json(req.doc);
+});
+
+// @desc    Cancel an order at any stage
+// @route   POST /api/admin/orders/:id/cancel
+// @access  Private (Admin only)
+// Body: `{ reason }` (required). Meant for orders that are stuck or disputed. The customer's
+// whole deposit, if paid, is recorded as a refund for the tailor to acknowledge, and both
+// sides are notified.
+router.post("/orders/:id/cancel", validate(requiredReasonSchema), load(Order), async (req, res) => {
+  try {
+    const order = req.doc;
+    const { reason } = req.body;
+
+    const from = order.status;
+    order.transitionTo("CANCELLED", req.user, reason);
+    const depositPaid = order.payment.depositStatus === "PAID" ? order.payment.depositAmount : 0;
+    if (depositPaid > 0) {
+      order.payment.refund = { amount: depositPaid, cancellationFee: 0, status: "PENDING", requestedAt: new Date() };
+    }
+
+    await order.save();
+    await AuditLog.record(req, "ORDER_CANCELLED", order, { reason, changes: { status: { from, to: "CANCELLED" }, refundAmount: depositPaid } });
+    await notifyOrderEvent("ORDER_CANCELLED_BY_ADMIN", order, { reason });
+    res.json(order);
+  } catch (err) {
+    sendAdminError(res, err);
+  }
+});
+
+// --- REVIEWS & FABRICS ---
+// Hidden reviews and fabrics stay in the database and can be unhidden; the owner still sees them.
+
+// Builds the list, hide and unhide routes for a moderated model.
+// `path` is the URL segment, `key` the list's name in the response and `name` the audit action prefix.
+const moderate = (Model, path, key, name) => {
+  // @desc    List reviews or fabrics, optionally only hidden ones
+  // @route   GET /api/admin/{reviews|fabrics}?tailorId=&hidden=true|false&limit=&cursor=
+  // @access  Private (Admin only)
+  router.get(`/${path}`, validate(moderatedListSchema), async (req, res) => {
+    try {
+      const { tailorId, hidden } = req.query;
+      const query = {};
+      if (tailorId) query.tailorId = tailorId;
+      if (hidden === true) query.hiddenAt = { $ne: null };
+      if (hidden === false) query.hiddenAt = null;
+
+      const { nextCursor, page } = await findPage(Model, query, req.query);
+      res.json({ nextCursor, [key]: page });
+    } catch (err) {
+      sendAdminError(res, err);
+    }
+  });
+
+  // @desc    Hide a review or fabric from customers
+  // @route   POST /api/admin/{reviews|fabrics}/:id/hide
+  // @access  Private (Admin only)
+  // Body: `{ reason }` (required).
+  router.post(`/${path}/:id/hide`, validate(requiredReasonSchema), load(Model), async (req, res) => {
+    try {
+      const doc = req.doc;
+      const { reason } = req.body;
+      if (doc.hiddenAt) return res.status(409).json({ error: "This is already hidden." });
+
+      doc.set({ hiddenAt: new Date(), hiddenBy: req.user._id, hiddenReason: reason });
+      await doc.save();
+      await AuditLog.record(req, `${name}_HIDDEN`, doc, { reason });
+      res.json(doc);
+    } catch (err) {
+      sendAdminError(res, err);
+    }
+  });
+
+  // @desc    Show a hidden review or fabric again
+  // @route   POST /api/admin/{reviews|fabrics}/:id/unhide
+  // @access  Private (Admin only)
+  // Body: `{ reason }` (optional).
+  router.post(`/${path}/:id/unhide`, validate(reasonSchema), load(Model), async (req, res) => {
+    try {
+      const doc = req.doc;
+      if (!doc.hiddenAt) return res.status(409).json({ error: "This isn't hidden." });
+
+      doc.set({ hiddenAt: undefined, hiddenBy: undefined, hiddenReason: undefined });
+      await doc.save();
+      await AuditLog.record(req, `${name}_UNHIDDEN`, doc, { reason: req.body.reason });
+      res.json(doc);
+    } catch (err) {
+      sendAdminError(res, err);
+    }
+  });
+};
+
+moderate(Review, "reviews", "reviews", "REVIEW");
+moderate(Fabric, "fabrics", "fabrics", "FABRIC");
+
+// --- AUDIT LOG ---
+
+// @desc    List admin actions, newest first
+// @route   GET /api/admin/audit-log?action=&targetType=&targetId=&actorId=&limit=&cursor=
+// @access  Private (Admin only)
+router.get("/audit-log", validate(auditLogListSchema), async (req, res) => {
+  try {
+    const { action, targetType, targetId, actorId } = req.query;
+    const query = {};
+    if (action) query.action = action;
+    if (targetType) query.targetType = targetType;
+    if (targetId) query.targetId = targetId;
+    if (actorId) query["actor.userId"] = actorId;
+
+    const { nextCursor, page } = await findPage(AuditLog, query, req.query);
+    res.json({ nextCursor, entries: page });
+  } catch (err) {
+    sendAdminError(res, err);
+  }
+});
+
+export default router;
@@ -0,0 +1,108 @@
+// This file defines the API routes for the tailor's business dashboard.
+// Every report covers the orders placed within `?from=YYYY-MM-DD&to=YYYY-MM-DD` (the last
+// 30 days by default) in the tailor's timezone. See utils/analytics.js for how each figure
+// is worked out.
+
+import express from "express";
+import { protect, authorize } from "../middleware/authMiddleware.js";
+import { validate } from "../middleware/validate.js"; // Checks each request against its schema.
+import { field } from "../utils/validation.js";
+import { parseAnalyticsRange, getSummary, getTimeline, getOrderRows, ANALYTICS_BUCKETS } from "../utils/analytics.js";
+import { toCsv } from "../utils/csv.js";
+
+const router = express.Router();
+
+// The columns of each CSV export.
+const EXPORTS = {
+  orders: {
+    load: getOrderRows,
+    columns: [
+      { header: "Placed on", key: "placedOn" },
+      { header: "Order ID", key: "orderId" },
+      { header: "Customer", key: "customerName" },
+      { header: "Garment", key: "garmentType" },
+      { header: "Status", key: "status" },
+      { header: "Promised date", key: "promisedDate" },
+      { header: "Total", key: "totalAmount" },
+      { header: "Deposit", key: "depositAmount" },
+      { header: "Deposit mode", key: "depositMode" },
+      { header: "Deposit status", key: "depositStatus" },
+      { header: "Paid", key: "amountPaid" },
+      { header: "Refund", key: "refundAmount" },
+      { header: "Outstanding", key: "outstanding" },
+      { header: "Fabric meters", key: "fabricMeters" },
+      { header: "Fabric value", key: "fabricValue" },
+    ],
+  },
+  timeline: {
+    load: getTimeline,
+    columns: [
+      { header: "Period", key: "period" },
+      { header: "Orders", key: "orders" },
+      { header: "Booked value", key: "bookedValue" },
+      { header: "Collected", key: "collected" },
+      { header: "Outstanding", key: "outstanding" },
+      { header: "Delivered", key: "delivered" },
+      { header: "Cancelled", key: "cancelled" },
+      { header: "Rejected", key: "rejected" },
+      { header: "Fabric meters", key: "fabricMeters" },
+      { header: "Fabric value", key: "fabricValue" },
+    ],
+  },
+};
+
+// --- Request Schemas ---
+// `parseAnalyticsRange` fills in the defaults and checks that the range makes sense.
+const RANGE_QUERY = { from: field.calendarDate(), to: field.calendarDate(), bucket: field.oneOf(ANALYTICS_BUCKETS) };
+const rangeSchema = { query: RANGE_QUERY };
+const exportSchema = { query: { ...RANGE_QUERY, report: field.oneOf(Object.keys(EXPORTS), { default: "orders" }) } };
+
+// @desc    Get the dashboard figures for a date range
+// @route   GET /api/analytics/summary?from=&to=
+// @access  Private (Tailor only)
+// Revenue and outstanding balances, orders by status and garment, acceptance and rejection
+// rates, average time spent in each stage, fabric sales and the repeat-customer rate.
+router.get("/summary", protect, authorize("tailor"), validate(rangeSchema), async (req, res) => {
+  try {
+    const range = parseAnalyticsRange(req.query, req.user.tailorDetails);
+    res.json(await getSummary(req.user._id, range));
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+// @desc    Get the figures for each day, week or month of a date range
+// @route   GET /api/analytics/timeline?from=&to=&bucket=day|week|month
+// @access  Private (Tailor only)
+// Weeks start on Monday. Periods without orders are included with zeros, so the app can chart them.
+router.get("/timeline", protect, authorize("tailor"), validate(rangeSchema), async (req, res) => {
+  try {
+    const range = parseAnalyticsRange(req.query, req.user.tailorDetails);
+    res.json({ range, timeline: await getTimeline(req.user._id, range) });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+// @desc    Download a report as CSV for the tailor's accountant
+// @route   GET /api/analytics/export?report=orders|timeline&from=&to=&bucket=
+// @access  Private (Tailor only)
+// `orders` has one row per order with its payments; `timeline` has one row per period.
+router.get("/export", protect, authorize("tailor"), validate(exportSchema), async (req, res) => {
+  try {
+    const name = req.query.report;
+
+    const range = parseAnalyticsRange(req.query, req.user.tailorDetails);
+    const report = EXPORTS[name];
+    const rows = await report.load(req.user._id, range);
+    res.set({
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="darzi-${name}-${range.from}-to-${range.to}.csv"`,
+    });
+    res.send(toCsv(report.columns, rows));
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -1,46 +1,227 @@
 // This file defines all the API routes related to user authentication and management.
-// It handles user registration (signup), login, password reset, and tailor discovery.
+// It handles user registration (signup), login (by password or phone OTP), password reset, and tailor discovery.
 
 import express from "express";
+import mongoose from "mongoose";
 import bcrypt from "bcryptjs"; // For hashing and comparing passwords securely.
-import jwt from "jsonwebtoken"; // For creating and verifying JSON Web Tokens for session management.
-import User from "../models/User.js"; // The Mongoose model for the User schema.
-import { sendOtpEmail } from "../utils/mailer.js"; // A utility function to send OTP emails.
+import User, { LISTED_TAILOR_FILTER } from "../models/User.js"; // The Mongoose model for the User schema.
+import { issueOtp, verifyOtp, OtpError } from "../utils/otp.js"; // Sends and checks one-time passwords.
+import Session from "../models/Session.js"; // One logged-in device per session.
+import { generateToken, getAccessTokenTtlSeconds } from "../utils/token.js"; // Issues the access tokens returned on login and registration.
+import { protect, authorize } from "../middleware/authMiddleware.js";
+import { validate } from "../middleware/validate.js"; // Checks each request against its schema.
+import { field, pageQuery } from "../utils/validation.js";
+import Garment from "../models/Garment.js"; // The garment catalogue, which defines each garment's measurements.
+import { validateMeasurements } from "../utils/measurements.js"; // Validates measurements against a garment's template.
+import Order from "../models/Order.js"; // Used to measure each tailor's current workload.
+import {
+  isOpenAt,
+  estimateReadyDate,
+  getDailyCapacity,
+  parseCalendarDate,
+  DEFAULT_TIMEZONE,
+  DEFAULT_TURNAROUND_DAYS,
+} from "../utils/schedule.js"; // Opening hours, capacity and delivery estimates.
+import { parseLimit, encodeCursor, decodeCursor, CursorError } from "../utils/pagination.js";
+import { getMaxSearchRadiusKm } from "../utils/geo.js"; // The configurable cap on the search radius.
 
 const router = express.Router();
 
-// Use the JWT_SECRET from environment variables, with a fallback for local development.
-const JWT_SECRET = process.env.JWT_SECRET || "your_super_secret_key_darzi";
+// --- TAILOR DISCOVERY SETTINGS ---
+const NEARBY_SORTS = ["distance", "rating", "price", "relevance"];
 
-// Helper function to generate a JWT for a given user ID.
-// The token expires in 30 days.
-const generateToken = (id) => {
-  return jwt.sign({ id }, JWT_SECRET, { expiresIn: "30d" });
+// How much each signal counts towards the `relevance` sort. They add up to 1.
+const RELEVANCE_WEIGHTS = { proximity: 0.5, rating: 0.35, price: 0.15 };
+// Ratings are pulled towards this value until a tailor has a few reviews, so a single
+// 5-star review doesn't outrank a tailor with fifty 4.8-star ones.
+const PRIOR_RATING = 3.5;
+const PRIOR_REVIEW_COUNT = 3;
+
+// Scores every tailor between 0 and 1 for the `relevance` sort, blending how close they are,
+// how well they are rated and how cheap they are compared to the other results.
+const addRelevance = (tailors, radiusKm) => {
+  const prices = tailors.map((t) => t.tailorDetails?.pricing?.basePrice).filter((p) => typeof p === "number");
+  const minPrice = Math.min(...prices);
+  const maxPrice = Math.max(...prices);
+
+  for (const tailor of tailors) {
+    const { rating = 0, reviewCount = 0, pricing } = tailor.tailorDetails || {};
+    const proximity = Math.max(0, 1 - tailor.distance / radiusKm);
+    const weightedRating = (rating * reviewCount + PRIOR_RATING * PRIOR_REVIEW_COUNT) / (reviewCount + PRIOR_REVIEW_COUNT) / 5;
+    let price = 0; // Tailors without a listed price get no credit for it.
+    if (typeof pricing?.basePrice === "number") price = maxPrice > minPrice ? (maxPrice - pricing.basePrice) / (maxPrice - minPrice) : 1;
+
+    const score = RELEVANCE_WEIGHTS.proximity * proximity + RELEVANCE_WEIGHTS.rating * weightedRating + RELEVANCE_WEIGHTS.price * price;
+    tailor.relevance = Math.round(score * 1000) / 1000;
+  }
+};
+
+// Sort orders for nearby tailors. Every order falls back to distance, so ties go to the closer tailor.
+const byDistance = (a, b) => a.distance - b.distance;
+const NEARBY_COMPARATORS = {
+  distance: byDistance,
+  rating: (a, b) =>
+    (b.tailorDetails?.rating ?? 0) - (a.tailorDetails?.rating ?? 0) ||
+    (b.tailorDetails?.reviewCount ?? 0) - (a.tailorDetails?.reviewCount ?? 0) ||
+    byDistance(a, b),
+  // Cheapest first; tailors without a listed price go last.
+  price: (a, b) =>
+    (a.tailorDetails?.pricing?.basePrice ?? Infinity) - (b.tailorDetails?.pricing?.basePrice ?? Infinity) || byDistance(a, b),
+  relevance: (a, b) => b.relevance - a.relevance || byDistance(a, b),
+};
+
+// --- REQUEST SCHEMAS ---
+// What each route accepts. Anything else in a request is dropped (see utils/validation.js),
+// so nobody can sign up already verified, as an admin or with a rating.
+
+const nearbySchema = {
+  query: {
+    lat: field.number({ min: -90, max: 90, required: true }),
+    lng: field.number({ min: -180, max: 180, required: true }),
+    radius: field.number({ min: 0 }),
+    sort: field.oneOf(NEARBY_SORTS, { default: "distance" }),
+    garmentType: field.string({ max: 50 }),
+    availableBy: field.calendarDate(),
+    isTailorProvidingFabric: field.boolean(),
+    homePickup: field.boolean(),
+    measurementVisit: field.boolean(),
+    openNow: field.boolean(),
+    minRating: field.number({ min: 0, max: 5 }),
+    maxPrice: field.number({ min: 0 }),
+    ...pageQuery,
+  },
+};
+
+// The app can label the device a login is made from (see `startSession`).
+const deviceName = field.string({ max: 100 });
+
+const loginSchema = { body: { email: field.string({ max: 254 }), phone: field.string({ max: 16 }), password: field.password({ required: true }), deviceName } };
+const otpLoginRequestSchema = { body: { phone: field.string({ max: 16, required: true }) } };
+const otpLoginVerifySchema = { body: { phone: field.string({ max: 16, required: true }), otp: field.string({ max: 10, required: true }), deviceName } };
+
+// The profile a new user fills in when signing up. Only the details for their role are kept.
+const signupSchema = {
+  body: {
+    role: field.oneOf(["customer", "tailor"], { required: true }), // Admins are created with `npm run create-admin`.
+    name: field.string({ max: 100, required: true }),
+    email: field.email({ required: true }),
+    phone: field.phone({ required: true }),
+    password: field.newPassword({ required: true }),
+    location: field.geoPoint(),
+    customerDetails: field.object({
+      address: field.string({ max: 300 }),
+      city: field.string({ max: 100 }),
+      state: field.string({ max: 100 }),
+      landmark: field.string({ max: 200 }),
+      pin: field.pinCode(),
+    }),
+    tailorDetails: field.object({
+      shopName: field.string({ max: 100 }),
+      gstin: field.gstin(),
+      experience: field.number({ integer: true, min: 0, max: 80 }),
+      specializations: field.array(field.string({ max: 50 }), { max: 30 }),
+      workingDays: field.array(field.dayName(), { max: 7 }),
+      workingHours: field.object({ open: field.timeOfDay(), close: field.timeOfDay() }),
+      pricing: field.object({ basePrice: field.number({ min: 0 }), alterationPrice: field.number({ min: 0 }) }),
+      homePickup: field.boolean(),
+      measurementVisit: field.boolean(),
+      providesFabric: field.boolean(),
+      address: field.string({ max: 300 }),
+      city: field.string({ max: 100 }),
+      state: field.string({ max: 100 }),
+      zipCode: field.pinCode(),
+      landmark: field.string({ max: 200 }),
+    }),
+  },
+};
+
+const resendOtpSchema = {
+  body: { email: field.string({ max: 254 }), phone: field.string({ max: 16 }), purpose: field.oneOf(["signup", "reset", "login"], { default: "signup" }) },
+};
+const verifySignupSchema = { body: { email: field.string({ max: 254, required: true }), otp: field.string({ max: 10, required: true }), deviceName } };
+const forgotPasswordSchema = { body: { email: field.string({ max: 254, required: true }) } };
+const resetPasswordSchema = {
+  body: { email: field.string({ max: 254, required: true }), otp: field.string({ max: 10, required: true }), newPassword: field.newPassword({ required: true }) },
+};
+const refreshSchema = { body: { refreshToken: field.string({ max: 200, required: true }) } };
+const sessionIdSchema = { params: { sessionId: field.id({ required: true }) } };
+
+// A measurement profile, sent as `{ profile }` (as the app does) or at the top level.
+const MEASUREMENT_PROFILE = {
+  profileName: field.string({ max: 100 }),
+  garmentType: field.string({ max: 50 }),
+  measurements: field.any(), // Checked against the garment's template.
+  unit: field.oneOf(["cm", "inch"]),
+};
+const measurementProfileBody = { profile: field.object(MEASUREMENT_PROFILE), ...MEASUREMENT_PROFILE };
+const profileIdParams = { profileId: field.id({ required: true }) };
+
+const capacitySchema = {
+  body: {
+    dailyCapacity: field.array(
+      field.object({ garmentType: field.string({ max: 50, required: true }), perDay: field.number({ integer: true, min: 1, required: true }) }),
+      { max: 50 }
+    ),
+    defaultDailyCapacity: field.number({ integer: true, min: 1, nullable: true }), // `null` removes the limit.
+    turnaroundDays: field.number({ integer: true, min: 0, max: 90 }),
+    timezone: field.string({ max: 64 }),
+  },
 };
 
 // --- GET ALL ACTIVE TAILORS ---
-// A simple endpoint to retrieve all users with the 'tailor' role who are currently active.
+// A simple endpoint to retrieve all users with the 'tailor' role who are currently active
+// and approved.
 // This is useful for admin panels or as a fallback if location services are unavailable.
-router.get("/tailors", async (req, res) => {
+// Results are paged in sign-up order: pass `?limit=` and the previous page's `nextCursor` as `?cursor=`.
+router.get("/tailors", validate({ query: pageQuery }), async (req, res) => {
   try {
-    // Find all users who are tailors and active. Exclude sensitive fields from the result.
-    const tailors = await User.find({ role: "tailor", status: "ACTIVE" }, { password: 0, otp: 0, otpExpires: 0 });
-    res.status(200).json(tailors);
+    const limit = parseLimit(req.query.limit);
+    const position = decodeCursor(req.query.cursor);
+    if (position && !mongoose.isValidObjectId(position.after)) throw new CursorError();
+
+    // Find all users who are tailors, active and approved. Exclude sensitive fields from the result.
+    const query = { ...LISTED_TAILOR_FILTER };
+    if (position) query._id = { $gt: position.after };
+    const tailors = await User.find(query, { password: 0 })
+      .sort({ _id: 1 })
+      .limit(limit + 1); // One extra tells us whether there is another page.
+
+    const hasMore = tailors.length > limit;
+    const page = hasMore ? tailors.slice(0, limit) : tailors;
+    res.status(200).json({
+      count: page.length,
+      nextCursor: hasMore ? encodeCursor({ after: String(page[page.length - 1]._id) }) : null,
+      tailors: page,
+    });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.statusCode || 500).json({ error: err.message });
   }
 });
 
 // --- GET NEARBY TAILORS (GEOSPATIAL SEARCH) ---
 // A complex endpoint to find nearby tailors using MongoDB's geospatial queries.
-// It can also filter tailors based on their capabilities (e.g., specializations).
-router.get("/tailors/nearby", async (req, res) => {
+// It can also filter tailors based on their capabilities (specializations, fabric, home pickup,
+// measurement visits), rating, price, whether they are open right now and whether they can have
+// a garment ready by a date (`availableBy`, with `garmentType`). Results are sorted by
+// `sort` (distance, rating, price or relevance) and paged with `?limit=` and `?cursor=`.
+router.get("/tailors/nearby", validate(nearbySchema), async (req, res) => {
   try {
-    const { lat, lng, garmentType, isTailorProvidingFabric } = req.query;
-    if (!lat || !lng) return res.status(400).json({ error: "Lat/Lng required" });
+    const { lat, lng, sort, garmentType, isTailorProvidingFabric, minRating, maxPrice, homePickup, measurementVisit, openNow, availableBy } = req.query;
+    // `availableBy=YYYY-MM-DD` hides tailors too busy to have a `garmentType` ready by that date.
+    let readyBy = null;
+    if (availableBy !== undefined) {
+      readyBy = parseCalendarDate(availableBy);
+      if (!garmentType) return res.status(400).json({ error: "availableBy needs a garmentType" });
+    }
 
-    // Set a search radius, ensuring it's within a reasonable range (1km to 5km).
-    const radius = Math.min(parseFloat(req.query.radius) || 1, 5);
+    const limit = parseLimit(req.query.limit);
+    const position = decodeCursor(req.query.cursor);
+    const offset = position ? position.offset : 0;
+    if (!Number.isInteger(offset) || offset < 0) throw new CursorError();
+
+    // Set a search radius, ensuring it's within a reasonable range (at most MAX_SEARCH_RADIUS_KM).
+    const maxRadius = getMaxSearchRadiusKm();
+    const radius = Math.min(req.query.radius || 1, maxRadius);
     const maxDist = radius * 1000; // Convert kilometers to meters for the geoNear query.
 
     // The aggregation pipeline is a multi-stage process to query and transform data.
@@ -48,10 +229,10 @@ router.get("/tailors/nearby", async (req, res) => {
       {
         // The $geoNear stage must be the first stage. It finds documents near a specified point.
         $geoNear: {
-          near: { type: "Point", coordinates: [parseFloat(lng), parseFloat(lat)] },
+          near: { type: "Point", coordinates: [lng, lat] },
           distanceField: "distance", // Adds a 'distance' field (in meters) to each result.
           maxDistance: maxDist, // Filters results to be within the specified radius.
-          query: { role: "tailor", status: "ACTIVE" }, // Additional filter for the documents.
+          query: LISTED_TAILOR_FILTER, // Only active tailors approved by an admin.
           spherical: true, // Use spherical geometry for distance calculation.
           key: "location" // Specifies the geospatial index field to use.
         }
@@ -60,12 +241,29 @@ router.get("/tailors/nearby", async (req, res) => {
 
     // Dynamically add more filtering stages to the pipeline based on query parameters.
     let matchConditions = {};
+    let garment = null;
     if (garmentType) {
-      matchConditions["tailorDetails.specializations"] = garmentType;
+      // Only garments from the catalogue can be searched for. Specializations are typed by the
+      // tailor, so they are matched loosely against the catalogue's name.
+      garment = await Garment.findActiveByName(garmentType);
+      if (!garment) return res.status(400).json({ error: `Unsupported garment type "${garmentType}"` });
+      matchConditions["tailorDetails.specializations"] = garment.specializationPattern();
     }
-    if (isTailorProvidingFabric === 'true') {
+    if (isTailorProvidingFabric) {
       matchConditions["tailorDetails.providesFabric"] = true;
     }
+    if (homePickup) {
+      matchConditions["tailorDetails.homePickup"] = true;
+    }
+    if (measurementVisit) {
+      matchConditions["tailorDetails.measurementVisit"] = true;
+    }
+    if (minRating !== undefined) {
+      matchConditions["tailorDetails.rating"] = { $gte: minRating };
+    }
+    if (maxPrice !== undefined) {
+      matchConditions["tailorDetails.pricing.basePrice"] = { $lte: maxPrice };
+    }
 
     if (Object.keys(matchConditions).length > 0) {
       pipeline.push({ $match: matchConditions }); // Add the $match stage if there are conditions.
@@ -81,74 +279,164 @@ router.get("/tailors/nearby", async (req, res) => {
       }
     });
 
-    const tailors = await User.aggregate(pipeline);
+    let tailors = await User.aggregate(pipeline);
+
+    // Opening hours are free text typed by the tailor, so "open now" is worked out here
+    // rather than in the query. The search radius keeps this list small.
+    const now = new Date();
+    for (const tailor of tailors) tailor.isOpenNow = isOpenAt(tailor.tailorDetails, now);
+    if (openNow) tailors = tailors.filter((tailor) => tailor.isOpenNow);
+
+    // Estimate when each tailor could have the garment ready, given their capacity and queue,
+    // and drop those who are fully booked until after the requested date.
+    if (readyBy) {
+      const workload = await Order.workloadByTailor(tailors.map((tailor) => tailor._id), garment.name);
+      for (const tailor of tailors) {
+        tailor.estimatedReadyDate = estimateReadyDate(tailor.tailorDetails, garment.name, workload.get(String(tailor._id)) || 0, 1, now);
+      }
+      tailors = tailors.filter((tailor) => tailor.estimatedReadyDate <= readyBy);
+    }
+
+    if (sort === "relevance") addRelevance(tailors, radius);
+    tailors.sort(NEARBY_COMPARATORS[sort]);
+
+    const page = tailors.slice(offset, offset + limit);
+    const hasMore = offset + limit < tailors.length;
 
     res.status(200).json({
       radius: radius,
-      count: tailors.length,
-      tailors: tailors
+      maxRadius: maxRadius,
+      sort: sort,
+      total: tailors.length,
+      count: page.length,
+      nextCursor: hasMore ? encodeCursor({ offset: offset + limit }) : null,
+      tailors: page
     });
 
   } catch (err) {
     console.error("❌ GeoNear Error:", err.message);
-    res.status(500).json({ error: err.message });
+    res.status(err.statusCode || 500).json({ error: err.message });
   }
 });
 
+// --- ONE-TIME PASSWORDS ---
+// Sign-up, password resets and phone login are confirmed with a one-time password from the
+// OTP service (utils/otp.js), which limits how often codes are sent and how many guesses a
+// code gets.
+
+// Maps the `purpose` the app sends to resend-otp onto the OTP service's purposes.
+const RESEND_PURPOSES = { signup: "SIGNUP", reset: "RESET", login: "LOGIN" };
+
+// Answers with an OTP error, telling the app when it can retry or how many attempts are left.
+const sendOtpError = (res, err) => {
+  if (err instanceof OtpError) {
+    if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+    return res.status(err.statusCode).json({ error: err.message, retryAfter: err.retryAfter, attemptsLeft: err.attemptsLeft });
+  }
+  res.status(500).json({ error: err.message });
+};
+
+// Finds a user by `email` or, failing that, `phone`. Both are turned into strings so a
+// request body can't smuggle in a query operator such as `{ "$ne": null }`.
+const findByEmailOrPhone = ({ email, phone }) => {
+  if (email) return User.findOne({ email: String(email) });
+  if (phone) return User.findOne({ phone: String(phone) });
+  return null;
+};
+
+// Starts a session on the device the user is logging in from and returns its tokens:
+// `token` (the access token), `refreshToken` and `expiresIn` (the access token's lifetime in seconds).
+// The app can send a `deviceName` with any login to label the session in "my devices".
+const startSession = async (user, req) => {
+  const { session, refreshToken } = await Session.start(user, req);
+  return { token: generateToken(user._id, session._id), refreshToken, expiresIn: getAccessTokenTtlSeconds() };
+};
+
+// The response to a successful login, whichever way the user logged in.
+const loginResponse = async (user, req) => ({
+  message: "Login successful",
+  user,
+  ...(await startSession(user, req)),
+});
+
 // --- USER LOGIN ---
-// Handles the login process for a user with either email or phone number.
-router.post("/login", async (req, res) => {
+// Handles the login process for a user with either email or phone number and their password.
+// To log in without a password, use the phone OTP login below.
+router.post("/login", validate(loginSchema), async (req, res) => {
   try {
     const { email, phone, password } = req.body;
-    // Find a user that matches either the provided email or phone number.
-    const user = await User.findOne({ $or: [{ email }, { phone }] });
+    if (!email && !phone) return res.status(400).json({ error: "Email or phone is required" });
+
+    const user = await findByEmailOrPhone({ email, phone });
     if (!user) return res.status(400).json({ error: "User not found" });
     
     // Check if the user has completed the OTP verification step.
     if (!user.isVerified) return res.status(403).json({ error: "Please verify your email first.", needsVerification: true });
     
-    // If a password was provided, compare it with the hashed password in the database.
-    if (password) {
-        const isValid = await bcrypt.compare(password, user.password);
-        if (!isValid) return res.status(400).json({ error: "Invalid password" });
-    }
+    // Compare the password with the hashed password in the database.
+    const isValid = await bcrypt.compare(password, user.password);
+    if (!isValid) return res.status(400).json({ error: "Invalid password" });
+    // Suspended accounts can't start a new session (`protect` would refuse its tokens anyway).
+    if (user.status !== "ACTIVE") return res.status(403).json({ error: "Your account is not active." });
     
     // On successful login, return user data and a JWT.
-    res.status(200).json({ 
-      message: "Login successful", 
-      user,
-      token: generateToken(user._id)
-    });
+    res.status(200).json(await loginResponse(user, req));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// --- PHONE OTP LOGIN (STEP 1: SEND OTP) ---
+// Sends a login code by SMS to the phone number of a verified account.
+router.post("/login/otp/request", validate(otpLoginRequestSchema), async (req, res) => {
+  try {
+    const { phone } = req.body;
+    if (!phone) return res.status(400).json({ error: "Phone is required" });
+
+    const user = await findByEmailOrPhone({ phone });
+    if (!user) return res.status(404).json({ error: "No user found with this phone number." });
+    if (!user.isVerified) return res.status(403).json({ error: "Please verify your email first.", needsVerification: true });
+
+    const { expiresAt, resendAfter } = await issueOtp(user, "LOGIN", "sms");
+    res.status(200).json({ message: "A login OTP has been sent to your phone.", expiresAt, resendAfter });
+  } catch (err) {
+    sendOtpError(res, err);
+  }
+});
+
+// --- PHONE OTP LOGIN (STEP 2: VERIFY OTP) ---
+// Logs the user in with the code they received by SMS. The response is the same as /login.
+router.post("/login/otp/verify", validate(otpLoginVerifySchema), async (req, res) => {
+  try {
+    const { phone, otp } = req.body;
+    if (!phone || !otp) return res.status(400).json({ error: "Phone and OTP are required" });
+
+    const user = await findByEmailOrPhone({ phone });
+    await verifyOtp(user, "LOGIN", otp);
+    if (user.status !== "ACTIVE") return res.status(403).json({ error: "Your account is not active." });
+    res.status(200).json(await loginResponse(user, req));
+  } catch (err) {
+    sendOtpError(res, err);
+  }
+});
+
 // --- SEND OTP FOR SIGNUP ---
 // This is the first step of the registration process. It creates/updates a user record
 // and sends an OTP to their email for verification.
-router.post("/send-otp", async (req, res) => {
+router.post("/send-otp", validate(signupSchema), async (req, res) => {
   try {
-    const { email, phone, name, password, role } = req.body;
-
-    if (!email || !phone || !name) {
-      return res.status(400).json({ error: "Name, Email, and Phone are required." });
-    }
+    const { email, phone, password } = req.body;
 
     // Check if a user already exists and is verified with this email or phone.
-    const existingUser = await User.findOne({ $or: [{ email }, { phone }] });
+    const existingUser = await User.findOne({ $or: [{ email: String(email) }, { phone: String(phone) }] });
     if (existingUser && existingUser.isVerified) {
       return res.status(400).json({ error: "Account already exists with this email or phone." });
     }
 
-    // Generate a random 6-digit OTP.
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    
-    // Prepare the data to be saved. This includes all user details from the request body.
+    // Prepare the data to be saved. This includes all user details from the request body, which
+    // `signupSchema` has already stripped of anything a user mustn't set, such as `isVerified`.
     let updateData = {
       ...req.body,
-      otp,
-      otpExpires: Date.now() + 10 * 60 * 1000, // Set OTP expiry to 10 minutes from now.
       isVerified: false,
       status: "ACTIVE" // User is active but not verified.
     };
@@ -168,31 +456,48 @@ router.post("/send-otp", async (req, res) => {
     }
 
     await user.save(); // Save the new or updated user to the database.
-    await sendOtpEmail(email, otp); // Send the OTP to the user's email.
-    res.status(200).json({ message: "OTP sent successfully" });
+    const { expiresAt, resendAfter } = await issueOtp(user, "SIGNUP", "email"); // Send the OTP to the user's email.
+    res.status(200).json({ message: "OTP sent successfully", expiresAt, resendAfter });
   } catch (err) {
+    if (err instanceof OtpError) return sendOtpError(res, err);
     console.error("Signup error:", err);
     res.status(500).json({ error: err.message });
   }
 });
 
+// --- RESEND OTP ---
+// Sends a fresh code when the user didn't receive the last one, at most once per cooldown.
+// Body: `{ email }` or `{ phone }`, plus `purpose`: "signup" (the default), "reset" or "login".
+// Sign-up and reset codes go to the user's email; login codes go to their phone.
+router.post("/resend-otp", validate(resendOtpSchema), async (req, res) => {
+  try {
+    const purpose = RESEND_PURPOSES[req.body.purpose];
+    if (!req.body.email && !req.body.phone) return res.status(400).json({ error: "Email or phone is required" });
+
+    const user = await findByEmailOrPhone(req.body);
+    if (!user) return res.status(404).json({ error: "No user found with these details." });
+    if (purpose === "SIGNUP" && user.isVerified) return res.status(400).json({ error: "This account is already verified. Please log in." });
+    if (purpose === "LOGIN" && !user.isVerified) return res.status(403).json({ error: "Please verify your email first.", needsVerification: true });
+
+    const channel = purpose === "LOGIN" ? "sms" : "email";
+    const { expiresAt, resendAfter } = await issueOtp(user, purpose, channel);
+    res.status(200).json({ message: `A new OTP has been sent to your ${channel === "sms" ? "phone" : "email"}.`, expiresAt, resendAfter });
+  } catch (err) {
+    sendOtpError(res, err);
+  }
+});
+
 // --- VERIFY OTP & COMPLETE REGISTRATION ---
 // This is the second step of registration. The user provides the OTP they received.
-router.post("/verify-and-register", async (req, res) => {
+router.post("/verify-and-register", validate(verifySignupSchema), async (req, res) => {
   try {
     const { email, otp } = req.body;
-    // Find the unverified user with the matching email.
-    const user = await User.findOne({ email, isVerified: false });
-    
-    // Check if the user exists and if the OTP is correct and has not expired.
-    if (!user || user.otp !== otp || user.otpExpires < Date.now()) {
-      return res.status(400).json({ error: "Invalid or expired OTP." });
-    }
+    // Find the unverified user with the matching email, and check their code.
+    const user = await User.findOne({ email: String(email), isVerified: false });
+    await verifyOtp(user, "SIGNUP", otp);
 
-    // If OTP is valid, mark the user as verified and clear the OTP fields.
+    // If OTP is valid, mark the user as verified.
     user.isVerified = true;
-    user.otp = undefined;
-    user.otpExpires = undefined;
     user.status = "ACTIVE"; 
     await user.save();
     
@@ -200,56 +505,294 @@ router.post("/verify-and-register", async (req, res) => {
     res.status(201).json({ 
       message: "Registration successful!",
       user,
-      token: generateToken(user._id)
+      ...(await startSession(user, req))
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    sendOtpError(res, err);
   }
 });
 
 // --- FORGOT PASSWORD (STEP 1: SEND OTP) ---
 // Finds a user by email and sends them an OTP for password reset.
-router.post("/forgot-password", async (req, res) => {
+router.post("/forgot-password", validate(forgotPasswordSchema), async (req, res) => {
   try {
     const { email } = req.body;
-    if (!email) return res.status(400).json({ error: "Email is required" });
 
-    const user = await User.findOne({ email });
+    const user = await User.findOne({ email: String(email) });
     if (!user) return res.status(404).json({ error: "No user found with this email." });
 
-    // Generate and save a new OTP for the user.
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    user.otp = otp;
-    user.otpExpires = Date.now() + 10 * 60 * 1000; // 10 minute expiry.
-    
-    await user.save();
-    await sendOtpEmail(email, otp);
-    res.status(200).json({ message: "A reset OTP has been sent to your email." });
+    const { expiresAt, resendAfter } = await issueOtp(user, "RESET", "email");
+    res.status(200).json({ message: "A reset OTP has been sent to your email.", expiresAt, resendAfter });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    sendOtpError(res, err);
   }
 });
 
 // --- RESET PASSWORD (STEP 2: VERIFY OTP & UPDATE) ---
 // Verifies the reset OTP and updates the user's password with the new one provided.
-router.post("/reset-password", async (req, res) => {
+router.post("/reset-password", validate(resetPasswordSchema), async (req, res) => {
   try {
     const { email, otp, newPassword } = req.body;
-    if (!email || !otp || !newPassword) return res.status(400).json({ error: "All fields are required" });
 
-    const user = await User.findOne({ email });
-    // Check if the user exists and if the OTP is valid and not expired.
-    if (!user || user.otp !== otp || user.otpExpires < Date.now()) {
-      return res.status(400).json({ error: "Invalid or expired OTP." });
-    }
+    const user = await User.findOne({ email: String(email) });
+    await verifyOtp(user, "RESET", otp);
 
     // If valid, hash the new password and update the user record.
     user.password = await bcrypt.hash(newPassword, 10);
-    // Clear the OTP fields.
-    user.otp = undefined;
-    user.otpExpires = undefined;
     await user.save();
+    // Whoever knew the old password may still be logged in somewhere, so every device has to log in again.
+    await Session.revokeForUser(user._id, "PASSWORD_RESET");
     res.status(200).json({ message: "Password updated successfully!" });
+  } catch (err) {
+    sendOtpError(res, err);
+  }
+});
+
+// --- SESSIONS ---
+// Every login is a session on one device. Access tokens are short-lived; the app trades its
+// refresh token for a new pair when the access token expires (or the API answers 401).
+
+// --- REFRESH TOKENS ---
+// Returns a new access token and a new refresh token. The old refresh token stops working;
+// using it again is treated as theft and ends the session.
+router.post("/refresh", validate(refreshSchema), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const { session, refreshToken: nextToken } = await Session.rotate(refreshToken, req);
+    const user = await User.findById(session.userId, { status: 1 });
+    if (!user || user.status !== "ACTIVE") {
+      await Session.revokeForUser(session.userId, user?.status === "SUSPENDED" ? "SUSPENDED" : "REVOKED", session._id);
+      return res.status(403).json({ error: "Your account is not active." });
+    }
+
+    res.status(200).json({ token: generateToken(user._id, session._id), refreshToken: nextToken, expiresIn: getAccessTokenTtlSeconds() });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+// --- LOGOUT ---
+// Ends the session of the device making the request.
+router.post("/logout", protect, async (req, res) => {
+  try {
+    await Session.revokeForUser(req.user._id, "LOGOUT", req.sessionId);
+    res.status(200).json({ message: "Logged out" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- LOGOUT EVERYWHERE ---
+// Ends every session of the user, including this one.
+router.post("/logout-all", protect, async (req, res) => {
+  try {
+    const { modifiedCount } = await Session.revokeForUser(req.user._id, "LOGOUT_ALL");
+    res.status(200).json({ message: "Logged out of all devices", sessionsEnded: modifiedCount });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- MY DEVICES ---
+// Lists the user's active sessions, most recently used first. `current` marks this device.
+router.get("/sessions", protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({ userId: req.user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select("deviceName userAgent ip createdAt lastUsedAt expiresAt")
+      .sort({ lastUsedAt: -1 });
+    res.status(200).json(sessions.map((session) => ({ ...session.toJSON(), current: session._id.equals(req.sessionId) })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- LOG OUT A DEVICE ---
+router.delete("/sessions/:sessionId", protect, validate(sessionIdSchema), async (req, res) => {
+  try {
+    const { modifiedCount } = await Session.revokeForUser(req.user._id, "REVOKED", req.params.sessionId);
+    if (!modifiedCount) return res.status(404).json({ error: "Session not found" });
+    res.status(200).json({ message: "Device logged out" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- MEASUREMENT PROFILES ---
+// Customers can save named sets of measurements (e.g. "My Office Shirt") and reuse them
+// when ordering. Every profile is validated against its garment's measurement template.
+// All of these routes return the customer's full, updated list of profiles, which is
+// what the app's MeasurementService expects.
+
+// Validates a profile sent by the app and returns the cleaned-up version, or a list of errors.
+// The garment type is stored with the catalogue's spelling (e.g. "shirt" becomes "Shirt").
+const buildMeasurementProfile = async (input = {}) => {
+  const { profileName, garmentType, measurements, unit = "inch" } = input;
+  const errors = [];
+  if (!profileName || !String(profileName).trim()) errors.push("profileName is required");
+  if (!garmentType) errors.push("garmentType is required");
+  if (errors.length) return { errors };
+
+  const garment = await Garment.findActiveByName(garmentType);
+  if (!garment) return { errors: [`Unsupported garment type "${garmentType}"`] };
+
+  const result = validateMeasurements(garment, measurements, unit);
+  if (result.errors.length) return { errors: result.errors };
+  return { profile: { profileName: String(profileName).trim(), garmentType: garment.name, unit, measurements: result.measurements } };
+};
+
+// --- LIST MEASUREMENT TEMPLATES ---
+// Public, so the app can build its measurement form before the user has logged in.
+// The templates come from the garment catalogue; this is the same data as GET /api/garments.
+router.get("/measurements/templates", async (req, res) => {
+  try {
+    const garments = await Garment.find({ isActive: true }).sort({ displayOrder: 1, name: 1 });
+    res.status(200).json(garments);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- LIST MY MEASUREMENT PROFILES ---
+router.get("/measurements", protect, authorize("customer"), (req, res) => {
+  res.status(200).json(req.user.customerDetails?.measurementProfiles || []);
+});
+
+// --- ADD A MEASUREMENT PROFILE ---
+// Accepts `{ profile }` (as sent by the app) or the profile fields at the top level.
+// Any `phone` in the body is ignored: the profile always belongs to the logged-in customer.
+router.post("/measurements", protect, authorize("customer"), validate({ body: measurementProfileBody }), async (req, res) => {
+  try {
+    const { profile, errors } = await buildMeasurementProfile(req.body.profile || req.body);
+    if (errors) return res.status(400).json({ error: errors.join(", "), errors });
+
+    const user = req.user;
+    user.customerDetails.measurementProfiles.push(profile);
+    await user.save();
+    // 200 rather than 201, because the app checks for 200 and receives the whole list back.
+    res.status(200).json(user.customerDetails.measurementProfiles);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- UPDATE A MEASUREMENT PROFILE ---
+router.put("/measurements/:profileId", protect, authorize("customer"), validate({ params: profileIdParams, body: measurementProfileBody }), async (req, res) => {
+  try {
+    const user = req.user;
+    const existing = user.customerDetails.measurementProfiles.id(req.params.profileId);
+    if (!existing) return res.status(404).json({ error: "Measurement profile not found" });
+
+    // Fields that aren't sent keep their current values.
+    const merged = { ...existing.toObject(), ...(req.body.profile || req.body) };
+    const { profile, errors } = await buildMeasurementProfile(merged);
+    if (errors) return res.status(400).json({ error: errors.join(", "), errors });
+
+    existing.set(profile);
+    await user.save();
+    res.status(200).json(user.customerDetails.measurementProfiles);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- DELETE A MEASUREMENT PROFILE ---
+// The `/:phone/:profileId` form is kept for older app versions; the phone must be the
+// logged-in customer's own.
+const deleteMeasurementProfile = async (req, res) => {
+  try {
+    const user = req.user;
+    if (req.params.phone && req.params.phone !== user.phone) {
+      return res.status(403).json({ error: "You can only manage your own measurement profiles." });
+    }
+
+    const existing = user.customerDetails.measurementProfiles.id(req.params.profileId);
+    if (!existing) return res.status(404).json({ error: "Measurement profile not found" });
+
+    existing.deleteOne();
+    await user.save();
+    res.status(200).json(user.customerDetails.measurementProfiles);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+router.delete("/measurements/:profileId", protect, authorize("customer"), validate({ params: profileIdParams }), deleteMeasurementProfile);
+router.delete(
+  "/measurements/:phone/:profileId",
+  protect,
+  authorize("customer"),
+  validate({ params: { phone: field.string({ max: 16, required: true }), ...profileIdParams } }),
+  deleteMeasurementProfile
+);
+
+// --- TAILOR CAPACITY & TURNAROUND ---
+// Tailors set how many garments of each type they can start per working day and how long a
+// garment takes. New orders get a `promisedDate` from these settings and the tailor's queue.
+
+// The settings as the app sees them.
+const capacitySettings = (tailorDetails = {}) => ({
+  dailyCapacity: tailorDetails.dailyCapacity || [],
+  defaultDailyCapacity: tailorDetails.defaultDailyCapacity ?? null,
+  turnaroundDays: tailorDetails.turnaroundDays ?? DEFAULT_TURNAROUND_DAYS,
+  timezone: tailorDetails.timezone || DEFAULT_TIMEZONE,
+});
+
+// --- GET MY CAPACITY & WORKLOAD ---
+// Returns the settings plus, for each garment the tailor makes, how many are queued and the
+// date a new order would be promised for.
+router.get("/capacity", protect, authorize("tailor"), async (req, res) => {
+  try {
+    const details = req.user.tailorDetails || {};
+    const garmentTypes = [...new Set([...(details.specializations || []), ...(details.dailyCapacity || []).map((c) => c.garmentType)])];
+
+    const workload = await Promise.all(garmentTypes.map(async (garmentType) => {
+      const queued = (await Order.workloadByTailor([req.user._id], garmentType)).get(String(req.user._id)) || 0;
+      return {
+        garmentType,
+        perDay: getDailyCapacity(details, garmentType),
+        queued,
+        nextPromisedDate: estimateReadyDate(details, garmentType, queued),
+      };
+    }));
+
+    res.status(200).json({ ...capacitySettings(details), workload });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- UPDATE MY CAPACITY ---
+// Accepts any of `{ dailyCapacity: [{ garmentType, perDay }], defaultDailyCapacity, turnaroundDays, timezone }`.
+// Fields that aren't sent keep their current values; `defaultDailyCapacity: null` removes the limit.
+router.put("/capacity", protect, authorize("tailor"), validate(capacitySchema), async (req, res) => {
+  try {
+    const { dailyCapacity, defaultDailyCapacity, turnaroundDays, timezone } = req.body;
+    const user = req.user;
+
+    if (dailyCapacity !== undefined) {
+      const entries = [];
+      for (const entry of dailyCapacity) {
+        // Only catalogue garments, in the catalogue's spelling, so they match orders.
+        const garment = await Garment.findActiveByName(entry.garmentType);
+        if (!garment) return res.status(400).json({ error: `Unsupported garment type "${entry.garmentType}"` });
+        if (entries.some((e) => e.garmentType === garment.name)) return res.status(400).json({ error: `${garment.name} is listed more than once` });
+        entries.push({ garmentType: garment.name, perDay: entry.perDay });
+      }
+      user.tailorDetails.dailyCapacity = entries;
+    }
+    if (defaultDailyCapacity !== undefined) user.tailorDetails.defaultDailyCapacity = defaultDailyCapacity ?? undefined;
+    if (turnaroundDays !== undefined) user.tailorDetails.turnaroundDays = turnaroundDays;
+    if (timezone !== undefined) {
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+      } catch {
+        return res.status(400).json({ error: `Unknown timezone "${timezone}"` });
+      }
+      user.tailorDetails.timezone = timezone;
+    }
+
+    await user.save();
+    res.status(200).json(capacitySettings(user.tailorDetails));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -6,21 +6,75 @@
 
 import express from "express";
 import Fabric from "../models/Fabric.js"; // The Mongoose model for the Fabric schema.
-// import { protect } from "../middleware/authMiddleware.js"; // Optional: Can be added later to secure routes.
+import Asset from "../models/Asset.js"; // Lets `imageUrl` be the ID of an uploaded image.
+import { protect, authorize, requireOwner } from "../middleware/authMiddleware.js";
+import { validate } from "../middleware/validate.js"; // Checks each request against its schema.
+import { field } from "../utils/validation.js";
 
 const router = express.Router();
 
+// Loads the fabric from the URL and makes sure it belongs to the logged-in tailor.
+const tailorOwnsFabric = requireOwner(Fabric, "tailorId");
+
+// --- Request Schemas ---
+// What a tailor can send for a fabric. `tailorId` always comes from the token, and stock
+// reservations are only ever made by orders.
+const FABRIC_FIELDS = {
+  name: field.string({ max: 100 }),
+  type: field.string({ max: 100 }),
+  color: field.string({ max: 50 }),
+  pricePerMeter: field.number({ min: 0 }),
+  availableQty: field.number({ min: 0 }),
+  lowStockThreshold: field.number({ min: 0 }),
+  imageUrl: field.string({ max: 2000 }), // An image URL or the ID of an uploaded image.
+};
+
+const idParams = { id: field.id({ required: true }) };
+
+const tailorFabricsSchema = { params: { tailorId: field.id({ required: true }) } };
+
+const createFabricSchema = {
+  body: {
+    ...FABRIC_FIELDS,
+    name: field.string({ max: 100, required: true }),
+    type: field.string({ max: 100, required: true }),
+    pricePerMeter: field.number({ min: 0.01, required: true }),
+    imageUrl: field.string({ max: 2000, required: true }),
+  },
+};
+
+// Fields that aren't sent keep their current values.
+const updateFabricSchema = { params: idParams, body: { ...FABRIC_FIELDS, isAvailable: field.boolean() } };
+
 // @desc    Get all fabrics for a specific tailor
 // @route   GET /api/fabrics/tailor/:tailorId
 // @access  Public
 // This route allows anyone to view the available fabrics for a given tailor.
-// It finds all fabrics that match the `tailorId` from the URL parameters and are marked as `isAvailable`.
-router.get("/tailor/:tailorId", async (req, res) => {
+// It finds all fabrics that match the `tailorId` from the URL parameters, are marked as `isAvailable`
+// and haven't been hidden by an admin.
+router.get("/tailor/:tailorId", validate(tailorFabricsSchema), async (req, res) => {
+  try {
+    const fabrics = await Fabric.find({ tailorId: req.params.tailorId, isAvailable: true, hiddenAt: null });
+    res.json(fabrics);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// @desc    Get the logged-in tailor's fabrics that are running low
+// @route   GET /api/fabrics/low-stock
+// @access  Private (Tailor only)
+// Lists every fabric whose available stock has dropped to its `lowStockThreshold` or below,
+// including sold-out fabrics, so the tailor knows what to restock.
+router.get("/low-stock", protect, authorize("tailor"), async (req, res) => {
   try {
-    const fabrics = await Fabric.find({ tailorId: req.params.tailorId, isAvailable: true });
+    const fabrics = await Fabric.find({
+      tailorId: req.user._id,
+      $expr: { $lte: [{ $ifNull: ["$availableQty", 0] }, "$lowStockThreshold"] },
+    }).sort({ availableQty: 1 });
     res.json(fabrics);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    res.status(500).json({ error: err.message });
   }
 });
 
@@ -29,36 +83,32 @@ router.get("/tailor/:tailorId", async (req, res) => {
 // @access  Private (Tailor only)
 // This route allows a tailor to add a new fabric to their inventory.
 // It takes fabric details from the request body, creates a new `Fabric` instance,
-// and saves it to the database.
-router.post("/", async (req, res) => {
-  // In a real, secure application, the tailor's ID would be extracted from a
-  // JWT (JSON Web Token) after the user has been authenticated, not passed in the body.
-  // const { tailorId } = req.user;
-  const { tailorId, name, type, color, pricePerMeter, availableQty, imageUrl } = req.body;
-
-  // Basic validation to ensure required fields are present.
-  if (!tailorId || !name || !type || !pricePerMeter || !imageUrl) {
-    return res.status(400).json({ message: "Please fill all required fields" });
-  }
-
-  // Create a new instance of the Fabric model.
-  const fabric = new Fabric({
-    tailorId,
-    name,
-    type,
-    color,
-    pricePerMeter,
-    availableQty,
-    imageUrl,
-  });
+// and saves it to the database. `imageUrl` may be an image URL or the ID of an image the
+// tailor uploaded through POST /api/uploads.
+router.post("/", protect, authorize("tailor"), validate(createFabricSchema), async (req, res) => {
+  // The tailor's ID is taken from their token, never from the request body.
+  const tailorId = req.user._id;
+  const { name, type, color, pricePerMeter, availableQty, lowStockThreshold, imageUrl } = req.body;
 
   try {
+    // Create a new instance of the Fabric model.
+    const fabric = new Fabric({
+      tailorId,
+      name,
+      type,
+      color,
+      pricePerMeter,
+      availableQty,
+      lowStockThreshold,
+      imageUrl: await Asset.resolveUrl(imageUrl, tailorId),
+    });
+
     // Save the new fabric document to the database.
     const createdFabric = await fabric.save();
     // Return the newly created fabric with a 201 Created status code.
     res.status(201).json(createdFabric);
   } catch (err) {
-    res.status(400).json({ message: err.message });
+    res.status(err.statusCode || 400).json({ error: err.message });
   }
 });
 
@@ -67,33 +117,33 @@ router.post("/", async (req, res) => {
 // @access  Private (Tailor only)
 // This route allows a tailor to update the details of an existing fabric item.
 // It finds the fabric by its ID and updates its fields with the new data from the request body.
-router.put("/:id", async (req, res) => {
-  const { name, type, color, pricePerMeter, availableQty, isAvailable } = req.body;
+router.put("/:id", protect, authorize("tailor"), validate(updateFabricSchema), tailorOwnsFabric, async (req, res) => {
+  const { name, type, color, pricePerMeter, availableQty, lowStockThreshold, isAvailable, imageUrl } = req.body;
 
   try {
-    const fabric = await Fabric.findById(req.params.id);
-
-    if (fabric) {
-      // TODO: Add a security check here to ensure that the user making the request
-      // is the actual owner of this fabric item before allowing an update.
-      
-      // Update the fabric fields only if new values are provided in the request body.
-      // This prevents accidentally overwriting existing data with null.
-      fabric.name = name || fabric.name;
-      fabric.type = type || fabric.type;
-      fabric.color = color || fabric.color;
-      fabric.pricePerMeter = pricePerMeter || fabric.pricePerMeter;
-      fabric.availableQty = availableQty || fabric.availableQty;
-      // Special handling for boolean `isAvailable` to allow setting it to `false`.
-      fabric.isAvailable = isAvailable !== undefined ? isAvailable : fabric.isAvailable;
-
-      const updatedFabric = await fabric.save();
-      res.json(updatedFabric);
-    } else {
-      res.status(404).json({ message: "Fabric not found" });
-    }
+    // `tailorOwnsFabric` has already loaded the fabric and checked that it belongs to this tailor.
+    const fabric = req.doc;
+
+    // Update the fabric fields only if new values are provided in the request body.
+    // This prevents accidentally overwriting existing data with null.
+    fabric.name = name || fabric.name;
+    fabric.type = type || fabric.type;
+    fabric.color = color || fabric.color;
+    fabric.pricePerMeter = pricePerMeter || fabric.pricePerMeter;
+    // A new photo may be an image URL or the ID of an uploaded image.
+    if (imageUrl) fabric.imageUrl = await Asset.resolveUrl(imageUrl, req.user._id);
+    // Stock figures may legitimately be set to 0, so only skip them when they are missing.
+    fabric.availableQty = availableQty !== undefined ? availableQty : fabric.availableQty;
+    fabric.lowStockThreshold = lowStockThreshold !== undefined ? lowStockThreshold : fabric.lowStockThreshold;
+    // Special handling for boolean `isAvailable` to allow setting it to `false`.
+    fabric.isAvailable = isAvailable !== undefined ? isAvailable : fabric.isAvailable;
+    // A fabric with no stock left can't be offered to customers.
+    if (fabric.availableQty != null && fabric.availableQty <= 0) fabric.isAvailable = false;
+
+    const updatedFabric = await fabric.save();
+    res.json(updatedFabric);
   } catch (err) {
-    res.status(400).json({ message: err.message });
+    res.status(err.statusCode || 400).json({ error: err.message });
   }
 });
 
@@ -101,20 +151,13 @@ router.put("/:id", async (req, res) => {
 // @route   DELETE /api/fabrics/:id
 // @access  Private (Tailor only)
 // This route allows a tailor to delete a fabric item from their inventory.
-// It finds the fabric by its ID and removes it from the database.
-router.delete("/:id", async (req, res) => {
+// The fabric has already been loaded and its ownership checked by `tailorOwnsFabric`.
+router.delete("/:id", protect, authorize("tailor"), validate({ params: idParams }), tailorOwnsFabric, async (req, res) => {
   try {
-    const fabric = await Fabric.findById(req.params.id);
-
-    if (fabric) {
-      // TODO: Add a security check to ensure only the owner can delete.
-      await fabric.remove(); // `remove()` is deprecated; `deleteOne()` is preferred.
-      res.json({ message: "Fabric removed" });
-    } else {
-      res.status(404).json({ message: "Fabric not found" });
-    }
+    await req.doc.deleteOne(); // `remove()` no longer exists on Mongoose 8 documents.
+    res.json({ message: "Fabric removed" });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    res.status(500).json({ error: err.message });
   }
 });
 
@@ -0,0 +1,42 @@
+// This file defines the API routes for the garment catalogue.
+// The app uses them to list the garments customers can order and to build the
+// measurement form for each one.
+
+import express from "express";
+import Garment from "../models/Garment.js"; // The Mongoose model for the Garment schema.
+import { validate } from "../middleware/validate.js"; // Checks each request against its schema.
+import { field } from "../utils/validation.js";
+
+const router = express.Router();
+
+// --- Request Schemas ---
+const garmentNameSchema = { params: { name: field.string({ max: 50, required: true }) } };
+
+// @desc    Get all garments that can be ordered
+// @route   GET /api/garments
+// @access  Public
+// Returns every active garment with its measurement fields, both in display order.
+router.get("/", async (req, res) => {
+  try {
+    const garments = await Garment.find({ isActive: true }).sort({ displayOrder: 1, name: 1 });
+    res.json(garments);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// @desc    Get a single garment by name
+// @route   GET /api/garments/:name
+// @access  Public
+// The name is matched case-insensitively, so "shirt" and "Shirt" return the same garment.
+router.get("/:name", validate(garmentNameSchema), async (req, res) => {
+  try {
+    const garment = await Garment.findActiveByName(req.params.name);
+    if (!garment) return res.status(404).json({ error: "Garment not found" });
+    res.json(garment);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
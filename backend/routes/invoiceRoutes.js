@@ -0,0 +1,96 @@
+// This file defines the API routes for order invoices and receipts.
+// An order's invoice is issued the first time either party asks for it and is refreshed with
+// every payment until the order is delivered, when it becomes the final receipt (see
+// `Invoice.issueFor` in models/Invoice.js). Only the order's customer and tailor can see it.
+
+import express from "express";
+import Order from "../models/Order.js"; // The Mongoose model for the Order schema.
+import Invoice from "../models/Invoice.js"; // The Mongoose model for the Invoice schema.
+import { protect, requireOwner } from "../middleware/authMiddleware.js";
+import { validate } from "../middleware/validate.js"; // Checks each request against its schema.
+import { field } from "../utils/validation.js";
+import { renderInvoiceHtml } from "../utils/invoices/html.js";
+import { renderInvoicePdf } from "../utils/invoices/pdf.js";
+import { invoiceTitle } from "../utils/invoices/index.js";
+import { sendEmail } from "../utils/mailer.js";
+
+const router = express.Router();
+
+// Loads the order from the URL and makes sure the logged-in user is its customer or tailor.
+const participatesInOrder = requireOwner(Order, (order, user) => order.isCustomer(user) || order.isTailor(user));
+
+// --- Request Schemas ---
+const idParams = { id: field.id({ required: true }) };
+const orderIdSchema = { params: idParams };
+const emailSchema = { params: idParams, body: { to: field.oneOf(["me", "customer"], { default: "me" }) } };
+
+// Issues or refreshes the invoice of the order loaded by `participatesInOrder`.
+const loadInvoice = async (req, res, next) => {
+  try {
+    req.invoice = await Invoice.issueFor(req.doc);
+    next();
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+};
+
+// @desc    Get an order's invoice (or receipt, once delivered)
+// @route   GET /api/invoices/orders/:id
+// @access  Private (the order's customer or tailor)
+router.get("/orders/:id", protect, validate(orderIdSchema), participatesInOrder, loadInvoice, (req, res) => {
+  res.json(req.invoice);
+});
+
+// @desc    View an order's invoice as a web page
+// @route   GET /api/invoices/orders/:id/html
+// @access  Private (the order's customer or tailor)
+router.get("/orders/:id/html", protect, validate(orderIdSchema), participatesInOrder, loadInvoice, (req, res) => {
+  res.type("html").send(renderInvoiceHtml(req.invoice));
+});
+
+// @desc    Download an order's invoice as a PDF
+// @route   GET /api/invoices/orders/:id/pdf
+// @access  Private (the order's customer or tailor)
+router.get("/orders/:id/pdf", protect, validate(orderIdSchema), participatesInOrder, loadInvoice, async (req, res) => {
+  try {
+    const pdf = await renderInvoicePdf(req.invoice);
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${req.invoice.number}.pdf"`,
+    });
+    res.send(pdf);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// @desc    Email an order's invoice, with the PDF attached
+// @route   POST /api/invoices/orders/:id/email
+// @access  Private (the order's customer or tailor)
+// Body: `{ to: "me" }` (the default) sends it to the logged-in user; a tailor can send
+// `{ to: "customer" }` to send it to the customer's email on the order.
+router.post("/orders/:id/email", protect, validate(emailSchema), participatesInOrder, loadInvoice, async (req, res) => {
+  try {
+    const { to } = req.body;
+    if (to === "customer" && !req.doc.isTailor(req.user)) return res.status(403).json({ error: "Only the tailor can send the invoice to the customer." });
+
+    const email = to === "customer" ? req.invoice.buyer.email : req.user.email;
+    if (!email) return res.status(400).json({ error: to === "customer" ? "The customer has no email address." : "Your account has no email address." });
+
+    const invoice = req.invoice;
+    const title = invoiceTitle(invoice);
+    await sendEmail({
+      to: email,
+      subject: `${title} ${invoice.number} from ${invoice.seller.shopName || invoice.seller.name}`,
+      text: `Please find attached ${title.toLowerCase()} ${invoice.number} for your ${invoice.orderSummary.garmentType} order.`,
+      html: renderInvoiceHtml(invoice),
+      attachments: [{ filename: `${invoice.number}.pdf`, type: "application/pdf", content: await renderInvoicePdf(invoice) }],
+    });
+    res.json({ message: `${title} sent to ${email}` });
+  } catch (err) {
+    // The mailer throws when SendGrid rejects the message or can't be reached.
+    res.status(502).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,114 @@
+// This file defines the API routes for the message thread of each order.
+// Only the order's customer and tailor can read or write in it. A thread becomes read-only
+// MESSAGE_THREAD_OPEN_DAYS after the order is closed (see `messagingClosesAt` in models/Order.js).
+
+import express from "express";
+import Order from "../models/Order.js"; // The Mongoose model for the Order schema.
+import Message, { MAX_MESSAGE_ATTACHMENTS } from "../models/Message.js"; // The Mongoose model for the Message schema.
+import Asset from "../models/Asset.js"; // Lets attachments be images uploaded through POST /api/uploads.
+import { protect, requireOwner } from "../middleware/authMiddleware.js";
+import { validate } from "../middleware/validate.js"; // Checks each request against its schema.
+import { field, pageQuery } from "../utils/validation.js";
+import { publish } from "../utils/realtime.js"; // Pushes new messages to the other participant's app.
+import { findPage } from "../utils/pagination.js";
+
+const router = express.Router();
+
+// Loads the order from the URL and makes sure the logged-in user is its customer or tailor.
+const participatesInOrder = requireOwner(Order, (order, user) => order.isCustomer(user) || order.isTailor(user));
+
+// --- Request Schemas ---
+const idParams = { id: field.id({ required: true }) };
+const orderIdSchema = { params: idParams };
+const listSchema = { params: idParams, query: pageQuery };
+const sendSchema = {
+  params: idParams,
+  body: {
+    text: field.string({ max: 2000 }),
+    // Each one an image URL or the ID of an image the sender uploaded.
+    attachmentUrls: field.array(field.string({ max: 2000 }), { max: MAX_MESSAGE_ATTACHMENTS }),
+  },
+};
+
+// The user at the other end of the thread. Resolves to `undefined` for an old order that
+// never recorded its customer's ID; they can still read the thread but get no live updates.
+const otherParticipant = (order, user) => (order.isTailor(user) ? order.customerId : order.tailorId);
+
+// Counts the messages in a thread that the other participant sent and the user hasn't read.
+const countUnread = (order, user) =>
+  Message.countDocuments({ orderId: order._id, senderId: { $ne: user._id }, readAt: null });
+
+// @desc    List an order's messages, newest first
+// @route   GET /api/messages/orders/:id?limit=20&cursor=
+// @access  Private (the order's customer or tailor)
+// Pass the previous page's `nextCursor` as `?cursor=` to load older messages.
+router.get("/orders/:id", protect, validate(listSchema), participatesInOrder, async (req, res) => {
+  try {
+    const order = req.doc;
+    const { page, nextCursor } = await findPage(Message, { orderId: order._id }, req.query);
+    res.json({
+      readOnly: !order.canMessage(),
+      closesAt: order.messagingClosesAt(),
+      unreadCount: await countUnread(order, req.user),
+      nextCursor,
+      messages: page,
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+// @desc    Send a message about an order
+// @route   POST /api/messages/orders/:id
+// @access  Private (the order's customer or tailor)
+// Body: `{ text, attachmentUrls }`. At least one of them is required. Each attachment may be
+// an image URL or the ID of an image the sender uploaded.
+router.post("/orders/:id", protect, validate(sendSchema), participatesInOrder, async (req, res) => {
+  try {
+    const order = req.doc;
+    if (!order.canMessage()) {
+      return res.status(409).json({ error: "This conversation is closed. The order was completed some time ago." });
+    }
+
+    const { text, attachmentUrls } = req.body;
+    const message = await Message.create({
+      orderId: order._id,
+      senderId: req.user._id,
+      senderRole: order.isTailor(req.user) ? "tailor" : "customer",
+      text,
+      attachmentUrls: attachmentUrls && (await Promise.all(attachmentUrls.map((value) => Asset.resolveUrl(value, req.user._id)))),
+    });
+
+    // No SSE `id` here: `Last-Event-ID` is reserved for replaying inbox notifications.
+    publish(otherParticipant(order, req.user), "message", message.toJSON());
+    res.status(201).json(message);
+  } catch (err) {
+    if (err.name === "ValidationError") return res.status(400).json({ error: err.message });
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+// @desc    Mark the other participant's messages in an order's thread as read
+// @route   POST /api/messages/orders/:id/read
+// @access  Private (the order's customer or tailor)
+// Reading is still allowed once the thread is read-only.
+router.post("/orders/:id/read", protect, validate(orderIdSchema), participatesInOrder, async (req, res) => {
+  try {
+    const order = req.doc;
+    const readAt = new Date();
+    const result = await Message.updateMany(
+      { orderId: order._id, senderId: { $ne: req.user._id }, readAt: null },
+      { $set: { readAt } }
+    );
+
+    // Lets the sender's app show the messages as read.
+    if (result.modifiedCount > 0) {
+      publish(otherParticipant(order, req.user), "messages-read", { orderId: order._id, readAt });
+    }
+    res.json({ marked: result.modifiedCount, unreadCount: 0 });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
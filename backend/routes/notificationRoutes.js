@@ -0,0 +1,147 @@
+// This file defines the API routes for the in-app notification inbox and the real-time stream.
+// The app keeps GET /stream open to hear about order changes and new notifications as they
+// happen, and uses GET / to catch up on anything it missed while it was offline.
+
+import express from "express";
+import mongoose from "mongoose";
+import Notification from "../models/Notification.js"; // The in-app inbox.
+import { protect } from "../middleware/authMiddleware.js";
+import { validate } from "../middleware/validate.js"; // Checks each request against its schema.
+import { field, pageQuery } from "../utils/validation.js";
+import { addClient, writeEvent } from "../utils/realtime.js";
+import { findPage, MAX_PAGE_SIZE } from "../utils/pagination.js";
+
+const router = express.Router();
+
+// Comment lines are sent this often so proxies don't close an idle stream.
+const HEARTBEAT_MS = 25 * 1000;
+// The longest delay `setTimeout` accepts; longer ones fire at once.
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// --- Request Schemas ---
+const streamSchema = { query: { token: field.string({ max: 2000 }), lastEventId: field.id() } };
+const listSchema = { query: { unread: field.boolean(), ...pageQuery } };
+const notificationIdSchema = { params: { id: field.id({ required: true }) } };
+
+// Browsers' EventSource can't set headers, so the stream also accepts the token as `?token=`.
+// It is only honoured on this route, and only when no Authorization header was sent.
+const allowQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// @desc    Open the real-time stream of order updates and notifications
+// @route   GET /api/notifications/stream
+// @access  Private (token in the Authorization header or as ?token=)
+// Server-Sent Events. The stream sends:
+//   ready          once connected, with `{ unreadCount }`.
+//   notification   a new inbox notification. Its SSE `id` is the notification's ID.
+//   order          `{ orderId, status, paymentStatus, promisedDate, updatedAt }` whenever one of
+//                  the user's orders is placed or changes status or payment status.
+//   message        a new message in one of the user's order threads (see routes/messageRoutes.js).
+//   messages-read  `{ orderId, readAt }` when the other participant has read the user's messages.
+// A client that reconnects with the `Last-Event-ID` header (sent automatically by EventSource)
+// first receives the notifications it missed since that ID.
+router.get("/stream", validate(streamSchema), allowQueryToken, protect, async (req, res) => {
+  // Listen for the client going away before anything is awaited: if it disconnects during the
+  // queries below, the stream must not be registered at all.
+  let closed = false;
+  let stop = () => {};
+  req.on("close", () => {
+    closed = true;
+    stop();
+  });
+
+  try {
+    const lastEventId = req.headers["last-event-id"] || req.query.lastEventId;
+    const missed = mongoose.isValidObjectId(lastEventId)
+      ? await Notification.find({ userId: req.user._id, _id: { $gt: lastEventId } }).sort({ _id: 1 }).limit(MAX_PAGE_SIZE)
+      : [];
+    const unreadCount = await Notification.countDocuments({ userId: req.user._id, readAt: null });
+    if (closed) return;
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // Stops nginx from buffering the stream.
+    });
+    res.flushHeaders();
+    res.write("retry: 5000\n\n"); // Ask EventSource to wait 5 seconds before reconnecting.
+
+    // Start listening before replaying, so nothing raised in between is lost. The client may
+    // see a notification twice in that case and should ignore IDs it already has.
+    const removeClient = addClient(req.user._id, res, req.sessionId);
+    writeEvent(res, "ready", { unreadCount });
+    for (const notification of missed) {
+      writeEvent(res, "notification", notification.toJSON(), String(notification._id));
+    }
+
+    const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), HEARTBEAT_MS);
+    // The stream ends when its access token does, so the app has to reconnect with a fresh one.
+    const expiry = setTimeout(() => res.end(), Math.min(req.tokenExpiresAt - Date.now(), MAX_TIMEOUT_MS));
+    stop = () => {
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      removeClient();
+    };
+  } catch (err) {
+    // Once the stream has started, the only thing left to do is close it.
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// @desc    List the logged-in user's notifications, newest first
+// @route   GET /api/notifications?unread=true&limit=20&cursor=
+// @access  Private
+// Pass the previous page's `nextCursor` as `?cursor=` to get older notifications.
+router.get("/", protect, validate(listSchema), async (req, res) => {
+  try {
+    const query = { userId: req.user._id };
+    if (req.query.unread) query.readAt = null;
+    const { page, nextCursor } = await findPage(Notification, query, req.query);
+    res.json({
+      unreadCount: await Notification.countDocuments({ userId: req.user._id, readAt: null }),
+      nextCursor,
+      notifications: page,
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+// @desc    Mark all of the logged-in user's notifications as read
+// @route   POST /api/notifications/read-all
+// @access  Private
+router.post("/read-all", protect, async (req, res) => {
+  try {
+    const result = await Notification.updateMany({ userId: req.user._id, readAt: null }, { $set: { readAt: new Date() } });
+    res.json({ marked: result.modifiedCount, unreadCount: 0 });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// @desc    Mark one notification as read
+// @route   POST /api/notifications/:id/read
+// @access  Private (the notification's owner)
+router.post("/:id/read", protect, validate(notificationIdSchema), async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, userId: req.user._id });
+    // Someone else's notification is reported as missing rather than forbidden.
+    if (!notification) return res.status(404).json({ error: "Notification not found" });
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+    res.json(notification);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -4,86 +4,274 @@
 // to interact with the order workflow, from creation to completion.
 
 import express from "express";
-import Order from "../models/Order.js"; // The Mongoose model for the Order schema.
+import Asset from "../models/Asset.js"; // Lets the customer's fabric photo be an uploaded image.
+import Invoice from "../models/Invoice.js"; // The final receipt is issued at delivery.
+import Order, { NEXT_STATUS, MAX_DELIVERY_OTP_ATTEMPTS, OPEN_WORK_STATUSES, OrderTransitionError } from "../models/Order.js"; // The Order model and its state machine.
+import { protect, authorize, requireOwner } from "../middleware/authMiddleware.js";
+import { validate } from "../middleware/validate.js"; // Checks each request against its schema.
+import { field } from "../utils/validation.js";
+import { notifyOrderEvent } from "../utils/notifications/index.js"; // Tells the customer and tailor what happened.
+import { calculateQuote, QuoteError } from "../utils/pricing.js"; // The server-side pricing engine.
+import { validateMeasurements, isBlankMeasurements } from "../utils/measurements.js";
+import { estimateReadyDate, getLocalDate } from "../utils/schedule.js"; // Works out promised dates.
 
 const router = express.Router();
 
-// A map defining the linear progression of order statuses.
-// This is used by the /update-status endpoint to automatically advance an order to the next stage.
-const STATUS_FLOW = {
-  ACCEPTED: "CUTTING",
-  CUTTING: "STITCHING",
-  STITCHING: "FINISHING",
-  FINISHING: "READY",
-  READY: "DELIVERED", // Simplified final step
+// Loads the order from the URL and makes sure it belongs to the logged-in tailor.
+const tailorOwnsOrder = requireOwner(Order, (order, user) => order.isTailor(user));
+
+// Loads the order from the URL and makes sure it was placed by the logged-in customer.
+const customerOwnsOrder = requireOwner(Order, (order, user) => order.isCustomer(user));
+
+// --- Request Schemas ---
+// What a customer can send when asking for a quote or placing an order. Everything else about
+// an order (customer and tailor details, prices, payment state, status, the delivery OTP and
+// fabric stock) is set by the server, so it is dropped from the request rather than trusted.
+const SLOT_REQUEST = field.object({
+  address: field.string({ max: 300 }),
+  date: field.string({ max: 10 }),
+  timeSlot: field.string({ max: 50 }),
+  slotHoldId: field.id(), // The slot the customer is holding (see routes/slotRoutes.js).
+});
+
+const ORDER_DETAILS = {
+  tailorId: field.id({ required: true }),
+  garmentType: field.string({ max: 50, required: true }),
+  items: field.array(field.string({ max: 50 }), { max: 20 }),
+  serviceType: field.oneOf(["STITCHING", "ALTERATION"]),
+  isTailorProvidingFabric: field.boolean(),
+  fabricDetails: field.object({
+    type: field.string({ max: 100 }),
+    length: field.string({ max: 20 }),
+    color: field.string({ max: 50 }),
+    photoPath: field.string({ max: 2000 }), // A photo URL or the ID of an uploaded image.
+    fabricId: field.id(),
+    quantity: field.number({ min: 0 }),
+  }),
+  handoverType: field.oneOf(["pickup", "drop"]),
+  pickup: SLOT_REQUEST,
+  measurementVisit: SLOT_REQUEST,
+  measurements: field.any(), // Checked against the garment's template by the route.
+  measurementUnit: field.oneOf(["cm", "inch"]),
+  measurementProfileId: field.id(),
+  payment: field.object({ depositMode: field.oneOf(["CASH", "ONLINE"]) }),
+};
+
+const quoteSchema = { body: ORDER_DETAILS };
+const createOrderSchema = { body: { ...ORDER_DETAILS, handoverType: field.oneOf(["pickup", "drop"], { required: true }) } };
+
+// The tabs of the tailor's dashboard, plus any single status.
+const TAILOR_ORDER_FILTERS = ["OVERDUE", "ONGOING", "REFUND_PENDING", ...Order.schema.path("status").enumValues];
+const tailorOrdersSchema = { query: { status: field.oneOf(TAILOR_ORDER_FILTERS) } };
+
+const idParams = { id: field.id({ required: true }) };
+const orderIdSchema = { params: idParams };
+// Status changes may come with a note, which is stored in the order's status history.
+const noteSchema = { params: idParams, body: { note: field.string({ max: 500 }) } };
+const cancelSchema = { params: idParams, body: { reason: field.string({ max: 500 }) } };
+const deliverSchema = { params: idParams, body: { otp: field.string({ max: 10, required: true }), note: field.string({ max: 500 }) } };
+
+// Sends the right response for an error raised while changing an order.
+// Illegal transitions and concurrent edits are conflicts (409); anything else is a server error.
+const sendOrderError = (res, err) => {
+  if (err instanceof OrderTransitionError) {
+    return res.status(err.statusCode).json({ error: err.message, currentStatus: err.from, requestedStatus: err.to });
+  }
+  if (err instanceof QuoteError) {
+    return res.status(err.statusCode).json({ error: err.message });
+  }
+  if (err.name === "VersionError") {
+    return res.status(409).json({ error: "This order was just updated by someone else. Please refresh and try again." });
+  }
+  res.status(500).json({ error: err.message });
 };
 
+// @desc    Get a price quote for an order
+// @route   POST /api/orders/quote
+// @access  Private (Customer only)
+// Takes the same order details as POST /api/orders and returns the itemised price,
+// the deposit and the remaining balance, without creating anything.
+router.post("/quote", protect, authorize("customer"), validate(quoteSchema), async (req, res) => {
+  try {
+    const { quote } = await calculateQuote(req.body);
+    res.json(quote);
+  } catch (err) {
+    sendOrderError(res, err);
+  }
+});
+
 // @desc    Create a new order
 // @route   POST /api/orders
-// @access  Public (should be protected in a real app)
-// This route handles the creation of a new order. It takes all the order details
+// @access  Private (Customer only)
+// This route handles the creation of a new order. It takes the order details
 // from the request body, generates a random 4-digit OTP for delivery verification,
-// and saves the new order to the database.
-router.post("/", async (req, res) => {
+// and saves the new order to the database. The customer's identity always comes
+// from their token, never from the request body. The delivery OTP is not part of the
+// response; the customer fetches it from /:id/delivery-otp.
+// Any prices sent by the app are ignored: the totals are recalculated by the pricing
+// engine, exactly as POST /api/orders/quote would show them.
+router.post("/", protect, authorize("customer"), validate(createOrderSchema), async (req, res) => {
   try {
-    // Generate a simple 4-digit OTP. In a real app, this should be more secure.
-    const deliveryOtp = Math.floor(1000 + Math.random() * 9000).toString();
-    const order = new Order({ ...req.body, deliveryOtp });
-    const saved = await order.save();
+    // This also makes sure the order is being placed with a real, active tailor.
+    const { quote, tailor, fabric, garment, items } = await calculateQuote(req.body);
+
+    // `req.body` has been through `createOrderSchema`, so it only holds what a customer may set.
+    const order = new Order({
+      ...req.body,
+      customerId: req.user._id,
+      customerName: req.user.name,
+      customerPhone: req.user.phone,
+      customerEmail: req.user.email,
+      // The tailor's contact details are copied from their profile, not from the request.
+      tailorId: tailor._id,
+      tailorName: tailor.name,
+      tailorPhone: tailor.phone,
+      tailorAddress: tailor.tailorDetails?.address,
+      // The pricing engine has already checked these against the garment catalogue.
+      garmentType: garment.name,
+      items,
+      serviceType: quote.serviceType,
+      priceBreakdown: quote.lineItems,
+      payment: {
+        totalAmount: quote.totalAmount,
+        depositAmount: quote.depositAmount,
+        remainingAmount: quote.remainingAmount,
+        depositMode: req.body.payment?.depositMode,
+      },
+    });
+    // A saved measurement profile replaces any raw measurements sent with the order.
+    if (req.body.measurementProfileId) {
+      const profile = req.user.customerDetails?.measurementProfiles?.id(req.body.measurementProfileId);
+      if (!profile) return res.status(400).json({ error: "Measurement profile not found" });
+      if (profile.garmentType.toLowerCase() !== String(order.garmentType).toLowerCase()) {
+        return res.status(400).json({ error: `That measurement profile is for a ${profile.garmentType}, not a ${order.garmentType}.` });
+      }
+      order.measurementProfileId = profile._id;
+      order.measurements = profile.measurements;
+      order.measurementUnit = profile.unit;
+    } else if (isBlankMeasurements(req.body.measurements)) {
+      // The customer wasn't sure of their measurements; the tailor will take them.
+      order.measurements = {};
+    } else {
+      const unit = req.body.measurementUnit || "inch";
+      const { measurements, errors } = validateMeasurements(garment, req.body.measurements, unit);
+      if (errors.length) return res.status(400).json({ error: errors.join(", "), errors });
+      order.measurements = measurements;
+      order.measurementUnit = unit;
+    }
+    // Fabric names and prices always come from the tailor's catalogue.
+    if (fabric) {
+      order.fabricDetails.name = fabric.name;
+      order.fabricDetails.pricePerMeter = fabric.pricePerMeter;
+    }
+    // A photo of the customer's own fabric may be a URL or the ID of an image they uploaded.
+    if (order.fabricDetails?.photoPath) {
+      order.fabricDetails.photoPath = await Asset.resolveUrl(order.fabricDetails.photoPath, req.user._id);
+    }
+    // Promise a date based on the tailor's capacity and the orders already in their queue.
+    const workload = await Order.workloadByTailor([tailor._id], order.garmentType);
+    order.promisedDate = estimateReadyDate(tailor.tailorDetails, order.garmentType, workload.get(String(tailor._id)) || 0, Math.max(order.items.length, 1));
+    order.issueDeliveryOtp(); // Always generated server-side, overriding anything in the body.
+    order.recordPlaced(req.user);
+
+    // A home pickup must use a slot the customer is holding, so two pickups can't clash.
+    const holds = { pickup: req.body.pickup?.slotHoldId, measurementVisit: req.body.measurementVisit?.slotHoldId };
+    if (order.handoverType === "pickup" && !holds.pickup) {
+      return res.status(400).json({ error: "Please pick a pickup slot (pickup.slotHoldId)." });
+    }
+    if (order.handoverType !== "pickup") delete holds.pickup;
+    // Slot details only ever come from a confirmed booking, never from the request body.
+    if (order.pickup) order.pickup.slotBookingId = undefined;
+    if (!holds.measurementVisit) order.measurementVisit = undefined;
+
+    // Confirm the slots and hold the tailor's fabric before saving, so neither can be given away twice.
+    await order.bookSlots(holds);
+    let saved;
+    try {
+      await order.reserveFabric();
+      saved = await order.save();
+    } catch (err) {
+      // Don't leave slots or stock held by an order that doesn't exist.
+      await order.releaseSlots();
+      await order.releaseFabric();
+      throw err;
+    }
+    await notifyOrderEvent("ORDER_PLACED", saved);
     res.status(201).json(saved); // Returns the newly created order with a 201 Created status.
   } catch (err) {
+    // Quote problems are client errors (400); running out of fabric stock is a conflict (409).
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+    // Anything else (e.g. a failed schema validation) is a problem with the submitted order.
     res.status(400).json({ error: err.message });
   }
 });
 
-// @desc    Get all orders for a specific customer
+// @desc    Get all orders for the logged-in customer
 // @route   GET /api/orders/customer
-// @access  Public (should be protected)
-// This route fetches all orders associated with a customer, identified by their phone number.
+// @access  Private (Customer only)
+// This route fetches all orders placed by the logged-in customer.
 // The results are sorted by creation date in descending order (newest first).
-router.get("/customer", async (req, res) => {
-  const { phone } = req.query;
-  if (!phone) return res.status(400).json({ error: "Phone required" });
-  const orders = await Order.find({ customerPhone: phone }).sort({ createdAt: -1 });
-  res.json(orders);
+router.get("/customer", protect, authorize("customer"), async (req, res) => {
+  try {
+    // Orders created before `customerId` was recorded are matched on the customer's phone number.
+    const orders = await Order.find({
+      $or: [{ customerId: req.user._id }, { customerId: { $exists: false }, customerPhone: req.user.phone }],
+    }).sort({ createdAt: -1 });
+    res.json(orders);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
-// @desc    Get orders for a specific tailor, filtered by status
+// @desc    Get orders for the logged-in tailor, filtered by status
 // @route   GET /api/orders/tailor
-// @access  Public (should be protected)
+// @access  Private (Tailor only)
 // This route is used by the tailor's dashboard to fetch orders based on their status.
-// It supports filtering for "ONGOING", "PLACED", or any other specific status.
-router.get("/tailor", async (req, res) => {
-  const { tailorId, status } = req.query;
-  if (!tailorId) return res.status(400).json({ error: "tailorId required" });
-
-  let query = { tailorId };
-  if (status === "ONGOING") {
-    // For "ONGOING", it fetches orders that are in any of the active work stages.
-    query.status = { $in: ["ACCEPTED", "CUTTING", "STITCHING", "FINISHING", "READY"] };
-  } else if (status === "PLACED") { // This handles the "New" tab for tailors.
-    query.status = "PLACED";
-  } else if (status) {
-    // For any other status (e.g., "DELIVERED"), it uses an exact match.
-    query.status = status;
-  }
-  // The results are sorted by the last update time, so the most recently changed orders appear first.
-  const orders = await Order.find(query).sort({ updatedAt: -1 });
-  res.json(orders);
+// It supports filtering for "ONGOING", "PLACED", "OVERDUE", or any other specific status.
+router.get("/tailor", protect, authorize("tailor"), validate(tailorOrdersSchema), async (req, res) => {
+  try {
+    const { status } = req.query;
+    // "Today" is the tailor's own calendar date, which decides which orders are overdue.
+    const today = getLocalDate(new Date(), req.user.tailorDetails?.timezone);
+
+    let query = { tailorId: req.user._id };
+    if (status === "OVERDUE") {
+      // Orders still waiting or in progress whose promised date has passed, most overdue first.
+      query.status = { $in: OPEN_WORK_STATUSES };
+      query.promisedDate = { $lt: today };
+    } else if (status === "ONGOING") {
+      // For "ONGOING", it fetches orders that are in any of the active work stages.
+      query.status = { $in: ["ACCEPTED", "CUTTING", "STITCHING", "FINISHING", "READY"] };
+    } else if (status === "PLACED") { // This handles the "New" tab for tailors.
+      query.status = "PLACED";
+    } else if (status === "REFUND_PENDING") {
+      // Cancelled orders whose deposit refund the tailor has not acknowledged yet.
+      query.status = "CANCELLED";
+      query["payment.refund.status"] = "PENDING";
+    } else if (status) {
+      // For any other status (e.g., "DELIVERED"), it uses an exact match.
+      query.status = status;
+    }
+    // The results are sorted by the last update time, so the most recently changed orders appear first.
+    const orders = await Order.find(query).sort(status === "OVERDUE" ? { promisedDate: 1 } : { updatedAt: -1 });
+    // Every order says whether it is overdue, so the app can flag it in any tab.
+    res.json(orders.map((order) => ({ ...order.toJSON(), isOverdue: order.isOverdue(today) })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // @desc    Get simple analytics for a tailor
 // @route   GET /api/orders/analytics
-// @access  Public (should be protected)
+// @access  Private (Tailor only)
 // This route provides basic analytics, such as counting the number of orders
-// created for a specific tailor on the current day.
-router.get("/analytics", async (req, res) => {
+// created for the logged-in tailor on the current day.
+// The full dashboard (revenue, rates, turnaround, CSV export) is under /api/analytics.
+router.get("/analytics", protect, authorize("tailor"), async (req, res) => {
   try {
-    const { tailorId } = req.query;
-    if (!tailorId) return res.status(400).json({ error: "tailorId required" });
-    // Counts documents for the tailorId created after the beginning of the current day.
+    // Counts documents for the tailor created after the beginning of the current day.
     const todayCount = await Order.countDocuments({ 
-      tailorId, 
+      tailorId: req.user._id, 
       createdAt: { $gte: new Date().setHours(0, 0, 0, 0) } 
     });
     res.json({ todayOrders: todayCount });
@@ -92,23 +280,47 @@ router.get("/analytics", async (req, res) => {
   }
 });
 
+// @desc    Get a single order
+// @route   GET /api/orders/:id
+// @access  Private (The order's customer or tailor)
+// Lets either party to an order view its full details.
+router.get("/:id", protect, validate(orderIdSchema), requireOwner(Order, (order, user) => order.isCustomer(user) || order.isTailor(user)), (req, res) => {
+  res.json(req.doc);
+});
+
 // @desc    Confirm that the initial deposit has been paid for an order
 // @route   POST /api/orders/:id/confirm-deposit
 // @access  Private (Tailor only)
-// This action is performed by the tailor. It updates the order's payment status
-// and automatically moves the order status to "ACCEPTED".
-router.post("/:id/confirm-deposit", async (req, res) => {
+// This action is performed by the tailor for deposits paid in cash. It updates the order's
+// payment status and, if the order is still waiting for the tailor, moves it to "ACCEPTED".
+// Online deposits are confirmed by the payment gateway instead (see routes/paymentRoutes.js).
+router.post("/:id/confirm-deposit", protect, authorize("tailor"), validate(orderIdSchema), tailorOwnsOrder, async (req, res) => {
   try {
-    const order = await Order.findById(req.params.id);
-    if (!order) return res.status(404).json({ error: "Order not found" });
+    const order = req.doc;
+
+    if (order.payment.depositStatus === "PAID") {
+      return res.status(409).json({ error: "The deposit has already been confirmed." });
+    }
+    if (order.payment.depositMode === "ONLINE") {
+      return res.status(409).json({ error: "Online deposits are confirmed automatically once the payment succeeds." });
+    }
+    const accepting = order.status === "PLACED";
+    if (accepting) {
+      order.transitionTo("ACCEPTED", req.user, "Deposit confirmed");
+    } else if (order.isFinal()) {
+      // Delivered, rejected and cancelled orders can no longer take a deposit.
+      throw new OrderTransitionError(`Cannot confirm a deposit on a ${order.status} order.`, order.status, order.status);
+    }
 
     order.payment.depositStatus = "PAID";
-    order.status = "ACCEPTED";
-    
+    order.payment.paymentStatus = "DEPOSIT_PAID";
+
     const updatedOrder = await order.save();
+    await notifyOrderEvent("DEPOSIT_CONFIRMED", updatedOrder);
+    if (accepting) await notifyOrderEvent("ORDER_ACCEPTED", updatedOrder);
     res.status(200).json(updatedOrder);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    sendOrderError(res, err);
   }
 });
 
@@ -116,15 +328,16 @@ router.post("/:id/confirm-deposit", async (req, res) => {
 // @route   POST /api/orders/:id/accept
 // @access  Private (Tailor only)
 // Allows a tailor to accept a newly placed order, changing its status to "ACCEPTED".
-router.post("/:id/accept", async (req, res) => {
+// An optional `note` in the body is stored in the order's status history.
+router.post("/:id/accept", protect, authorize("tailor"), validate(noteSchema), tailorOwnsOrder, async (req, res) => {
   try {
-    // `findByIdAndUpdate` is an efficient way to find and update a document in one step.
-    // `{ new: true }` ensures that the updated document is returned.
-    const order = await Order.findByIdAndUpdate(req.params.id, { status: "ACCEPTED" }, { new: true });
-    if (!order) return res.status(404).json({ error: "Order not found" });
+    const order = req.doc;
+    order.transitionTo("ACCEPTED", req.user, req.body.note);
+    await order.save();
+    await notifyOrderEvent("ORDER_ACCEPTED", order);
     res.json(order);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    sendOrderError(res, err);
   }
 });
 
@@ -132,34 +345,194 @@ router.post("/:id/accept", async (req, res) => {
 // @route   POST /api/orders/:id/reject
 // @access  Private (Tailor only)
 // Allows a tailor to reject a newly placed order, changing its status to "REJECTED".
-router.post("/:id/reject", async (req, res) => {
+// An optional `note` in the body (e.g., the reason) is stored in the order's status history.
+router.post("/:id/reject", protect, authorize("tailor"), validate(noteSchema), tailorOwnsOrder, async (req, res) => {
   try {
-    const order = await Order.findByIdAndUpdate(req.params.id, { status: "REJECTED" }, { new: true });
-    if (!order) return res.status(404).json({ error: "Order not found" });
+    const order = req.doc;
+    order.transitionTo("REJECTED", req.user, req.body.note);
+    await order.save();
+    await notifyOrderEvent("ORDER_REJECTED", order, { note: req.body.note });
     res.json(order);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    sendOrderError(res, err);
   }
 });
 
 // @desc    Update the status of an ongoing order to the next step
 // @route   POST /api/orders/:id/update-status
 // @access  Private (Tailor only)
-// This is a key endpoint for the tailor's workflow. It uses the `STATUS_FLOW` map
+// This is a key endpoint for the tailor's workflow. It uses the `NEXT_STATUS` map
 // to automatically advance the order to its next logical status.
-router.post("/:id/update-status", async (req, res) => {
+router.post("/:id/update-status", protect, authorize("tailor"), validate(noteSchema), tailorOwnsOrder, async (req, res) => {
   try {
-    const order = await Order.findById(req.params.id);
-    if (!order) return res.status(404).json({ error: "Order not found" });
+    const order = req.doc;
 
-    const next = STATUS_FLOW[order.status]; // Look up the next status in the flow.
-    if (!next) return res.status(400).json({ error: "No further status updates available" });
+    const next = NEXT_STATUS[order.status]; // Look up the next status in the flow.
+    if (order.status === "READY") {
+      throw new OrderTransitionError("Ask the customer for their delivery OTP to mark this order as delivered.", "READY", "DELIVERED");
+    }
+    if (!next) {
+      throw new OrderTransitionError("No further status updates available", order.status, null);
+    }
 
-    order.status = next;
+    order.transitionTo(next, req.user, req.body.note);
     await order.save();
+
+    // Keep the customer posted on progress. Once the garment is ready, they also get the code
+    // they will hand over at delivery.
+    await notifyOrderEvent(next === "READY" ? "ORDER_READY" : "ORDER_IN_PROGRESS", order);
     res.json(order);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    sendOrderError(res, err);
+  }
+});
+
+// @desc    Preview what cancelling an order would cost
+// @route   GET /api/orders/:id/cancellation
+// @access  Private (Customer only)
+// Lets the app show the cancellation fee and refund amount before the customer confirms.
+router.get("/:id/cancellation", protect, authorize("customer"), validate(orderIdSchema), customerOwnsOrder, (req, res) => {
+  res.json(req.doc.cancellationTerms());
+});
+
+// @desc    Cancel an order
+// @route   POST /api/orders/:id/cancel
+// @access  Private (Customer only)
+// Allows a customer to cancel their order while it is PLACED (free) or ACCEPTED (the
+// cancellation fee is kept out of the deposit). Once cutting has started the fabric is
+// committed, so cancellation is refused. If a deposit was paid, a refund entry is recorded
+// that the tailor must acknowledge. An optional `reason` is stored in the status history.
+router.post("/:id/cancel", protect, authorize("customer"), validate(cancelSchema), customerOwnsOrder, async (req, res) => {
+  try {
+    const order = req.doc;
+    const terms = order.cancellationTerms();
+
+    if (!terms.allowed) {
+      const message = order.isFinal()
+        ? `This order is already ${order.status}.`
+        : "Orders can no longer be cancelled once cutting has started.";
+      throw new OrderTransitionError(message, order.status, "CANCELLED");
+    }
+
+    order.transitionTo("CANCELLED", req.user, req.body.reason);
+    if (terms.depositPaid > 0) {
+      order.payment.refund = {
+        amount: terms.refundAmount,
+        cancellationFee: terms.cancellationFee,
+        status: "PENDING",
+        requestedAt: new Date(),
+      };
+    }
+
+    await order.save();
+    await notifyOrderEvent("ORDER_CANCELLED", order, { reason: req.body.reason });
+    res.json(order);
+  } catch (err) {
+    sendOrderError(res, err);
+  }
+});
+
+// @desc    Acknowledge that a cancelled order's deposit has been refunded
+// @route   POST /api/orders/:id/refund/acknowledge
+// @access  Private (Tailor only)
+// The tailor confirms they have returned the refund amount to the customer.
+router.post("/:id/refund/acknowledge", protect, authorize("tailor"), validate(orderIdSchema), tailorOwnsOrder, async (req, res) => {
+  try {
+    const order = req.doc;
+    if (order.payment.refund?.status !== "PENDING") {
+      return res.status(409).json({ error: "There is no pending refund on this order." });
+    }
+
+    order.payment.refund.status = "ACKNOWLEDGED";
+    order.payment.refund.acknowledgedAt = new Date();
+    await order.save();
+    res.json(order);
+  } catch (err) {
+    sendOrderError(res, err);
+  }
+});
+
+// @desc    Get the delivery OTP for an order
+// @route   GET /api/orders/:id/delivery-otp
+// @access  Private (Customer only)
+// The customer reads the code here and gives it to the tailor at handover.
+// It is never included in any other order response.
+router.get("/:id/delivery-otp", protect, authorize("customer"), validate(orderIdSchema), customerOwnsOrder, (req, res) => {
+  const order = req.doc;
+  res.json({ deliveryOtp: order.deliveryOtp, locked: order.isDeliveryOtpLocked() });
+});
+
+// @desc    Generate a new delivery OTP
+// @route   POST /api/orders/:id/delivery-otp/regenerate
+// @access  Private (Customer only)
+// Replaces the delivery OTP and resets the attempt counter, e.g. after the tailor
+// locked the old code with too many wrong guesses.
+router.post("/:id/delivery-otp/regenerate", protect, authorize("customer"), validate(orderIdSchema), customerOwnsOrder, async (req, res) => {
+  try {
+    const order = req.doc;
+    if (order.isFinal()) {
+      return res.status(409).json({ error: `This order is already ${order.status}.` });
+    }
+
+    const deliveryOtp = order.issueDeliveryOtp();
+    await order.save();
+    // Before the order is READY the customer hasn't been told about a code yet, so there is nothing to replace.
+    if (order.status === "READY") await notifyOrderEvent("DELIVERY_OTP_REISSUED", order);
+    res.json({ deliveryOtp, locked: false });
+  } catch (err) {
+    sendOrderError(res, err);
+  }
+});
+
+// @desc    Deliver an order using the customer's OTP
+// @route   POST /api/orders/:id/deliver
+// @access  Private (Tailor only)
+// The tailor enters the OTP the customer gives them at handover. A correct code moves
+// the order from READY to DELIVERED and marks the remaining balance as collected.
+// After MAX_DELIVERY_OTP_ATTEMPTS wrong codes the OTP is locked until the customer regenerates it.
+router.post("/:id/deliver", protect, authorize("tailor"), validate(deliverSchema), tailorOwnsOrder, async (req, res) => {
+  try {
+    const order = req.doc;
+    const { otp } = req.body;
+
+    if (!Order.canTransition(order.status, "DELIVERED", "tailor")) {
+      throw new OrderTransitionError(`Cannot deliver an order that is ${order.status}.`, order.status, "DELIVERED");
+    }
+    if (order.isDeliveryOtpLocked()) {
+      return res.status(429).json({ error: "Too many wrong attempts. Ask the customer to generate a new delivery OTP." });
+    }
+
+    if (otp !== order.deliveryOtp) {
+      order.deliveryOtpAttempts += 1;
+      await order.save();
+      return res.status(400).json({
+        error: "Invalid delivery OTP",
+        attemptsLeft: Math.max(MAX_DELIVERY_OTP_ATTEMPTS - order.deliveryOtpAttempts, 0),
+      });
+    }
+
+    order.transitionTo("DELIVERED", req.user, req.body.note);
+    // The balance is collected at handover, which settles the order in full.
+    order.payment.remainingAmount = 0;
+    order.payment.depositStatus = "PAID";
+    order.payment.paymentStatus = "PAID";
+    // The code has served its purpose and must not be reusable.
+    order.deliveryOtp = undefined;
+    order.deliveryOtpAttempts = 0;
+
+    await order.save();
+    await notifyOrderEvent("ORDER_DELIVERED", order);
+    // Finalize the receipt now, while the tailor's shop details match the handover. The order
+    // is already delivered, so a failure here is only logged; it is retried on the next request
+    // to GET /api/invoices/orders/:id.
+    try {
+      await Invoice.issueFor(order);
+    } catch (err) {
+      console.error(`❌ Could not issue the receipt for order ${order._id}:`, err.message);
+    }
+    res.json(order);
+  } catch (err) {
+    sendOrderError(res, err);
   }
 });
 
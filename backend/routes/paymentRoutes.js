@@ -0,0 +1,206 @@
+// This file defines the API routes for paying an order's deposit online.
+// The customer starts a payment, completes it in the gateway's checkout, and the result
+// reaches us twice: once from the app (signed checkout callback) and once from the
+// gateway itself (signed webhook). Either one is enough, and applying both is harmless.
+
+import express from "express";
+import Order from "../models/Order.js"; // The Mongoose model for the Order schema.
+import Payment from "../models/Payment.js"; // One document per online payment attempt.
+import { protect, authorize, requireOwner } from "../middleware/authMiddleware.js";
+import { validate } from "../middleware/validate.js"; // Checks each request against its schema.
+import { field } from "../utils/validation.js";
+import { getPaymentProvider, getPaymentProviderByName } from "../utils/payments/index.js";
+import { notifyOrderEvent } from "../utils/notifications/index.js"; // Tells both parties the deposit was paid.
+
+const router = express.Router();
+
+// --- Request Schemas ---
+// The webhook has none: its body is the gateway's, and is trusted only once its signature checks out.
+const depositSchema = { params: { id: field.id({ required: true }) } };
+const verifySchema = {
+  body: {
+    providerOrderId: field.string({ max: 100, required: true }),
+    providerPaymentId: field.string({ max: 100, required: true }),
+    signature: field.string({ max: 200, required: true }),
+  },
+};
+const mockCompleteSchema = { params: { providerOrderId: field.string({ max: 100, required: true }) } };
+
+// Applies a successful gateway payment to its order. It is idempotent: the order is only
+// updated while its deposit is still pending, and the payment is only marked PAID once,
+// so duplicate webhooks and callbacks change nothing.
+// The order is updated first, so a failure part-way through is fixed by the next retry.
+const settleDeposit = async (payment, providerPaymentId) => {
+  const order = await Order.findById(payment.orderId);
+  if (order && order.payment.depositStatus !== "PAID") {
+    order.payment.depositStatus = "PAID";
+    order.payment.paymentStatus = "DEPOSIT_PAID";
+    order.payment.transactionId = providerPaymentId;
+    order.payment.providerOrderId = payment.providerOrderId;
+    order.payment.depositPaidAt = new Date();
+    // If the order was cancelled or rejected while the customer was paying, the whole
+    // deposit is owed back to them.
+    if (order.isFinal() && order.status !== "DELIVERED") {
+      order.payment.refund = { amount: payment.amount, cancellationFee: 0, status: "PENDING", requestedAt: new Date() };
+    }
+    await order.save();
+    await notifyOrderEvent("DEPOSIT_CONFIRMED", order);
+  }
+
+  await Payment.updateOne(
+    { _id: payment._id, status: { $ne: "PAID" } },
+    { $set: { status: "PAID", providerPaymentId, paidAt: new Date() } }
+  );
+  return order;
+};
+
+// @desc    Start an online deposit payment
+// @route   POST /api/payments/orders/:id/deposit
+// @access  Private (Customer only)
+// Creates (or reuses) a gateway order for the deposit and returns what the app needs
+// to open the checkout.
+router.post(
+  "/orders/:id/deposit",
+  protect,
+  authorize("customer"),
+  validate(depositSchema),
+  requireOwner(Order, (order, user) => order.isCustomer(user)),
+  async (req, res) => {
+    try {
+      const order = req.doc;
+      if (order.payment.depositMode !== "ONLINE") {
+        return res.status(409).json({ error: "This order's deposit is paid in cash to the tailor." });
+      }
+      if (order.payment.depositStatus === "PAID") {
+        return res.status(409).json({ error: "The deposit has already been paid." });
+      }
+      if (order.isFinal()) {
+        return res.status(409).json({ error: `This order is already ${order.status}.` });
+      }
+
+      const provider = getPaymentProvider();
+      // Reuse an unfinished attempt so retrying checkout doesn't pile up gateway orders.
+      let payment = await Payment.findOne({
+        orderId: order._id,
+        provider: provider.name,
+        status: "CREATED",
+        amount: order.payment.depositAmount,
+      });
+
+      if (!payment) {
+        const gatewayOrder = await provider.createOrder({
+          amount: order.payment.depositAmount,
+          currency: "INR",
+          receipt: `deposit_${order._id}`,
+          notes: { orderId: String(order._id) },
+        });
+        payment = await Payment.create({
+          orderId: order._id,
+          customerId: req.user._id,
+          provider: provider.name,
+          amount: gatewayOrder.amount,
+          currency: gatewayOrder.currency,
+          providerOrderId: gatewayOrder.providerOrderId,
+        });
+      }
+
+      res.status(201).json({
+        provider: provider.name,
+        keyId: provider.publicKey(),
+        providerOrderId: payment.providerOrderId,
+        amount: payment.amount,
+        currency: payment.currency,
+      });
+    } catch (err) {
+      res.status(502).json({ error: err.message });
+    }
+  }
+);
+
+// @desc    Confirm a payment from the checkout callback
+// @route   POST /api/payments/verify
+// @access  Private (Customer only)
+// The app sends the IDs and signature the gateway's checkout returned. If the signature
+// is genuine, the deposit is marked as paid straight away, without waiting for the webhook.
+router.post("/verify", protect, authorize("customer"), validate(verifySchema), async (req, res) => {
+  try {
+    const { providerOrderId, providerPaymentId, signature } = req.body;
+
+    const payment = await Payment.findOne({ providerOrderId, customerId: req.user._id });
+    if (!payment) return res.status(404).json({ error: "Payment not found" });
+
+    const provider = getPaymentProviderByName(payment.provider);
+    if (!provider || !provider.verifyPaymentSignature({ providerOrderId, providerPaymentId, signature })) {
+      return res.status(400).json({ error: "Payment signature is invalid" });
+    }
+
+    const order = await settleDeposit(payment, providerPaymentId);
+    res.json(order);
+  } catch (err) {
+    if (err.name === "VersionError") {
+      return res.status(409).json({ error: "The order was updated at the same time. Please try again." });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// @desc    Receive payment events from the gateway
+// @route   POST /api/payments/webhook
+// @access  Public (verified by the gateway's signature)
+// The gateway calls this when a payment is captured or fails. Events we don't act on are
+// acknowledged with 200 so the gateway doesn't keep retrying them.
+router.post("/webhook", async (req, res) => {
+  try {
+    const provider = getPaymentProvider();
+    if (!provider.verifyWebhook(req.rawBody, req.headers)) {
+      return res.status(400).json({ error: "Invalid webhook signature" });
+    }
+
+    const event = provider.parseWebhookEvent(req.body);
+    if (!event) return res.json({ received: true });
+
+    const payment = await Payment.findOne({ providerOrderId: event.providerOrderId, provider: provider.name });
+    if (!payment) return res.json({ received: true }); // Not a deposit payment we created.
+
+    if (event.type === "PAID") {
+      if (event.amount < payment.amount) {
+        console.error(`❌ Webhook amount ${event.amount} is less than expected ${payment.amount} for ${payment.providerOrderId}`);
+        return res.json({ received: true });
+      }
+      await settleDeposit(payment, event.providerPaymentId);
+    } else if (event.type === "FAILED") {
+      // A failed attempt never overrides a payment that already succeeded.
+      await Payment.updateOne(
+        { _id: payment._id, status: "CREATED" },
+        { $set: { status: "FAILED", providerPaymentId: event.providerPaymentId, failureReason: req.body?.payload?.payment?.entity?.error_description } }
+      );
+    }
+
+    res.json({ received: true });
+  } catch (err) {
+    // A 500 makes the gateway retry later, which is what we want for temporary failures.
+    console.error("❌ Payment webhook error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// @desc    Simulate a successful checkout with the mock provider
+// @route   POST /api/payments/mock/:providerOrderId/complete
+// @access  Private (Customer only, mock provider only)
+// Returns the same `{ providerOrderId, providerPaymentId, signature }` a real checkout
+// would, ready to be sent to /verify. Disabled unless the mock provider is in use.
+router.post("/mock/:providerOrderId/complete", protect, authorize("customer"), validate(mockCompleteSchema), async (req, res) => {
+  try {
+    const provider = getPaymentProvider();
+    if (provider.name !== "mock") return res.status(404).json({ error: "Not found" });
+
+    const payment = await Payment.findOne({ providerOrderId: req.params.providerOrderId, customerId: req.user._id });
+    if (!payment) return res.status(404).json({ error: "Payment not found" });
+
+    res.json(provider.completePayment(payment.providerOrderId));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,129 @@
+// This file defines the API routes for tailor reviews.
+// Customers review a tailor once an order has been delivered, tailors can reply, and
+// anyone can read a tailor's reviews.
+
+import express from "express";
+import Order from "../models/Order.js"; // The Mongoose model for the Order schema.
+import Review, { MAX_REVIEW_PHOTOS } from "../models/Review.js"; // The Mongoose model for the Review schema.
+import User from "../models/User.js"; // Used to return the tailor's rating with their reviews.
+import { protect, authorize, requireOwner } from "../middleware/authMiddleware.js";
+import { validate } from "../middleware/validate.js"; // Checks each request against its schema.
+import { field, pageQuery } from "../utils/validation.js";
+import { findPage } from "../utils/pagination.js";
+
+const router = express.Router();
+
+// --- Request Schemas ---
+const idParams = { id: field.id({ required: true }) };
+const orderIdSchema = { params: idParams };
+const createReviewSchema = {
+  params: idParams,
+  body: {
+    rating: field.number({ integer: true, min: 1, max: 5, required: true }),
+    comment: field.string({ max: 2000 }),
+    photoUrls: field.array(field.string({ max: 2000 }), { max: MAX_REVIEW_PHOTOS }),
+  },
+};
+const replySchema = { params: idParams, body: { text: field.string({ max: 2000, required: true }) } };
+const tailorReviewsSchema = { params: { tailorId: field.id({ required: true }) }, query: pageQuery };
+
+// Turns Mongoose validation and duplicate-key errors into client errors.
+const sendReviewError = (res, err) => {
+  if (err.name === "ValidationError") return res.status(400).json({ error: err.message });
+  if (err.code === 11000) return res.status(409).json({ error: "This order has already been reviewed." });
+  res.status(500).json({ error: err.message });
+};
+
+// @desc    Review the tailor of a delivered order
+// @route   POST /api/reviews/orders/:id
+// @access  Private (Customer only)
+// Body: `{ rating, comment, photoUrls }`. `rating` is a whole number of stars from 1 to 5.
+router.post(
+  "/orders/:id",
+  protect,
+  authorize("customer"),
+  validate(createReviewSchema),
+  requireOwner(Order, (order, user) => order.isCustomer(user)),
+  async (req, res) => {
+    try {
+      const order = req.doc;
+      if (order.status !== "DELIVERED") {
+        return res.status(409).json({ error: "Only delivered orders can be reviewed." });
+      }
+
+      const { rating, comment, photoUrls } = req.body;
+      const review = await Review.create({
+        orderId: order._id,
+        tailorId: order.tailorId,
+        customerId: req.user._id,
+        customerName: req.user.name,
+        garmentType: order.garmentType,
+        rating,
+        comment,
+        photoUrls,
+      });
+      res.status(201).json(review);
+    } catch (err) {
+      sendReviewError(res, err);
+    }
+  }
+);
+
+// @desc    Get the review for an order
+// @route   GET /api/reviews/orders/:id
+// @access  Private (the order's customer or tailor)
+router.get(
+  "/orders/:id",
+  protect,
+  validate(orderIdSchema),
+  requireOwner(Order, (order, user) => order.isCustomer(user) || order.isTailor(user)),
+  async (req, res) => {
+    try {
+      const review = await Review.findOne({ orderId: req.doc._id });
+      if (!review) return res.status(404).json({ error: "This order hasn't been reviewed yet." });
+      res.json(review);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// @desc    Reply to a review
+// @route   POST /api/reviews/:id/reply
+// @access  Private (Tailor only, for reviews of their own work)
+// Body: `{ text }`. Sending a new reply replaces the previous one.
+router.post("/:id/reply", protect, authorize("tailor"), validate(replySchema), requireOwner(Review, "tailorId"), async (req, res) => {
+  try {
+    const { text } = req.body;
+    const review = req.doc;
+    review.reply = { text, repliedAt: new Date() };
+    await review.save();
+    res.json(review);
+  } catch (err) {
+    sendReviewError(res, err);
+  }
+});
+
+// @desc    Get a tailor's reviews
+// @route   GET /api/reviews/tailors/:tailorId?limit=20&cursor=
+// @access  Public
+// Returns one page of reviews, newest first, with the tailor's overall rating. Reviews hidden
+// by an admin are left out. Pass the previous page's `nextCursor` as `?cursor=` to load older ones.
+router.get("/tailors/:tailorId", validate(tailorReviewsSchema), async (req, res) => {
+  try {
+    const tailor = await User.findOne({ _id: req.params.tailorId, role: "tailor" }, { name: 1, tailorDetails: 1 });
+    if (!tailor) return res.status(404).json({ error: "Tailor not found" });
+
+    const { page, nextCursor } = await findPage(Review, { tailorId: tailor._id, hiddenAt: null }, req.query);
+    res.json({
+      rating: tailor.tailorDetails?.rating ?? 0,
+      reviewCount: tailor.tailorDetails?.reviewCount ?? 0,
+      nextCursor,
+      reviews: page,
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,121 @@
+// This file defines the free-text search API.
+// A single query such as "silk blouse" or "linen shirt near Andheri" is matched against
+// tailors (shop name, specializations, city and landmark) and fabrics (name, type and colour).
+// Results can be limited to an area around the customer, and every fabric links back to
+// the tailor who sells it.
+
+import express from "express";
+import User, { LISTED_TAILOR_FILTER } from "../models/User.js"; // The Mongoose model for the User schema.
+import Fabric from "../models/Fabric.js"; // The Mongoose model for the Fabric schema.
+import { validate } from "../middleware/validate.js"; // Checks each request against its schema.
+import { field } from "../utils/validation.js";
+import { parseLimit } from "../utils/pagination.js";
+import { getMaxSearchRadiusKm, withinRadius, distanceKm } from "../utils/geo.js";
+
+const router = express.Router();
+
+const SEARCH_TYPES = ["all", "tailors", "fabrics"];
+const MAX_QUERY_LENGTH = 100;
+
+// --- Request Schemas ---
+const searchSchema = {
+  query: {
+    q: field.string({ max: MAX_QUERY_LENGTH, required: true }),
+    type: field.oneOf(SEARCH_TYPES, { default: "all" }),
+    lat: field.number({ min: -90, max: 90 }),
+    lng: field.number({ min: -180, max: 180 }),
+    radius: field.number({ min: 0 }),
+    limit: field.number({ integer: true, min: 1 }),
+  },
+};
+
+// Rounds a distance to metres, in kilometres.
+const roundKm = (km) => Math.round(km * 1000) / 1000;
+
+// Finds listed tailors matching the query, best match first.
+const searchTailors = async (q, area, limit) => {
+  const query = { $text: { $search: q }, ...LISTED_TAILOR_FILTER };
+  if (area) query.location = withinRadius(area.lng, area.lat, area.radius);
+
+  const tailors = await User.find(query, { score: { $meta: "textScore" }, name: 1, location: 1, tailorDetails: 1 })
+    .sort({ score: { $meta: "textScore" } })
+    .limit(limit)
+    .lean();
+
+  return tailors.map(({ location, ...tailor }) => ({
+    ...tailor,
+    distance: area && location?.coordinates ? roundKm(distanceKm([area.lng, area.lat], location.coordinates)) : undefined,
+  }));
+};
+
+// Finds available fabrics matching the query, best match first. Each fabric carries a
+// short summary of its tailor; fabrics hidden by an admin, or whose tailor isn't listed (or is
+// outside the area), are skipped.
+const searchFabrics = async (q, area, limit) => {
+  const match = { $text: { $search: q }, isAvailable: true, hiddenAt: null };
+  if (area) {
+    const tailorIds = await User.find({ ...LISTED_TAILOR_FILTER, location: withinRadius(area.lng, area.lat, area.radius) }).distinct("_id");
+    match.tailorId = { $in: tailorIds };
+  }
+
+  const fabrics = await Fabric.aggregate([
+    { $match: match }, // A $text match must be the first stage.
+    { $addFields: { score: { $meta: "textScore" } } },
+    { $sort: { score: -1 } },
+    {
+      $lookup: {
+        from: User.collection.name,
+        localField: "tailorId",
+        foreignField: "_id",
+        as: "tailor",
+        pipeline: [
+          { $match: LISTED_TAILOR_FILTER },
+          { $project: { name: 1, location: 1, "tailorDetails.shopName": 1, "tailorDetails.city": 1, "tailorDetails.rating": 1, "tailorDetails.reviewCount": 1 } },
+        ],
+      },
+    },
+    { $unwind: "$tailor" }, // Drops fabrics whose tailor wasn't found.
+    { $limit: limit },
+  ]);
+
+  return fabrics.map(({ tailor: { location, ...tailor }, ...fabric }) => ({
+    ...fabric,
+    tailor: {
+      ...tailor,
+      distance: area && location?.coordinates ? roundKm(distanceKm([area.lng, area.lat], location.coordinates)) : undefined,
+    },
+  }));
+};
+
+// @desc    Search tailors and fabrics by free text
+// @route   GET /api/search?q=silk+blouse&type=all&lat=..&lng=..&radius=..&limit=20
+// @access  Public
+// `type` limits the search to "tailors" or "fabrics". When `lat`/`lng` are given, only
+// tailors (and their fabrics) within `radius` km are returned, each with its distance.
+// Results are ranked by how well they match the text.
+router.get("/", validate(searchSchema), async (req, res) => {
+  try {
+    const { q, type, lat, lng, radius } = req.query;
+
+    let area = null;
+    if (lat !== undefined || lng !== undefined) {
+      if (lat === undefined || lng === undefined) return res.status(400).json({ error: "lat and lng must be sent together" });
+      // Without a radius, search as wide as we allow.
+      const maxRadius = getMaxSearchRadiusKm();
+      area = { lat, lng, radius: Math.min(radius || maxRadius, maxRadius) };
+    }
+
+    const limit = parseLimit(req.query.limit);
+    const [tailors, fabrics] = await Promise.all([
+      type === "fabrics" ? [] : searchTailors(q, area, limit),
+      type === "tailors" ? [] : searchFabrics(q, area, limit),
+    ]);
+
+    res.json({ query: q, radius: area?.radius, tailors, fabrics });
+  } catch (err) {
+    console.error("❌ Search Error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,177 @@
+// This file defines the API routes for booking home pickups and measurement visits.
+// Customers list a tailor's free slots, hold one while they check out, and the hold turns
+// into a booking when the order is placed (see POST /api/orders). Unused holds lapse on their
+// own after a few minutes, and bookings are freed when an order is cancelled or rejected.
+
+import express from "express";
+import User, { LISTED_TAILOR_FILTER } from "../models/User.js"; // The Mongoose model for the User schema.
+import Slot from "../models/Slot.js"; // The bookings made against each slot.
+import { protect, authorize } from "../middleware/authMiddleware.js";
+import { validate } from "../middleware/validate.js"; // Checks each request against its schema.
+import { field } from "../utils/validation.js";
+import { SLOT_KINDS, getSlotSettings, generateSlots, findSlot, offersSlotKind } from "../utils/slots.js";
+import { getLocalDate, parseCalendarDate } from "../utils/schedule.js";
+
+const router = express.Router();
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// --- Request Schemas ---
+const slotKind = field.oneOf(Object.keys(SLOT_KINDS), { default: "PICKUP" });
+// `days` is capped at SLOT_BOOKING_DAYS by the routes.
+const rangeQuery = { from: field.calendarDate(), days: field.number({ integer: true, min: 1 }) };
+const tailorSlotsSchema = { params: { tailorId: field.id({ required: true }) }, query: { kind: slotKind, ...rangeQuery } };
+const holdSchema = {
+  body: {
+    tailorId: field.id({ required: true }),
+    kind: slotKind,
+    date: field.calendarDate({ required: true }),
+    start: field.string({ max: 5, required: true }), // As listed by GET /tailors/:tailorId, e.g. "09:00".
+  },
+};
+const holdIdSchema = { params: { holdId: field.id({ required: true }) } };
+const bookedSlotsSchema = { query: rangeQuery };
+
+// Loads an active tailor and checks they offer the requested kind of slot. Sends the error
+// response and resolves to `null` if not.
+const loadTailorForKind = async (res, tailorId, kind) => {
+  const tailor = await User.findOne({ _id: tailorId, ...LISTED_TAILOR_FILTER }, { name: 1, tailorDetails: 1 });
+  if (!tailor) {
+    res.status(404).json({ error: "Tailor not found" });
+    return null;
+  }
+  if (!offersSlotKind(tailor.tailorDetails, kind)) {
+    res.status(409).json({ error: `This tailor does not offer ${kind === "PICKUP" ? "home pickup" : "measurement visits"}.` });
+    return null;
+  }
+  return tailor;
+};
+
+// @desc    List a tailor's pickup or measurement-visit slots
+// @route   GET /api/slots/tailors/:tailorId?kind=PICKUP&from=YYYY-MM-DD&days=7
+// @access  Public
+// Returns every slot in the range with how many places are left, so the app can grey out
+// full ones. `from` defaults to today in the tailor's timezone.
+router.get("/tailors/:tailorId", validate(tailorSlotsSchema), async (req, res) => {
+  try {
+    const { kind } = req.query;
+    const tailor = await loadTailorForKind(res, req.params.tailorId, kind);
+    if (!tailor) return;
+
+    const { capacity, bookingDays } = getSlotSettings();
+    const from = req.query.from ? parseCalendarDate(req.query.from) : getLocalDate(new Date(), tailor.tailorDetails.timezone);
+    const days = Math.min(req.query.days || 7, bookingDays);
+
+    const slots = generateSlots(tailor.tailorDetails, kind, from, days);
+    const stored = await Slot.find({
+      tailorId: tailor._id,
+      kind,
+      date: { $gte: from, $lt: new Date(from.getTime() + days * MS_PER_DAY) },
+    });
+    const taken = new Map(stored.map((slot) => [`${slot.date.toISOString().slice(0, 10)} ${slot.start}`, slot.activeCount()]));
+
+    res.json({
+      tailorId: tailor._id,
+      kind,
+      capacity,
+      slots: slots.map((slot) => {
+        const remaining = Math.max(capacity - (taken.get(`${slot.date} ${slot.start}`) || 0), 0);
+        return { ...slot, remaining, available: remaining > 0 };
+      }),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// @desc    Hold a slot while checking out
+// @route   POST /api/slots/holds
+// @access  Private (Customer only)
+// Body: `{ tailorId, kind, date: "YYYY-MM-DD", start: "09:00" }`. The hold lasts SLOT_HOLD_MINUTES;
+// pass its `holdId` as `pickup.slotHoldId` (or `measurementVisit.slotHoldId`) when placing the order.
+// Holding another time with the same tailor replaces the customer's earlier hold.
+router.post("/holds", protect, authorize("customer"), validate(holdSchema), async (req, res) => {
+  try {
+    const { tailorId, kind, date, start } = req.body;
+    const tailor = await loadTailorForKind(res, tailorId, kind);
+    if (!tailor) return;
+
+    const slot = findSlot(tailor.tailorDetails, kind, date, start);
+    if (!slot) return res.status(400).json({ error: "That slot isn't available. Please pick one from the slot list." });
+
+    // Only one hold per customer, tailor and kind: give up any other slot they were holding.
+    const others = await Slot.find({
+      tailorId: tailor._id,
+      kind,
+      bookings: { $elemMatch: { customerId: req.user._id, status: "HELD" } },
+    });
+    for (const other of others) {
+      for (const booking of other.bookings) {
+        if (booking.status === "HELD" && booking.customerId.equals(req.user._id)) await Slot.releaseHold(booking._id, req.user._id);
+      }
+    }
+
+    const { capacity, holdMinutes } = getSlotSettings();
+    const result = await Slot.hold({ tailorId: tailor._id, kind, slot, customerId: req.user._id, capacity, holdMinutes });
+    if (!result) return res.status(409).json({ error: "Sorry, that slot has just been taken. Please pick another one." });
+
+    res.status(201).json({
+      holdId: result.hold._id,
+      kind,
+      date: slot.date,
+      start: slot.start,
+      end: slot.end,
+      label: slot.label,
+      expiresAt: result.hold.expiresAt,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// @desc    Give up a held slot
+// @route   DELETE /api/slots/holds/:holdId
+// @access  Private (Customer only)
+// Lets the app free a slot straight away when the customer leaves checkout, instead of
+// waiting for the hold to lapse. Confirmed bookings are freed by cancelling the order.
+router.delete("/holds/:holdId", protect, authorize("customer"), validate(holdIdSchema), async (req, res) => {
+  try {
+    const released = await Slot.releaseHold(req.params.holdId, req.user._id);
+    if (!released) return res.status(404).json({ error: "Hold not found" });
+    res.json({ released: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// @desc    Get the logged-in tailor's booked slots
+// @route   GET /api/slots/tailor?from=YYYY-MM-DD&days=7
+// @access  Private (Tailor only)
+// Lists the tailor's upcoming pickups and measurement visits with the orders they belong to.
+router.get("/tailor", protect, authorize("tailor"), validate(bookedSlotsSchema), async (req, res) => {
+  try {
+    const from = req.query.from ? parseCalendarDate(req.query.from) : getLocalDate(new Date(), req.user.tailorDetails?.timezone);
+    const days = Math.min(req.query.days || 7, getSlotSettings().bookingDays);
+
+    const slots = await Slot.find({
+      tailorId: req.user._id,
+      date: { $gte: from, $lt: new Date(from.getTime() + days * MS_PER_DAY) },
+      "bookings.status": "BOOKED",
+    })
+      .sort({ date: 1, start: 1 })
+      .populate("bookings.orderId", "customerName customerPhone garmentType status pickup measurementVisit");
+
+    res.json(slots.map((slot) => ({
+      kind: slot.kind,
+      date: slot.date.toISOString().slice(0, 10),
+      start: slot.start,
+      end: slot.end,
+      label: slot.label,
+      orders: slot.bookings.filter((booking) => booking.status === "BOOKED").map((booking) => booking.orderId),
+    })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,162 @@
+// This file defines the API routes for uploading images.
+// An upload is checked, resized into several sizes (see utils/images.js) and stored by the
+// configured storage adapter (see utils/storage/index.js). The returned asset ID can then be
+// sent wherever the app used to send an image URL: a fabric's `imageUrl`, an order's
+// `fabricDetails.photoPath` or a message's `attachmentUrls`.
+// Tailors' profile, shop and work-gallery photos are managed entirely through these routes.
+
+import express from "express";
+import multer from "multer"; // Parses multipart/form-data uploads.
+import User from "../models/User.js"; // Profile, shop and work photos are shown on the tailor's profile.
+import Asset, { ASSET_PURPOSES } from "../models/Asset.js";
+import { protect, requireOwner } from "../middleware/authMiddleware.js";
+import { validate } from "../middleware/validate.js"; // Checks each request against its schema.
+import { field } from "../utils/validation.js";
+import { processImage, getMaxUploadBytes, ImageError } from "../utils/images.js";
+import { getStorage, getStorageByName } from "../utils/storage/index.js";
+
+const router = express.Router();
+
+// The most photos a tailor's work gallery can hold.
+const MAX_WORK_PHOTOS = 30;
+
+// The tailor profile field each single-photo purpose fills in.
+const PROFILE_FIELDS = { profile: "tailorDetails.profilePictureUrl", shop: "tailorDetails.shopImageUrl" };
+
+// --- Request Schemas ---
+// The form fields sent with an upload; the file itself is read by `readImage`.
+const uploadSchema = { body: { purpose: field.oneOf(Object.keys(ASSET_PURPOSES), { required: true }) } };
+const listSchema = { query: { purpose: field.oneOf(Object.keys(ASSET_PURPOSES)) } };
+const gallerySchema = { params: { tailorId: field.id({ required: true }) } };
+const assetIdSchema = { params: { id: field.id({ required: true }) } };
+
+// Reads a single file from the `image` form field into memory. It is only written to storage
+// once it has been checked and resized.
+const readImage = (req, res, next) => {
+  multer({ storage: multer.memoryStorage(), limits: { fileSize: getMaxUploadBytes(), files: 1 } }).single("image")(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({ error: `Images can be at most ${Number((getMaxUploadBytes() / 1024 / 1024).toFixed(2))} MB.` });
+    }
+    res.status(400).json({ error: err.message });
+  });
+};
+
+// Deletes an asset's files. Failures are only logged: a stray file is harmless.
+const removeFiles = async (asset) => {
+  const storage = getStorageByName(asset.storage);
+  for (const variant of asset.variants) {
+    try {
+      await storage.remove(variant.key);
+    } catch (err) {
+      console.error(`❌ Could not delete ${variant.key} of asset ${asset._id}:`, err.message);
+    }
+  }
+};
+
+// Deletes an asset and its files.
+const removeAsset = async (asset) => {
+  await asset.deleteOne();
+  await removeFiles(asset);
+};
+
+// @desc    Upload an image
+// @route   POST /api/uploads
+// @access  Private
+// multipart/form-data with the file in `image` and what it is for in `purpose` (see ASSET_PURPOSES
+// in models/Asset.js). JPEG, PNG and WebP images up to UPLOAD_MAX_BYTES (default 5 MB) are accepted.
+// Uploading a `profile` or `shop` photo replaces the tailor's current one; a `work` photo is
+// added to their gallery.
+router.post("/", protect, readImage, validate(uploadSchema), async (req, res) => {
+  let asset;
+  try {
+    const { purpose } = req.body;
+    if (!ASSET_PURPOSES[purpose].includes(req.user.role)) {
+      return res.status(403).json({ error: "You do not have permission to perform this action." });
+    }
+    if (!req.file) return res.status(400).json({ error: "Please attach an image in the `image` field." });
+    if (purpose === "work" && (await Asset.countDocuments({ ownerId: req.user._id, purpose })) >= MAX_WORK_PHOTOS) {
+      return res.status(409).json({ error: `Your work gallery can hold at most ${MAX_WORK_PHOTOS} photos. Remove one first.` });
+    }
+
+    const image = await processImage(req.file.buffer, req.file.mimetype);
+
+    // Files are written before the asset is saved; anything written is removed again on failure.
+    const storage = getStorage();
+    asset = new Asset({ ownerId: req.user._id, purpose, storage: storage.name, width: image.width, height: image.height });
+    for (const variant of image.variants) {
+      const key = `assets/${asset._id}/${variant.name}.jpg`;
+      const url = await storage.put(key, variant.buffer, "image/jpeg");
+      asset.variants.push({ name: variant.name, key, url, width: variant.width, height: variant.height, size: variant.buffer.length });
+    }
+    asset.url = asset.variants[asset.variants.length - 1].url;
+    asset.thumbnailUrl = asset.variants[0].url;
+    await asset.save();
+
+    if (PROFILE_FIELDS[purpose]) {
+      await User.updateOne({ _id: req.user._id }, { $set: { [PROFILE_FIELDS[purpose]]: asset.url } });
+      // The previous photo is no longer shown anywhere.
+      const previous = await Asset.find({ ownerId: req.user._id, purpose, _id: { $ne: asset._id } });
+      for (const old of previous) await removeAsset(old);
+    } else if (purpose === "work") {
+      await User.updateOne({ _id: req.user._id }, { $push: { "tailorDetails.workPhotoUrls": asset.url } });
+    }
+
+    res.status(201).json(asset);
+  } catch (err) {
+    if (asset && asset.isNew) await removeFiles(asset);
+    if (err instanceof ImageError) return res.status(err.statusCode).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// @desc    List the logged-in user's uploads, newest first
+// @route   GET /api/uploads?purpose=work
+// @access  Private
+router.get("/", protect, validate(listSchema), async (req, res) => {
+  try {
+    const query = { ownerId: req.user._id };
+    if (req.query.purpose) query.purpose = req.query.purpose;
+    const assets = await Asset.find(query).sort({ createdAt: -1 });
+    res.json(assets);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// @desc    Get a tailor's work gallery, newest first
+// @route   GET /api/uploads/gallery/:tailorId
+// @access  Public
+router.get("/gallery/:tailorId", validate(gallerySchema), async (req, res) => {
+  try {
+    const photos = await Asset.find(
+      { ownerId: req.params.tailorId, purpose: "work" },
+      { url: 1, thumbnailUrl: 1, width: 1, height: 1, createdAt: 1 }
+    ).sort({ createdAt: -1 });
+    res.json({ count: photos.length, photos });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// @desc    Delete one of the logged-in user's uploads
+// @route   DELETE /api/uploads/:id
+// @access  Private (the uploader)
+// Removes the photo from the tailor's profile or work gallery too. Images already used
+// elsewhere, e.g. as a fabric's image, stop loading once deleted.
+router.delete("/:id", protect, validate(assetIdSchema), requireOwner(Asset, "ownerId"), async (req, res) => {
+  try {
+    const asset = req.doc;
+    if (PROFILE_FIELDS[asset.purpose]) {
+      await User.updateOne({ _id: req.user._id, [PROFILE_FIELDS[asset.purpose]]: asset.url }, { $unset: { [PROFILE_FIELDS[asset.purpose]]: 1 } });
+    } else if (asset.purpose === "work") {
+      await User.updateOne({ _id: req.user._id }, { $pull: { "tailorDetails.workPhotoUrls": asset.url } });
+    }
+    await removeAsset(asset);
+    res.json({ message: "Image removed" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,229 @@
+// This file defines the API routes for the logged-in user's own profile: reading it, editing
+// the fields their role allows, changing their email or phone number (confirmed by a code
+// sent to the new one) and changing their password.
+// Capacity settings and measurement profiles have their own routes in authRoutes.js, and
+// profile photos are set through uploadRoutes.js.
+
+import express from "express";
+import bcrypt from "bcryptjs"; // For checking and hashing passwords.
+import User from "../models/User.js"; // The Mongoose model for the User schema.
+import Session from "../models/Session.js"; // Other devices are logged out after a password change.
+import { protect } from "../middleware/authMiddleware.js";
+import { issueOtp, verifyOtp, OtpError } from "../utils/otp.js"; // Confirms a new email or phone number.
+import { validate } from "../middleware/validate.js"; // Checks each request against its schema.
+import { field } from "../utils/validation.js";
+
+const router = express.Router();
+
+// The error for a request that can't be carried out as sent.
+const badRequest = (message) => {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+};
+
+// --- EDITABLE FIELDS ---
+// What each role may change with PATCH /me. Anything else in the body is dropped, so fields
+// such as `role`, `status`, `isVerified`, ratings or the tailor's approval can't be set by the
+// user. `null` clears an optional field, so those are `nullable`.
+const optionalText = (max) => field.string({ max, nullable: true });
+const amount = field.number({ min: 0, nullable: true });
+
+const COMMON_FIELDS = {
+  name: field.string({ max: 100 }),
+  // Only declared so the route can point to the endpoints that change them.
+  email: field.any(),
+  phone: field.any(),
+};
+
+const CUSTOMER_FIELDS = {
+  customerDetails: field.object({
+    address: optionalText(300),
+    city: optionalText(100),
+    state: optionalText(100),
+    landmark: optionalText(200),
+    pin: field.pinCode({ nullable: true }),
+  }),
+};
+
+const TAILOR_FIELDS = {
+  tailorDetails: field.object({
+    shopName: optionalText(100),
+    gstin: field.gstin({ nullable: true }),
+    experience: field.number({ integer: true, min: 0, max: 80, nullable: true }),
+    specializations: field.array(field.string({ max: 50, required: true }), { max: 30, nullable: true }),
+    workingDays: field.array(field.dayName({ required: true }), { max: 7, nullable: true }),
+    workingHours: field.object({ open: field.timeOfDay({ nullable: true }), close: field.timeOfDay({ nullable: true }) }),
+    pricing: field.object({ basePrice: amount, alterationPrice: amount }),
+    homePickup: field.boolean(),
+    measurementVisit: field.boolean(),
+    providesFabric: field.boolean(),
+    address: optionalText(300),
+    city: optionalText(100),
+    state: optionalText(100),
+    zipCode: field.pinCode({ nullable: true }),
+    landmark: optionalText(200),
+  }),
+  location: field.geoPoint(),
+};
+
+const PROFILE_SCHEMAS = {
+  customer: validate({ body: { ...COMMON_FIELDS, ...CUSTOMER_FIELDS } }),
+  tailor: validate({ body: { ...COMMON_FIELDS, ...TAILOR_FIELDS } }),
+  admin: validate({ body: COMMON_FIELDS }),
+};
+
+// Checks a profile update against the fields the user's role may change.
+const validateProfile = (req, res, next) => (PROFILE_SCHEMAS[req.user.role] || PROFILE_SCHEMAS.admin)(req, res, next);
+
+// Turns a checked body such as `{ tailorDetails: { pricing: { basePrice: 300 } } }` into
+// `{ "tailorDetails.pricing.basePrice": 300 }`, the paths to set. The location is kept whole.
+const flatten = (body, prefix = "", out = {}) => {
+  for (const [key, value] of Object.entries(body)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (path !== "location" && value && typeof value === "object" && !Array.isArray(value)) flatten(value, path, out);
+    else out[path] = value;
+  }
+  return out;
+};
+
+// What to store for a checked value: `null` clears a field (an empty list for lists), and
+// lists lose their duplicates.
+const toStored = (value, path, user) => {
+  if (value === null) return Array.isArray(user.get(path)) ? [] : undefined;
+  return Array.isArray(value) ? [...new Set(value)] : value;
+};
+
+// --- CONTACT CHANGES ---
+// A new email or phone number only replaces the old one once the user enters the code sent to it.
+const CONTACT_CHANGES = {
+  email: { purpose: "EMAIL_CHANGE", channel: "email", value: field.email({ required: true }), label: "email address" },
+  phone: { purpose: "PHONE_CHANGE", channel: "sms", value: field.phone({ required: true }), label: "phone number" },
+};
+
+// --- REQUEST SCHEMAS ---
+const passwordSchema = { body: { currentPassword: field.password({ required: true }), newPassword: field.newPassword({ required: true }) } };
+const contactVerifySchema = { body: { otp: field.string({ max: 10, required: true }) } };
+
+// Answers with the right status for the errors these routes can raise.
+const sendUserError = (res, err) => {
+  if (err instanceof OtpError) {
+    if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+    return res.status(err.statusCode).json({ error: err.message, retryAfter: err.retryAfter, attemptsLeft: err.attemptsLeft });
+  }
+  if (err.code === 11000) return res.status(409).json({ error: "Another account already uses this email or phone number." });
+  if (err.name === "ValidationError") return res.status(400).json({ error: err.message });
+  res.status(err.statusCode || 500).json({ error: err.message });
+};
+
+// Checks the user's current password, which is needed to change how they log in.
+const checkPassword = async (userId, password) => {
+  const user = await User.findById(userId);
+  if (!user || !(await bcrypt.compare(password, user.password))) {
+    throw badRequest("Your current password is incorrect.");
+  }
+  return user;
+};
+
+// @desc    Get my profile
+// @route   GET /api/users/me
+// @access  Private
+router.get("/me", protect, (req, res) => {
+  res.json(req.user);
+});
+
+// @desc    Update my profile
+// @route   PATCH /api/users/me
+// @access  Private
+// Send only the fields to change, nested as in the profile, e.g.
+// `{ "tailorDetails": { "pricing": { "basePrice": 350 } }, "location": { "type": "Point", "coordinates": [77.59, 12.97] } }`.
+// Customers can change their name and address; tailors their name, shop details, hours,
+// prices, services and location. `null` clears an optional field.
+router.patch("/me", protect, validateProfile, async (req, res) => {
+  try {
+    const user = req.user;
+    const { email, phone, ...body } = req.body;
+    if (email !== undefined || phone !== undefined) {
+      return res.status(400).json({ error: "Use POST /api/users/me/email or /api/users/me/phone to change your email or phone number." });
+    }
+    const changes = flatten(body);
+    if (Object.keys(changes).length === 0) return res.status(400).json({ error: "Nothing to update" });
+
+    for (const [path, value] of Object.entries(changes)) {
+      user.set(path, toStored(value, path, user));
+    }
+    await user.save();
+    res.json(user);
+  } catch (err) {
+    sendUserError(res, err);
+  }
+});
+
+// @desc    Change my password
+// @route   POST /api/users/me/password
+// @access  Private
+// Body: `{ currentPassword, newPassword }`. Every other device is logged out.
+router.post("/me/password", protect, validate(passwordSchema), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await checkPassword(req.user._id, currentPassword);
+    if (await bcrypt.compare(newPassword, user.password)) {
+      return res.status(400).json({ error: "The new password must be different from the current one" });
+    }
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
+    const { modifiedCount } = await Session.revokeOthers(user._id, "PASSWORD_CHANGED", req.sessionId);
+    res.json({ message: "Password changed successfully!", loggedOutDevices: modifiedCount });
+  } catch (err) {
+    sendUserError(res, err);
+  }
+});
+
+for (const [contact, { purpose, channel, value: contactField, label }] of Object.entries(CONTACT_CHANGES)) {
+  const changeSchema = { body: { [contact]: contactField, password: field.password({ required: true }) } };
+
+  // @desc    Send a code to a new email address or phone number
+  // @route   POST /api/users/me/email  |  POST /api/users/me/phone
+  // @access  Private
+  // Body: `{ email, password }` or `{ phone, password }`. Nothing changes until the code is entered.
+  router.post(`/me/${contact}`, protect, validate(changeSchema), async (req, res) => {
+    try {
+      const value = req.body[contact];
+      if (value === req.user[contact]) return res.status(400).json({ error: `This is already your ${label}` });
+
+      await checkPassword(req.user._id, req.body.password);
+      if (await User.exists({ [contact]: value, _id: { $ne: req.user._id } })) {
+        return res.status(409).json({ error: `Another account already uses this ${label}.` });
+      }
+
+      const { expiresAt, resendAfter } = await issueOtp(req.user, purpose, channel, { to: value });
+      res.json({ message: `A code has been sent to ${value}.`, expiresAt, resendAfter });
+    } catch (err) {
+      sendUserError(res, err);
+    }
+  });
+
+  // @desc    Confirm a new email address or phone number with the code sent to it
+  // @route   POST /api/users/me/email/verify  |  POST /api/users/me/phone/verify
+  // @access  Private
+  // Body: `{ otp }`.
+  router.post(`/me/${contact}/verify`, protect, validate(contactVerifySchema), async (req, res) => {
+    try {
+      const value = await verifyOtp(req.user, purpose, req.body.otp);
+
+      // Someone may have taken it while the code was on its way.
+      if (await User.exists({ [contact]: value, _id: { $ne: req.user._id } })) {
+        return res.status(409).json({ error: `Another account already uses this ${label}.` });
+      }
+
+      req.user[contact] = value;
+      await req.user.save();
+      res.json({ message: `Your ${label} has been updated.`, user: req.user });
+    } catch (err) {
+      sendUserError(res, err);
+    }
+  });
+}
+
+export default router;
@@ -0,0 +1,43 @@
+// This script makes an existing user an admin. Nobody can sign up as an admin through the
+// API, so this is how the first (and every later) admin account is created.
+//
+// Usage: npm run create-admin -- someone@example.com
+// The user must have signed up and verified their email first. It uses MONGO_URI from .env.
+
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.resolve(__dirname, "../.env") });
+
+const email = process.argv[2];
+if (!email) {
+  console.error("Usage: npm run create-admin -- <email>");
+  process.exit(1);
+}
+
+try {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const user = await User.findOne({ email: email.trim() });
+  if (!user) throw new Error(`No user with the email ${email}.`);
+  if (!user.isVerified) throw new Error(`${email} hasn't verified their email yet.`);
+
+  if (user.role === "admin") {
+    console.log(`ℹ️ ${user.name} <${user.email}> is already an admin.`);
+  } else {
+    const from = user.role;
+    user.role = "admin";
+    user.status = "ACTIVE";
+    await user.save(); // The role is read on every request, so it applies straight away.
+    console.log(`✅ ${user.name} <${user.email}> is now an admin (was ${from}).`);
+  }
+} catch (err) {
+  console.error("❌", err.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
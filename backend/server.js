@@ -18,6 +18,8 @@ const __dirname = path.dirname(__filename);
 // Construct the absolute path to the .env file.
 const envPath = path.resolve(__dirname, ".env");
 // Load the environment variables from the specified path.
+// ES module imports are evaluated before this line runs, so no module may read `process.env`
+// at import time: settings are read inside functions, when they are first needed.
 dotenv.config({ path: envPath });
 
 // --- Core Imports ---
@@ -30,6 +32,21 @@ import cors from "cors"; // A middleware to enable Cross-Origin Resource Sharing
 import authRoutes from "./routes/authRoutes.js";
 import orderRoutes from "./routes/orderRoutes.js";
 import fabricRoutes from "./routes/fabricRoutes.js"; // This was missing from your live server
+import paymentRoutes from "./routes/paymentRoutes.js"; // Online deposit payments and gateway webhooks.
+import garmentRoutes from "./routes/garmentRoutes.js"; // The garment catalogue and its measurement templates.
+import reviewRoutes from "./routes/reviewRoutes.js"; // Tailor reviews and replies.
+import searchRoutes from "./routes/searchRoutes.js"; // Free-text search across tailors and fabrics.
+import slotRoutes from "./routes/slotRoutes.js"; // Pickup and measurement-visit slot booking.
+import notificationRoutes from "./routes/notificationRoutes.js"; // The in-app inbox and the real-time stream.
+import messageRoutes from "./routes/messageRoutes.js"; // Customer–tailor message threads per order.
+import uploadRoutes from "./routes/uploadRoutes.js"; // Image uploads and the tailor's work gallery.
+import analyticsRoutes from "./routes/analyticsRoutes.js"; // The tailor's business dashboard and CSV exports.
+import invoiceRoutes from "./routes/invoiceRoutes.js"; // Order invoices and delivery receipts as HTML and PDF.
+import userRoutes from "./routes/userRoutes.js"; // The logged-in user's profile, contact details and password.
+import adminRoutes from "./routes/adminRoutes.js"; // Admin tools: tailor approval, moderation and the audit log.
+import Garment from "./models/Garment.js"; // Needed to seed the garment catalogue on startup.
+import { startOutboxWorker } from "./utils/notifications/index.js"; // Sends and retries queued notifications.
+import { getStorage } from "./utils/storage/index.js"; // Where uploaded images are kept.
 
 // --- Express App Initialization ---
 const app = express();
@@ -42,13 +59,38 @@ const app = express();
 app.use(cors());
 // `express.json()`: This is a built-in middleware that parses incoming requests with JSON payloads.
 // It makes the JSON data available on the `req.body` property.
-app.use(express.json());
+// Payment webhooks are signed over the exact bytes that were sent, so for those requests
+// the unparsed body is also kept on `req.rawBody`.
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith("/api/payments/webhook")) req.rawBody = buf.toString("utf8");
+  },
+}));
 
 // --- API Route Mounting ---
 // This section connects the imported route handlers to specific URL prefixes.
 app.use("/api/auth", authRoutes); // All routes defined in authRoutes.js will be prefixed with /api/auth
 app.use("/api/orders", orderRoutes); // All routes defined in orderRoutes.js will be prefixed with /api/orders
 app.use("/api/fabrics", fabricRoutes); // This line makes the fabric API work
+app.use("/api/payments", paymentRoutes); // All routes defined in paymentRoutes.js will be prefixed with /api/payments
+app.use("/api/garments", garmentRoutes); // All routes defined in garmentRoutes.js will be prefixed with /api/garments
+app.use("/api/reviews", reviewRoutes); // All routes defined in reviewRoutes.js will be prefixed with /api/reviews
+app.use("/api/search", searchRoutes); // All routes defined in searchRoutes.js will be prefixed with /api/search
+app.use("/api/slots", slotRoutes); // All routes defined in slotRoutes.js will be prefixed with /api/slots
+app.use("/api/notifications", notificationRoutes); // All routes defined in notificationRoutes.js will be prefixed with /api/notifications
+app.use("/api/messages", messageRoutes); // All routes defined in messageRoutes.js will be prefixed with /api/messages
+app.use("/api/uploads", uploadRoutes); // All routes defined in uploadRoutes.js will be prefixed with /api/uploads
+app.use("/api/analytics", analyticsRoutes); // All routes defined in analyticsRoutes.js will be prefixed with /api/analytics
+app.use("/api/invoices", invoiceRoutes); // All routes defined in invoiceRoutes.js will be prefixed with /api/invoices
+app.use("/api/users", userRoutes); // All routes defined in userRoutes.js will be prefixed with /api/users
+app.use("/api/admin", adminRoutes); // All routes defined in adminRoutes.js will be prefixed with /api/admin
+
+// When uploads are kept on this server's disk, serve them from /uploads. An uploaded file
+// never changes (a new upload gets a new ID), so clients may cache it for good.
+const storage = getStorage();
+if (storage.publicDir) {
+  app.use("/uploads", express.static(storage.publicDir(), { immutable: true, maxAge: "365d" }));
+}
 
 // --- Root Route / Health Check ---
 // This defines a simple GET route for the server's root URL.
@@ -61,9 +103,14 @@ app.get("/", (req, res) => {
 // This block handles the connection to the MongoDB database using the URI from environment variables.
 mongoose
   .connect(process.env.MONGO_URI) // Attempt to connect to the database.
-  .then(() => {
+  .then(async () => {
     // This `.then()` block is executed if the connection is successful.
     console.log("✅ MongoDB Connected");
+    // Make sure the built-in garments exist, so orders can be validated on a fresh database.
+    const seeded = await Garment.seedDefaults();
+    if (seeded > 0) console.log(`🧵 Seeded ${seeded} garment(s) into the catalogue`);
+    // Keep sending notifications that are queued in the outbox, including retries.
+    startOutboxWorker();
     // Define the port the server will listen on, using the environment variable or defaulting to 10000.
     const PORT = process.env.PORT || 10000;
     // Start the Express server, making it listen for incoming requests on the specified port.
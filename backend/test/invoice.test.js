@@ -0,0 +1,80 @@
+// Unit tests for invoice numbering in models/Invoice.js.
+// The database calls are replaced with mocks that behave like the MongoDB queries.
+
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Invoice from "../models/Invoice.js";
+import User from "../models/User.js";
+import Counter from "../models/Counter.js";
+
+const tailorId = new mongoose.Types.ObjectId();
+const order = {
+  _id: new mongoose.Types.ObjectId(),
+  tailorId,
+  customerId: new mongoose.Types.ObjectId(),
+  status: "ACCEPTED",
+  garmentType: "Shirt",
+  payment: { totalAmount: 1000, depositAmount: 0 },
+};
+
+// A stand-in for the invoices collection, and the numbers handed out by the counter.
+let invoices;
+let claimed;
+beforeEach((t) => {
+  invoices = [];
+  claimed = 0;
+  const matches = (invoice, query) =>
+    (query._id === undefined || String(invoice._id) === String(query._id)) &&
+    (query.orderId === undefined || String(invoice.orderId) === String(query.orderId)) &&
+    (query.number?.$exists !== false || !invoice.number);
+
+  t.mock.method(User, "findById", async () => ({ name: "Tailor", tailorDetails: {} }));
+  t.mock.method(Counter, "next", async () => ++claimed);
+  t.mock.method(Invoice, "findOne", async (query) => {
+    const invoice = invoices.find((i) => matches(i, query));
+    return invoice ? Invoice.hydrate(invoice) : null;
+  });
+  t.mock.method(Invoice, "findById", async (id) => Invoice.findOne({ _id: id }));
+  t.mock.method(Invoice, "findOneAndUpdate", async (query, update, options) => {
+    let invoice = invoices.find((i) => matches(i, query));
+    const updatedExisting = Boolean(invoice);
+    if (!invoice && options.upsert) {
+      invoice = { _id: new mongoose.Types.ObjectId(), ...query, ...update.$setOnInsert, kind: "INVOICE", createdAt: new Date() };
+      invoices.push(invoice);
+    }
+    if (invoice) Object.assign(invoice, update.$set);
+    const doc = invoice ? Invoice.hydrate({ ...invoice }) : null;
+    return options.includeResultMetadata ? { value: doc, lastErrorObject: { updatedExisting } } : doc;
+  });
+  t.mock.method(Invoice.prototype, "save", async function () {
+    Object.assign(invoices.find((i) => String(i._id) === String(this._id)), this.toObject());
+    return this;
+  });
+});
+
+test("issueFor numbers a new invoice once and reuses it afterwards", async () => {
+  const year = new Date().getUTCFullYear();
+  const invoice = await Invoice.issueFor(order);
+  assert.equal(invoice.number, `INV-${year}-0001`);
+  assert.equal(invoice.total, 1000);
+
+  const again = await Invoice.issueFor(order);
+  assert.equal(again.number, invoice.number);
+  assert.equal(claimed, 1);
+});
+
+test("issueFor claims no number while another request is numbering the invoice", async () => {
+  invoices.push({ _id: new mongoose.Types.ObjectId(), orderId: order._id, tailorId, kind: "INVOICE", createdAt: new Date() });
+
+  await assert.rejects(Invoice.issueFor(order), { statusCode: 409 });
+  assert.equal(claimed, 0);
+});
+
+test("issueFor numbers an invoice whose issuing request failed", async () => {
+  invoices.push({ _id: new mongoose.Types.ObjectId(), orderId: order._id, tailorId, kind: "INVOICE", createdAt: new Date(Date.now() - 60 * 1000) });
+
+  const invoice = await Invoice.issueFor(order);
+  assert.match(invoice.number, /^INV-\d{4}-0001$/);
+  assert.equal(claimed, 1);
+});
@@ -0,0 +1,146 @@
+// Unit tests for the order state machine in models/Order.js. No database is needed:
+// the rules are checked on unsaved order documents.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Fabric from "../models/Fabric.js";
+import Order, { ORDER_TRANSITIONS, NEXT_STATUS, MAX_DELIVERY_OTP_ATTEMPTS, OrderTransitionError } from "../models/Order.js";
+
+const tailor = { _id: "64b000000000000000000001", role: "tailor", name: "Tailor" };
+const customer = { _id: "64b000000000000000000002", role: "customer", name: "Customer" };
+const admin = { _id: "64b000000000000000000003", role: "admin", name: "Admin" };
+
+const orderIn = (status, extra = {}) => new Order({ status, ...extra });
+
+test("the tailor's production flow follows NEXT_STATUS", () => {
+  for (const [from, to] of Object.entries(NEXT_STATUS)) {
+    assert.ok(Order.canTransition(from, to, "tailor"), `${from} → ${to}`);
+    assert.ok(!Order.canTransition(from, to, "customer"), `customer ${from} → ${to}`);
+  }
+  // Delivery needs the customer's OTP, so it isn't a plain "next step".
+  assert.equal(NEXT_STATUS.READY, undefined);
+  assert.ok(Order.canTransition("READY", "DELIVERED", "tailor"));
+});
+
+test("only the tailor can accept or reject a placed order", () => {
+  assert.ok(Order.canTransition("PLACED", "ACCEPTED", "tailor"));
+  assert.ok(Order.canTransition("PLACED", "REJECTED", "tailor"));
+  assert.ok(!Order.canTransition("PLACED", "ACCEPTED", "customer"));
+  assert.ok(!Order.canTransition("PLACED", "REJECTED", "customer"));
+  assert.ok(!Order.canTransition("PLACED", "REJECTED", "admin"));
+});
+
+test("customers can only cancel before cutting starts; admins can cancel at any open stage", () => {
+  for (const status of Object.keys(ORDER_TRANSITIONS)) {
+    assert.equal(Order.canTransition(status, "CANCELLED", "customer"), ["PLACED", "ACCEPTED"].includes(status), status);
+    assert.ok(Order.canTransition(status, "CANCELLED", "admin"), status);
+    assert.ok(!Order.canTransition(status, "CANCELLED", "tailor"), status);
+  }
+});
+
+test("stages can't be skipped or reversed", () => {
+  assert.ok(!Order.canTransition("PLACED", "CUTTING", "tailor"));
+  assert.ok(!Order.canTransition("ACCEPTED", "READY", "tailor"));
+  assert.ok(!Order.canTransition("STITCHING", "CUTTING", "tailor"));
+  assert.ok(!Order.canTransition("UNKNOWN", "ACCEPTED", "tailor"));
+});
+
+test("DELIVERED, REJECTED and CANCELLED are final", () => {
+  for (const status of ["DELIVERED", "REJECTED", "CANCELLED"]) {
+    assert.ok(orderIn(status).isFinal(), status);
+    assert.ok(!Order.canTransition(status, "CANCELLED", "admin"), status);
+  }
+  assert.ok(!orderIn("READY").isFinal());
+});
+
+test("transitionTo moves the order and records who did it", () => {
+  const order = orderIn("PLACED");
+  order.transitionTo("ACCEPTED", tailor, "On it");
+  assert.equal(order.status, "ACCEPTED");
+  const entry = order.statusHistory.at(-1);
+  assert.equal(entry.from, "PLACED");
+  assert.equal(entry.to, "ACCEPTED");
+  assert.equal(entry.actor.role, "tailor");
+  assert.equal(entry.note, "On it");
+});
+
+test("transitionTo refuses illegal moves and moves by the wrong role", () => {
+  const order = orderIn("PLACED");
+  assert.throws(() => order.transitionTo("READY", tailor), (err) => err instanceof OrderTransitionError && err.statusCode === 409);
+  assert.throws(() => order.transitionTo("ACCEPTED", customer), /A customer cannot move an order from PLACED to ACCEPTED/);
+  assert.equal(order.status, "PLACED");
+  assert.equal(order.statusHistory.length, 0);
+});
+
+test("cancellationTerms charges the fee only once the order was accepted", () => {
+  const previous = process.env.CANCELLATION_FEE;
+  process.env.CANCELLATION_FEE = "100";
+  try {
+    const payment = { depositAmount: 300, depositStatus: "PAID" };
+    assert.deepEqual(orderIn("PLACED", { payment }).cancellationTerms(), { allowed: true, depositPaid: 300, cancellationFee: 0, refundAmount: 300 });
+    assert.deepEqual(orderIn("ACCEPTED", { payment }).cancellationTerms(), { allowed: true, depositPaid: 300, cancellationFee: 100, refundAmount: 200 });
+    assert.deepEqual(orderIn("CUTTING", { payment }).cancellationTerms(), { allowed: false, depositPaid: 300, cancellationFee: 0, refundAmount: 0 });
+    // The fee is never more than was paid.
+    const unpaid = { depositAmount: 300, depositStatus: "PENDING" };
+    assert.deepEqual(orderIn("ACCEPTED", { payment: unpaid }).cancellationTerms(), { allowed: true, depositPaid: 0, cancellationFee: 0, refundAmount: 0 });
+  } finally {
+    if (previous === undefined) delete process.env.CANCELLATION_FEE;
+    else process.env.CANCELLATION_FEE = previous;
+  }
+});
+
+test("the delivery OTP never leaves the server in an order's JSON", () => {
+  const order = orderIn("READY");
+  const otp = order.issueDeliveryOtp();
+  assert.match(otp, /^\d{4}$/);
+  const json = order.toJSON();
+  assert.equal(json.deliveryOtp, undefined);
+  assert.equal(json.deliveryOtpAttempts, undefined);
+});
+
+test("the delivery OTP locks after too many wrong attempts, until a new one is issued", () => {
+  const order = orderIn("READY");
+  order.issueDeliveryOtp();
+  order.deliveryOtpAttempts = MAX_DELIVERY_OTP_ATTEMPTS - 1;
+  assert.ok(!order.isDeliveryOtpLocked());
+  order.deliveryOtpAttempts += 1;
+  assert.ok(order.isDeliveryOtpLocked());
+  order.issueDeliveryOtp();
+  assert.ok(!order.isDeliveryOtpLocked());
+});
+
+test("transitionTo keeps the fabric reservation in step with the order", () => {
+  const fabricDetails = { fabricId: "64b000000000000000000004", quantity: 2, stockStatus: "RESERVED" };
+
+  const cut = orderIn("ACCEPTED", { isTailorProvidingFabric: true, fabricDetails });
+  cut.transitionTo("CUTTING", tailor);
+  assert.equal(cut.fabricDetails.stockStatus, "CONSUMED");
+  assert.equal(cut.$locals.stockAction, "consume");
+
+  const cancelled = orderIn("ACCEPTED", { isTailorProvidingFabric: true, fabricDetails });
+  cancelled.transitionTo("CANCELLED", admin);
+  assert.equal(cancelled.fabricDetails.stockStatus, "RELEASED");
+  assert.equal(cancelled.$locals.stockAction, "release");
+});
+
+test("reserveFabric refuses an order when the stock has run out", async (t) => {
+  const fabricDetails = { fabricId: "64b000000000000000000004", quantity: 2 };
+  t.mock.method(Fabric, "reserve", async () => null);
+
+  const order = orderIn("PLACED", { isTailorProvidingFabric: true, fabricDetails });
+  await assert.rejects(order.reserveFabric(), (err) => err.statusCode === 409);
+  assert.equal(order.fabricDetails.stockStatus, undefined);
+
+  Fabric.reserve.mock.mockImplementation(async () => ({}));
+  await order.reserveFabric();
+  assert.equal(order.fabricDetails.stockStatus, "RESERVED");
+});
+
+test("an open order is overdue once its promised date has passed", () => {
+  const promisedDate = new Date("2026-10-20T00:00:00Z");
+  assert.ok(!orderIn("STITCHING", { promisedDate }).isOverdue(new Date("2026-10-20T00:00:00Z")));
+  assert.ok(orderIn("STITCHING", { promisedDate }).isOverdue(new Date("2026-10-21T00:00:00Z")));
+  // Orders that are ready or finished can't be late any more.
+  assert.ok(!orderIn("READY", { promisedDate }).isOverdue(new Date("2026-10-21T00:00:00Z")));
+  assert.ok(!orderIn("STITCHING").isOverdue(new Date("2026-10-21T00:00:00Z")));
+});
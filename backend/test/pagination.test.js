@@ -0,0 +1,43 @@
+// Unit tests for the cursor pagination helpers in utils/pagination.js.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findPage, decodeCursor, encodeCursor, CursorError } from "../utils/pagination.js";
+
+// A stand-in for a Mongoose model holding documents with ascending IDs.
+const ids = Array.from({ length: 5 }, (_, i) => `64b00000000000000000000${i + 1}`);
+const fakeModel = (calls) => ({
+  find(query) {
+    calls.push(query);
+    let docs = ids.map((_id) => ({ _id })).reverse();
+    if (query._id) docs = docs.filter((doc) => doc._id < query._id.$lt);
+    const chain = { select: () => chain, sort: () => chain, limit: async (n) => docs.slice(0, n) };
+    return chain;
+  },
+});
+
+test("findPage walks through the documents newest first", async () => {
+  const calls = [];
+  const Model = fakeModel(calls);
+
+  const first = await findPage(Model, { userId: "u" }, { limit: "2" });
+  assert.deepEqual(first.page.map((doc) => doc._id), [ids[4], ids[3]]);
+  assert.deepEqual(decodeCursor(first.nextCursor), { before: ids[3] });
+
+  const second = await findPage(Model, { userId: "u" }, { limit: "2", cursor: first.nextCursor });
+  assert.deepEqual(second.page.map((doc) => doc._id), [ids[2], ids[1]]);
+  assert.deepEqual(calls[1], { userId: "u", _id: { $lt: ids[3] } });
+
+  const last = await findPage(Model, { userId: "u" }, { limit: "2", cursor: second.nextCursor });
+  assert.deepEqual(last.page.map((doc) => doc._id), [ids[0]]);
+  assert.equal(last.nextCursor, null);
+
+  // The caller's filter is left as it was.
+  assert.deepEqual(calls[0], { userId: "u" });
+});
+
+test("findPage rejects cursors it didn't issue", async () => {
+  const Model = fakeModel([]);
+  await assert.rejects(findPage(Model, {}, { cursor: "not-a-cursor" }), CursorError);
+  await assert.rejects(findPage(Model, {}, { cursor: encodeCursor({ before: "nope" }) }), (err) => err instanceof CursorError && err.statusCode === 400);
+});
@@ -0,0 +1,99 @@
+// Unit tests for the order pricing engine in utils/pricing.js.
+// The garment catalogue, tailor and fabric lookups are replaced with mocks.
+
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { calculateQuote, QuoteError } from "../utils/pricing.js";
+import User from "../models/User.js";
+import Fabric from "../models/Fabric.js";
+import Garment from "../models/Garment.js";
+
+const CATALOGUE = ["Shirt", "Trouser", "Blazer"];
+
+let tailor;
+let fabric;
+beforeEach((t) => {
+  for (const name of ["ITEM_SURCHARGES", "PICKUP_FEE", "DEPOSIT_PERCENT"]) delete process.env[name];
+
+  tailor = { _id: "tailor-1", tailorDetails: { pricing: { basePrice: 500, alterationPrice: 150 }, homePickup: true } };
+  fabric = { _id: "fabric-1", name: "Linen", pricePerMeter: 333.33, availableQty: 5 };
+
+  t.mock.method(Garment, "findActiveByName", async (name) => {
+    const match = CATALOGUE.find((garment) => garment.toLowerCase() === String(name).trim().toLowerCase());
+    return match ? { name: match } : null;
+  });
+  t.mock.method(User, "findOne", async (query) => (query._id === tailor._id ? tailor : null));
+  t.mock.method(Fabric, "findOne", async (query) => (query._id === fabric._id && query.tailorId === tailor._id ? fabric : null));
+});
+
+test("stitching is charged once per piece, with surcharges for heavier garments", async () => {
+  const { quote, items } = await calculateQuote({ tailorId: "tailor-1", garmentType: "shirt", items: ["shirt", "BLAZER"] });
+
+  assert.deepEqual(items, ["Shirt", "Blazer"]); // Spelled the catalogue's way.
+  assert.deepEqual(
+    quote.lineItems.map((line) => [line.type, line.amount]),
+    [["STITCHING", 500], ["STITCHING", 500], ["SURCHARGE", 800]]
+  );
+  assert.equal(quote.totalAmount, 1800);
+  assert.equal(quote.depositPercent, 20);
+  assert.equal(quote.depositAmount, 360);
+  assert.equal(quote.remainingAmount, 1440);
+});
+
+test("ITEM_SURCHARGES overrides the default surcharges, matching case-insensitively", async () => {
+  process.env.ITEM_SURCHARGES = JSON.stringify({ SHIRT: 50 });
+  const { quote } = await calculateQuote({ tailorId: "tailor-1", garmentType: "Shirt" });
+  assert.deepEqual(quote.lineItems.map((line) => line.type), ["STITCHING", "SURCHARGE"]);
+  assert.equal(quote.totalAmount, 550);
+});
+
+test("alterations use the tailor's alteration price and carry no surcharge", async () => {
+  const { quote } = await calculateQuote({ tailorId: "tailor-1", garmentType: "Blazer", serviceType: "ALTERATION" });
+  assert.deepEqual(quote.lineItems.map((line) => [line.type, line.amount]), [["ALTERATION", 150]]);
+});
+
+test("tailor-provided fabric is priced per meter and rounded to paise", async () => {
+  const { quote } = await calculateQuote({
+    tailorId: "tailor-1",
+    garmentType: "Trouser",
+    isTailorProvidingFabric: true,
+    fabricDetails: { fabricId: "fabric-1", quantity: 1.5 },
+  });
+  const fabricLine = quote.lineItems.find((line) => line.type === "FABRIC");
+  assert.equal(fabricLine.amount, 500); // 333.33 × 1.5 = 499.995
+  assert.equal(quote.totalAmount, 1000);
+});
+
+test("pickup adds the pickup fee, and the deposit is rounded up to whole rupees", async () => {
+  process.env.PICKUP_FEE = "75";
+  process.env.DEPOSIT_PERCENT = "15";
+  const { quote } = await calculateQuote({ tailorId: "tailor-1", garmentType: "Shirt", handoverType: "pickup" });
+  assert.equal(quote.totalAmount, 575);
+  assert.equal(quote.depositAmount, 87); // 86.25 rounded up.
+  assert.equal(quote.remainingAmount, 488);
+});
+
+test("quotes that can't be priced are rejected with a QuoteError", async () => {
+  const rejects = (details, message) =>
+    assert.rejects(calculateQuote({ tailorId: "tailor-1", garmentType: "Shirt", ...details }), (err) => {
+      assert.ok(err instanceof QuoteError);
+      assert.equal(err.statusCode, 400);
+      assert.match(err.message, message);
+      return true;
+    });
+
+  await rejects({ garmentType: "" }, /garmentType is required/);
+  await rejects({ garmentType: "Cape" }, /Unsupported garment type "Cape"/);
+  await rejects({ items: ["Shirt", "Cape"] }, /Unsupported items: Cape/);
+  await rejects({ tailorId: "someone-else" }, /Selected tailor not found/);
+  await rejects({ serviceType: "DYEING" }, /serviceType must be STITCHING or ALTERATION/);
+  await rejects({ isTailorProvidingFabric: true, fabricDetails: { fabricId: "fabric-1", quantity: 0 } }, /positive number of meters/);
+  await rejects({ isTailorProvidingFabric: true, fabricDetails: { fabricId: "fabric-1", quantity: 6 } }, /Only 5 m of Linen is left/);
+  await rejects({ isTailorProvidingFabric: true, fabricDetails: { fabricId: "fabric-2", quantity: 1 } }, /not available from this tailor/);
+
+  tailor.tailorDetails.homePickup = false;
+  await rejects({ handoverType: "pickup" }, /does not offer home pickup/);
+  tailor.tailorDetails.pricing = {};
+  await rejects({}, /has not set their prices yet/);
+  await rejects({ serviceType: "ALTERATION" }, /does not offer alterations/);
+});
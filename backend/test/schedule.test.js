@@ -0,0 +1,115 @@
+// Unit tests for the opening-hours and delivery-date helpers in utils/schedule.js.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseTimeOfDay,
+  isWorkingDay,
+  getLocalTime,
+  isOpenAt,
+  getLocalDate,
+  parseCalendarDate,
+  addWorkingDays,
+  getDailyCapacity,
+  estimateReadyDate,
+} from "../utils/schedule.js";
+
+const day = (text) => new Date(`${text}T00:00:00Z`);
+
+test("parseTimeOfDay reads 24-hour, 12-hour and dotted times", () => {
+  assert.equal(parseTimeOfDay("10:00"), 600);
+  assert.equal(parseTimeOfDay("21:30"), 1290);
+  assert.equal(parseTimeOfDay("9:30 AM"), 570);
+  assert.equal(parseTimeOfDay("9 pm"), 1260);
+  assert.equal(parseTimeOfDay("12 am"), 0);
+  assert.equal(parseTimeOfDay("12 pm"), 720);
+  assert.equal(parseTimeOfDay("10.30"), 630);
+  assert.equal(parseTimeOfDay("24:00"), 1440);
+});
+
+test("parseTimeOfDay rejects text that isn't a time", () => {
+  for (const text of ["", null, undefined, "noon", "25:00", "24:30", "10:60", "13 pm", "0 am"]) {
+    assert.equal(parseTimeOfDay(text), null, `${text} should not parse`);
+  }
+});
+
+test("isWorkingDay treats tailors without working days as working every day", () => {
+  assert.ok(isWorkingDay({}, day("2026-10-18"))); // A Sunday.
+  assert.ok(isWorkingDay({ workingDays: ["Monday"] }, day("2026-10-19")));
+  assert.ok(!isWorkingDay({ workingDays: ["Monday"] }, day("2026-10-18")));
+});
+
+test("getLocalTime returns the weekday and minutes in the given timezone", () => {
+  const moment = new Date("2026-10-19T20:00:00Z"); // A Monday in UTC.
+  assert.deepEqual(getLocalTime(moment, "UTC"), { day: 1, minutes: 1200 });
+  assert.deepEqual(getLocalTime(moment, "Asia/Kolkata"), { day: 2, minutes: 90 });
+  assert.deepEqual(getLocalTime(moment, "Not/AZone"), { day: 2, minutes: 90 }); // Falls back to Asia/Kolkata.
+});
+
+test("isOpenAt compares against the tailor's local time", () => {
+  const tailor = { workingDays: ["Mon"], workingHours: { open: "10:00", close: "18:00" }, timezone: "Asia/Kolkata" };
+  // 04:30 UTC on a Monday is 10:00 in Kolkata.
+  assert.ok(isOpenAt(tailor, new Date("2026-10-19T04:30:00Z")));
+  assert.ok(!isOpenAt(tailor, new Date("2026-10-19T04:29:00Z")));
+  assert.ok(!isOpenAt(tailor, new Date("2026-10-19T12:30:00Z"))); // 18:00 in Kolkata.
+  assert.ok(!isOpenAt(tailor, new Date("2026-10-20T06:00:00Z"))); // Tuesday.
+});
+
+test("isOpenAt treats tailors without working days as working every day", () => {
+  const tailor = { workingHours: { open: "10:00", close: "18:00" }, timezone: "UTC" };
+  assert.ok(isOpenAt(tailor, new Date("2026-10-18T12:00:00Z"))); // A Sunday.
+});
+
+test("isOpenAt counts overnight hours towards the day the shop opened", () => {
+  const tailor = { workingDays: ["Mon"], workingHours: { open: "18:00", close: "02:00" }, timezone: "UTC" };
+  assert.ok(isOpenAt(tailor, new Date("2026-10-19T20:00:00Z"))); // Monday evening.
+  assert.ok(isOpenAt(tailor, new Date("2026-10-20T01:00:00Z"))); // Early Tuesday, still Monday's shift.
+  assert.ok(!isOpenAt(tailor, new Date("2026-10-19T01:00:00Z"))); // Early Monday, Sunday's shift.
+});
+
+test("isOpenAt treats unparseable hours as closed", () => {
+  assert.ok(!isOpenAt({ workingHours: { open: "morning", close: "18:00" } }, new Date()));
+  assert.ok(!isOpenAt({ workingHours: { open: "10:00", close: "10:00" } }, new Date()));
+  assert.ok(!isOpenAt({}, new Date()));
+});
+
+test("getLocalDate returns the calendar date in the given timezone", () => {
+  const moment = new Date("2026-10-19T20:00:00Z");
+  assert.deepEqual(getLocalDate(moment, "UTC"), day("2026-10-19"));
+  assert.deepEqual(getLocalDate(moment, "Asia/Kolkata"), day("2026-10-20"));
+  assert.deepEqual(getLocalDate(moment, "Not/AZone"), day("2026-10-20")); // Falls back to Asia/Kolkata.
+});
+
+test("parseCalendarDate accepts real dates only", () => {
+  assert.deepEqual(parseCalendarDate("2026-10-20"), day("2026-10-20"));
+  assert.equal(parseCalendarDate("2026-02-30"), null);
+  assert.equal(parseCalendarDate("20-10-2026"), null);
+  assert.equal(parseCalendarDate(""), null);
+});
+
+test("addWorkingDays skips the days the tailor doesn't work", () => {
+  const weekdays = { workingDays: ["Mon", "Tue", "Wed", "Thu", "Fri"] };
+  // Friday + 1 working day is the following Monday.
+  assert.deepEqual(addWorkingDays(day("2026-10-23"), 1, weekdays), day("2026-10-26"));
+  // Counting from a Sunday starts on Monday, so adding 0 days gives Monday.
+  assert.deepEqual(addWorkingDays(day("2026-10-18"), 0, weekdays), day("2026-10-19"));
+  assert.deepEqual(addWorkingDays(day("2026-10-18"), 3, {}), day("2026-10-21"));
+});
+
+test("getDailyCapacity prefers the per-garment capacity over the default", () => {
+  const tailor = { dailyCapacity: [{ garmentType: "Shirt", perDay: 4 }], defaultDailyCapacity: 2 };
+  assert.equal(getDailyCapacity(tailor, "shirt"), 4);
+  assert.equal(getDailyCapacity(tailor, "Kurta"), 2);
+  assert.equal(getDailyCapacity({}, "Shirt"), null);
+});
+
+test("estimateReadyDate queues the order behind the tailor's existing work", () => {
+  const tailor = { dailyCapacity: [{ garmentType: "Shirt", perDay: 4 }], turnaroundDays: 2, timezone: "UTC" };
+  const now = new Date("2026-10-19T09:00:00Z");
+  // Nothing queued: work starts today and takes 2 days.
+  assert.deepEqual(estimateReadyDate(tailor, "Shirt", 0, 1, now), day("2026-10-21"));
+  // 10 shirts queued at 4 a day: work on the 11th starts on the third day.
+  assert.deepEqual(estimateReadyDate(tailor, "Shirt", 10, 1, now), day("2026-10-23"));
+  // No capacity set: only the turnaround counts.
+  assert.deepEqual(estimateReadyDate({ timezone: "UTC" }, "Kurta", 50, 1, now), day("2026-10-22"));
+});
@@ -0,0 +1,83 @@
+// Unit tests for refresh-token rotation and reuse detection in models/Session.js.
+// The database calls are replaced with mocks that behave like the MongoDB queries.
+
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import Session, { SessionError } from "../models/Session.js";
+import { hashRefreshToken } from "../utils/token.js";
+
+const req = { ip: "127.0.0.1", body: {}, get: () => "test-agent" };
+
+// A stand-in for the sessions collection: `findOneAndUpdate` matches on the fields `rotate` queries by.
+let sessions;
+beforeEach((t) => {
+  sessions = [];
+  t.mock.method(Session, "create", async (doc) => {
+    const session = { _id: `session-${sessions.length + 1}`, ...doc };
+    sessions.push(session);
+    return session;
+  });
+  t.mock.method(Session, "findOneAndUpdate", async (query, update, options) => {
+    const session = sessions.find(
+      (s) =>
+        (query.tokenHash === undefined || s.tokenHash === query.tokenHash) &&
+        (query.previousTokenHash === undefined || s.previousTokenHash === query.previousTokenHash) &&
+        !s.revokedAt &&
+        (!query.expiresAt || s.expiresAt > query.expiresAt.$gt)
+    );
+    if (!session) return null;
+    const before = { ...session };
+    Object.assign(session, update.$set);
+    return options?.new ? session : before;
+  });
+});
+
+test("start stores only the hash of the refresh token it returns", async () => {
+  const { session, refreshToken } = await Session.start({ _id: "user-1" }, { ...req, body: { deviceName: "Pixel 8" } });
+  assert.equal(session.tokenHash, hashRefreshToken(refreshToken));
+  assert.notEqual(session.tokenHash, refreshToken);
+  assert.equal(session.deviceName, "Pixel 8");
+  assert.ok(session.expiresAt > new Date());
+});
+
+test("rotate trades a refresh token for a new one, once", async () => {
+  const { refreshToken } = await Session.start({ _id: "user-1" }, req);
+  const rotated = await Session.rotate(refreshToken, req);
+
+  assert.notEqual(rotated.refreshToken, refreshToken);
+  assert.equal(sessions[0].tokenHash, hashRefreshToken(rotated.refreshToken));
+  assert.equal(sessions[0].previousTokenHash, hashRefreshToken(refreshToken));
+
+  // The new token keeps working.
+  await Session.rotate(rotated.refreshToken, req);
+  assert.ok(!sessions[0].revokedAt);
+});
+
+test("reusing an already-rotated token revokes the session", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const { refreshToken } = await Session.start({ _id: "user-1" }, req);
+  const rotated = await Session.rotate(refreshToken, req);
+
+  await assert.rejects(Session.rotate(refreshToken, req), SessionError);
+  assert.ok(sessions[0].revokedAt);
+  assert.equal(sessions[0].revokedReason, "TOKEN_REUSE");
+
+  // The legitimate device is logged out too.
+  await assert.rejects(Session.rotate(rotated.refreshToken, req), SessionError);
+});
+
+test("rotate rejects unknown and expired tokens with a 401", async () => {
+  await assert.rejects(Session.rotate("not-a-real-token", req), (err) => err instanceof SessionError && err.statusCode === 401);
+
+  const { refreshToken } = await Session.start({ _id: "user-1" }, req);
+  sessions[0].expiresAt = new Date(Date.now() - 1000);
+  await assert.rejects(Session.rotate(refreshToken, req), SessionError);
+  assert.ok(!sessions[0].revokedAt); // An expired token isn't a reuse.
+});
+
+test("isActive is false once a session is revoked or expired", () => {
+  const future = new Date(Date.now() + 60_000);
+  assert.ok(new Session({ userId: "64b000000000000000000001", tokenHash: "x", expiresAt: future }).isActive());
+  assert.ok(!new Session({ userId: "64b000000000000000000001", tokenHash: "x", expiresAt: future, revokedAt: new Date() }).isActive());
+  assert.ok(!new Session({ userId: "64b000000000000000000001", tokenHash: "x", expiresAt: new Date(Date.now() - 1) }).isActive());
+});
@@ -0,0 +1,95 @@
+// Unit tests for the request validation layer: the `validate` middleware in
+// middleware/validate.js and the `field` types in utils/validation.js.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validate } from "../middleware/validate.js";
+import { field, parseRequestPart, RequestValidationError } from "../utils/validation.js";
+
+// Runs the middleware on a fake request. Resolves to `{ req, status, body, nextCalled }`.
+const run = (schema, request) => {
+  const req = { params: {}, query: {}, body: {}, ...request };
+  const result = { req, status: 200, body: undefined, nextCalled: false };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    },
+  };
+  validate(schema)(req, res, () => {
+    result.nextCalled = true;
+  });
+  return result;
+};
+
+test("fields the schema doesn't mention are stripped", () => {
+  const schema = { body: { name: field.string(), address: field.object({ city: field.string() }) } };
+  const { req, nextCalled } = run(schema, {
+    body: { name: "Asha", role: "admin", isVerified: true, address: { city: "Pune", owner: "someone" } },
+  });
+
+  assert.ok(nextCalled);
+  assert.deepEqual(req.body, { name: "Asha", address: { city: "Pune" } });
+});
+
+test("values are converted to the declared types", () => {
+  const schema = {
+    params: { id: field.id({ required: true }) },
+    query: { limit: field.number({ integer: true }), unread: field.boolean(), tags: field.array(field.string()) },
+    body: { phone: field.phone(), gstin: field.gstin(), name: field.string() },
+  };
+  const { req, nextCalled } = run(schema, {
+    params: { id: "64b000000000000000000001" },
+    query: { limit: "20", unread: "true", tags: "silk" },
+    body: { phone: 9876543210, gstin: "27abcde1234f1z5", name: "  Asha  " },
+  });
+
+  assert.ok(nextCalled);
+  assert.deepEqual(req.query, { limit: 20, unread: true, tags: ["silk"] });
+  assert.deepEqual(req.body, { phone: "9876543210", gstin: "27ABCDE1234F1Z5", name: "Asha" });
+});
+
+test("missing values take their default, and only nullable fields keep null", () => {
+  const schema = { body: { kind: field.oneOf(["PICKUP", "VISIT"], { default: "PICKUP" }), note: field.string(), gstin: field.gstin({ nullable: true }) } };
+  const { req } = run(schema, { body: { note: "", gstin: null } });
+  assert.deepEqual(req.body, { kind: "PICKUP", gstin: null });
+});
+
+test("a request that doesn't match is answered with a 400 listing every problem", () => {
+  const schema = {
+    params: { id: field.id({ required: true }) },
+    body: { rating: field.number({ integer: true, min: 1, max: 5, required: true }), email: field.email() },
+  };
+  const { status, body, nextCalled } = run(schema, { params: { id: "nope" }, body: { rating: "6", email: "not-an-email" } });
+
+  assert.ok(!nextCalled);
+  assert.equal(status, 400);
+  assert.deepEqual(body.details, [
+    { field: "id", message: "id must be a valid ID" },
+    { field: "rating", message: "rating must be at most 5" },
+    { field: "email", message: "email must be a valid email address" },
+  ]);
+  assert.equal(body.error, "id must be a valid ID, rating must be at most 5, email must be a valid email address");
+});
+
+test("nested problems are reported with their full path", () => {
+  const shape = { tailorDetails: field.object({ workingDays: field.array(field.dayName()), pricing: field.object({ basePrice: field.number({ min: 0 }) }) }) };
+  assert.throws(
+    () => parseRequestPart(shape, { tailorDetails: { workingDays: ["Mon", "Funday"], pricing: { basePrice: -1 } } }),
+    (err) => {
+      assert.ok(err instanceof RequestValidationError);
+      assert.deepEqual(err.details.map((detail) => detail.field), ["tailorDetails.workingDays.1", "tailorDetails.pricing.basePrice"]);
+      return true;
+    }
+  );
+});
+
+test("operator objects can't be smuggled in where text is expected", () => {
+  const { status, body } = run({ body: { providerOrderId: field.string({ required: true }) } }, { body: { providerOrderId: { $ne: null } } });
+  assert.equal(status, 400);
+  assert.deepEqual(body.details, [{ field: "providerOrderId", message: "providerOrderId must be text" }]);
+});
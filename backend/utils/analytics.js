@@ -0,0 +1,348 @@
+// This file builds the numbers behind the tailor's business dashboard (routes/analyticsRoutes.js).
+// Everything is worked out by MongoDB aggregations over the tailor's orders. An order counts
+// towards a date range (and a day, week or month bucket) by the day it was placed, in the
+// tailor's own timezone, so a report for "October" means October where the shop is.
+//
+// Money is reported from the tailor's point of view:
+//   bookedValue   The total of the orders placed, leaving out rejected and cancelled ones.
+//   collected     What the customers have paid (deposits, and balances collected at delivery),
+//                 less any refunds owed or returned to them.
+//   outstanding   What is still to be collected on orders that are not finished yet.
+
+import mongoose from "mongoose";
+import Order, { OPEN_WORK_STATUSES } from "../models/Order.js";
+import { DEFAULT_TIMEZONE, getLocalDate, parseCalendarDate } from "./schedule.js";
+
+export const ANALYTICS_BUCKETS = ["day", "week", "month"];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 731; // Two years.
+const DEFAULT_RANGE_DAYS = 30;
+
+// The statuses of orders that aren't finished yet, in the order they happen. Their balance is
+// still outstanding, and the turnaround per stage is listed in this order.
+const UNFINISHED_STATUSES = [...OPEN_WORK_STATUSES, "READY"];
+
+// Thrown when the date range or bucket asked for doesn't make sense.
+export class AnalyticsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AnalyticsError";
+    this.statusCode = 400;
+  }
+}
+
+// MongoDB rejects timezones it doesn't know, so a bad one on a profile falls back to the default.
+const validTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return timeZone;
+  } catch {
+    return DEFAULT_TIMEZONE;
+  }
+};
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Reads the report range from `?from=YYYY-MM-DD&to=YYYY-MM-DD&bucket=day|week|month`.
+ * Both dates are included and are calendar dates in the tailor's timezone. Without them the
+ * range is the last 30 days up to today.
+ * @param {object} query The request's query string.
+ * @param {object} tailorDetails The tailor's `tailorDetails`, for their timezone.
+ * @returns {{from: string, to: string, bucket: string, timezone: string}}
+ * @throws {AnalyticsError} If a date is invalid, the range is backwards or longer than two years.
+ */
+export const parseAnalyticsRange = (query, tailorDetails = {}) => {
+  const timezone = validTimezone(tailorDetails.timezone || DEFAULT_TIMEZONE);
+  const bucket = query.bucket || "day";
+  if (!ANALYTICS_BUCKETS.includes(bucket)) {
+    throw new AnalyticsError(`bucket must be one of ${ANALYTICS_BUCKETS.join(", ")}`);
+  }
+
+  const to = query.to ? parseCalendarDate(query.to) : getLocalDate(new Date(), timezone);
+  const from = query.from ? parseCalendarDate(query.from) : to && new Date(to.getTime() - (DEFAULT_RANGE_DAYS - 1) * MS_PER_DAY);
+  if (!from || !to) throw new AnalyticsError("from and to must be dates in the format YYYY-MM-DD");
+  if (from > to) throw new AnalyticsError("from must not be after to");
+  if ((to - from) / MS_PER_DAY >= MAX_RANGE_DAYS) throw new AnalyticsError("The range can be at most two years");
+
+  return { from: toDateString(from), to: toDateString(to), bucket, timezone };
+};
+
+// The first pipeline stages of every report: the tailor's orders placed within the range.
+// The `createdAt` window is a little wider than the range so the index can be used whatever
+// the timezone; the exact cut is made on the local calendar day.
+const matchOrdersInRange = (tailorId, { from, to, timezone }) => [
+  {
+    $match: {
+      tailorId: new mongoose.Types.ObjectId(String(tailorId)),
+      createdAt: { $gte: new Date(Date.parse(from) - MS_PER_DAY), $lt: new Date(Date.parse(to) + 2 * MS_PER_DAY) },
+    },
+  },
+  { $addFields: { placedOn: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt", timezone } } } },
+  { $match: { placedOn: { $gte: from, $lte: to } } },
+];
+
+// Adds the money fields every report shares (see the top of this file).
+const addMoneyFields = {
+  $addFields: {
+    isLive: { $not: [{ $in: ["$status", ["REJECTED", "CANCELLED"]] }] },
+    amountPaid: {
+      $switch: {
+        branches: [
+          { case: { $eq: ["$payment.paymentStatus", "PAID"] }, then: "$payment.totalAmount" },
+          { case: { $eq: ["$payment.depositStatus", "PAID"] }, then: "$payment.depositAmount" },
+        ],
+        default: 0,
+      },
+    },
+    refundAmount: { $ifNull: ["$payment.refund.amount", 0] },
+  },
+};
+
+const moneyTotals = {
+  bookedValue: { $sum: { $cond: ["$isLive", "$payment.totalAmount", 0] } },
+  collected: { $sum: { $subtract: ["$amountPaid", "$refundAmount"] } },
+  outstanding: {
+    $sum: { $cond: [{ $in: ["$status", UNFINISHED_STATUSES] }, { $subtract: ["$payment.totalAmount", "$amountPaid"] }, 0] },
+  },
+};
+
+// Tailor-provided fabric counts as sold once it has been cut for an order.
+const isFabricSold = {
+  $and: ["$isTailorProvidingFabric", { $eq: ["$fabricDetails.stockStatus", "CONSUMED"] }],
+};
+const fabricValue = { $multiply: [{ $ifNull: ["$fabricDetails.quantity", 0] }, { $ifNull: ["$fabricDetails.pricePerMeter", 0] }] };
+
+const hours = (ms) => (ms == null ? null : Math.round((ms / 3600000) * 10) / 10);
+
+/**
+ * Works out the dashboard figures for a tailor's orders placed within a range.
+ * @param {string} tailorId
+ * @param {object} range From `parseAnalyticsRange`.
+ * @returns {Promise<object>}
+ */
+export const getSummary = async (tailorId, range) => {
+  const [facets] = await Order.aggregate([
+    ...matchOrdersInRange(tailorId, range),
+    addMoneyFields,
+    {
+      $facet: {
+        money: [
+          {
+            $group: {
+              _id: null,
+              orders: { $sum: 1 },
+              ...moneyTotals,
+              pendingRefunds: { $sum: { $cond: [{ $eq: ["$payment.refund.status", "PENDING"] }, "$refundAmount", 0] } },
+            },
+          },
+        ],
+        byStatus: [{ $group: { _id: "$status", count: { $sum: 1 } } }],
+        byGarment: [
+          { $group: { _id: "$garmentType", count: { $sum: 1 }, bookedValue: moneyTotals.bookedValue } },
+          { $sort: { count: -1 } },
+        ],
+        // An order was accepted if it ever reached ACCEPTED; a customer cancelling before the
+        // tailor decided counts as neither.
+        decisions: [
+          {
+            $group: {
+              _id: null,
+              accepted: { $sum: { $cond: [{ $in: ["ACCEPTED", { $ifNull: ["$statusHistory.to", []] }] }, 1, 0] } },
+              rejected: { $sum: { $cond: [{ $eq: ["$status", "REJECTED"] }, 1, 0] } },
+              awaiting: { $sum: { $cond: [{ $eq: ["$status", "PLACED"] }, 1, 0] } },
+            },
+          },
+        ],
+        // The time spent in each status, from one entry of the status history to the next.
+        stages: [
+          {
+            $project: {
+              spans: {
+                $map: {
+                  input: { $range: [0, { $max: [{ $subtract: [{ $size: { $ifNull: ["$statusHistory", []] } }, 1] }, 0] }] },
+                  as: "i",
+                  in: {
+                    stage: { $arrayElemAt: ["$statusHistory.to", "$$i"] },
+                    ms: {
+                      $subtract: [
+                        { $arrayElemAt: ["$statusHistory.at", { $add: ["$$i", 1] }] },
+                        { $arrayElemAt: ["$statusHistory.at", "$$i"] },
+                      ],
+                    },
+                  },
+                },
+              },
+            },
+          },
+          { $unwind: "$spans" },
+          { $group: { _id: "$spans.stage", averageMs: { $avg: "$spans.ms" }, orders: { $sum: 1 } } },
+        ],
+        delivered: [
+          { $match: { status: "DELIVERED" } },
+          { $project: { ms: { $subtract: [{ $arrayElemAt: ["$statusHistory.at", -1] }, { $arrayElemAt: ["$statusHistory.at", 0] }] } } },
+          { $group: { _id: null, averageMs: { $avg: "$ms" }, orders: { $sum: 1 } } },
+        ],
+        fabric: [
+          { $match: { $expr: isFabricSold } },
+          {
+            $group: {
+              _id: "$fabricDetails.fabricId",
+              name: { $last: "$fabricDetails.name" },
+              meters: { $sum: { $ifNull: ["$fabricDetails.quantity", 0] } },
+              value: { $sum: fabricValue },
+              orders: { $sum: 1 },
+            },
+          },
+          { $sort: { value: -1 } },
+        ],
+        customers: [
+          { $group: { _id: { $ifNull: [{ $toString: "$customerId" }, "$customerPhone"] }, orders: { $sum: 1 } } },
+        ],
+      },
+    },
+  ]);
+
+  const money = facets.money[0] || { orders: 0, bookedValue: 0, collected: 0, outstanding: 0, pendingRefunds: 0 };
+  const decisions = facets.decisions[0] || { accepted: 0, rejected: 0, awaiting: 0 };
+  const decided = decisions.accepted + decisions.rejected;
+  const fabricTotals = facets.fabric.reduce((sum, f) => ({ meters: sum.meters + f.meters, value: sum.value + f.value }), { meters: 0, value: 0 });
+
+  // A repeat customer ordered more than once in the range, or had ordered before it. Old orders
+  // that never recorded the customer's ID can only be matched within the range.
+  const customerIds = facets.customers.map((c) => c._id).filter((key) => mongoose.isValidObjectId(key));
+  const earlier = await Order.aggregate([
+    {
+      $match: {
+        tailorId: new mongoose.Types.ObjectId(String(tailorId)),
+        customerId: { $in: customerIds.map((id) => new mongoose.Types.ObjectId(id)) },
+        createdAt: { $lt: new Date(Date.parse(range.from) + MS_PER_DAY) },
+      },
+    },
+    { $match: { $expr: { $lt: [{ $dateToString: { format: "%Y-%m-%d", date: "$createdAt", timezone: range.timezone } }, range.from] } } },
+    { $group: { _id: { $toString: "$customerId" } } },
+  ]);
+  const earlierIds = new Set(earlier.map((c) => c._id));
+  const repeat = facets.customers.filter((c) => c.orders > 1 || earlierIds.has(c._id)).length;
+
+  const { _id: moneyId, ...revenue } = money;
+  const { _id: decisionsId, ...acceptance } = decisions;
+  return {
+    range,
+    revenue,
+    ordersByStatus: Object.fromEntries(facets.byStatus.map((s) => [s._id, s.count])),
+    ordersByGarment: facets.byGarment.map(({ _id: garmentType, ...rest }) => ({ garmentType, ...rest })),
+    acceptance: {
+      ...acceptance,
+      acceptanceRate: decided ? Math.round((decisions.accepted / decided) * 1000) / 1000 : null,
+      rejectionRate: decided ? Math.round((decisions.rejected / decided) * 1000) / 1000 : null,
+    },
+    turnaround: {
+      stages: facets.stages
+        .sort((a, b) => UNFINISHED_STATUSES.indexOf(a._id) - UNFINISHED_STATUSES.indexOf(b._id))
+        .map((s) => ({ stage: s._id, averageHours: hours(s.averageMs), orders: s.orders })),
+      placedToDeliveredHours: hours(facets.delivered[0]?.averageMs),
+      deliveredOrders: facets.delivered[0]?.orders || 0,
+    },
+    fabricSales: {
+      ...fabricTotals,
+      fabrics: facets.fabric.map(({ _id: fabricId, ...rest }) => ({ fabricId, ...rest })),
+    },
+    customers: {
+      total: facets.customers.length,
+      repeat,
+      repeatRate: facets.customers.length ? Math.round((repeat / facets.customers.length) * 1000) / 1000 : null,
+    },
+  };
+};
+
+// Every bucket start from `from` to `to`, so days, weeks or months without orders still appear.
+// Weeks start on Monday, months on the 1st.
+const bucketStarts = ({ from, to, bucket }) => {
+  const startOf = (date) => {
+    if (bucket === "week") return new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * MS_PER_DAY);
+    if (bucket === "month") return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+    return date;
+  };
+  const next = (date) => {
+    if (bucket === "week") return new Date(date.getTime() + 7 * MS_PER_DAY);
+    if (bucket === "month") return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+    return new Date(date.getTime() + MS_PER_DAY);
+  };
+
+  const starts = [];
+  for (let date = startOf(new Date(from)); date <= new Date(to); date = next(date)) starts.push(toDateString(date));
+  return starts;
+};
+
+/**
+ * Works out the figures for each day, week or month of a range, oldest first.
+ * @param {string} tailorId
+ * @param {object} range From `parseAnalyticsRange`.
+ * @returns {Promise<object[]>} One row per bucket: `{ period, orders, bookedValue, collected,
+ *   outstanding, delivered, cancelled, rejected, fabricMeters, fabricValue }`. `period` is the
+ *   first day of the bucket; the first and last buckets may only be partly inside the range.
+ */
+export const getTimeline = async (tailorId, range) => {
+  const rows = await Order.aggregate([
+    ...matchOrdersInRange(tailorId, range),
+    addMoneyFields,
+    {
+      $group: {
+        _id: {
+          $dateToString: {
+            format: "%Y-%m-%d",
+            date: { $dateTrunc: { date: "$createdAt", unit: range.bucket, timezone: range.timezone, startOfWeek: "monday" } },
+            timezone: range.timezone,
+          },
+        },
+        orders: { $sum: 1 },
+        ...moneyTotals,
+        delivered: { $sum: { $cond: [{ $eq: ["$status", "DELIVERED"] }, 1, 0] } },
+        cancelled: { $sum: { $cond: [{ $eq: ["$status", "CANCELLED"] }, 1, 0] } },
+        rejected: { $sum: { $cond: [{ $eq: ["$status", "REJECTED"] }, 1, 0] } },
+        fabricMeters: { $sum: { $cond: [isFabricSold, { $ifNull: ["$fabricDetails.quantity", 0] }, 0] } },
+        fabricValue: { $sum: { $cond: [isFabricSold, fabricValue, 0] } },
+      },
+    },
+  ]);
+
+  const byPeriod = new Map(rows.map(({ _id, ...figures }) => [_id, figures]));
+  const empty = { orders: 0, bookedValue: 0, collected: 0, outstanding: 0, delivered: 0, cancelled: 0, rejected: 0, fabricMeters: 0, fabricValue: 0 };
+  return bucketStarts(range).map((period) => ({ period, ...empty, ...byPeriod.get(period) }));
+};
+
+/**
+ * Lists every order placed within a range with its money figures, oldest first, for the
+ * accountant's export.
+ * @param {string} tailorId
+ * @param {object} range From `parseAnalyticsRange`.
+ * @returns {Promise<object[]>}
+ */
+export const getOrderRows = (tailorId, range) =>
+  Order.aggregate([
+    ...matchOrdersInRange(tailorId, range),
+    addMoneyFields,
+    { $sort: { createdAt: 1 } },
+    {
+      $project: {
+        _id: 0,
+        placedOn: 1,
+        orderId: { $toString: "$_id" },
+        customerName: 1,
+        garmentType: 1,
+        status: 1,
+        promisedDate: { $dateToString: { format: "%Y-%m-%d", date: "$promisedDate" } },
+        totalAmount: "$payment.totalAmount",
+        depositAmount: "$payment.depositAmount",
+        depositMode: "$payment.depositMode",
+        depositStatus: "$payment.depositStatus",
+        amountPaid: 1,
+        refundAmount: 1,
+        outstanding: { $cond: [{ $in: ["$status", UNFINISHED_STATUSES] }, { $subtract: ["$payment.totalAmount", "$amountPaid"] }, 0] },
+        fabricMeters: { $cond: [isFabricSold, { $ifNull: ["$fabricDetails.quantity", 0] }, 0] },
+        fabricValue: { $cond: [isFabricSold, fabricValue, 0] },
+      },
+    },
+  ]);
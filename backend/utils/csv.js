@@ -0,0 +1,21 @@
+// This file turns rows of data into CSV text, e.g. for the accountant's analytics export.
+
+// Quotes a value when it needs it. Text that a spreadsheet would run as a formula (starting
+// with =, +, - or @) is prefixed with an apostrophe, so a customer name can't become one.
+const escapeCell = (value) => {
+  if (value == null) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds a CSV document with a header row.
+ * @param {{header: string, key: string}[]} columns The columns in order, with the row field each shows.
+ * @param {object[]} rows
+ * @returns {string} CSV text with CRLF line endings, as spreadsheets expect.
+ */
+export const toCsv = (columns, rows) =>
+  [columns.map((column) => escapeCell(column.header)), ...rows.map((row) => columns.map((column) => escapeCell(row[column.key])))]
+    .map((cells) => cells.join(","))
+    .join("\r\n") + "\r\n";
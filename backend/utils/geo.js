@@ -0,0 +1,66 @@
+// This file contains the geographic helpers shared by the tailor discovery and search routes.
+
+// The mean radius of the Earth, used to turn kilometres into the radians MongoDB's
+// `$centerSphere` expects.
+export const EARTH_RADIUS_KM = 6378.1;
+
+// The largest search radius a client may ask for, in kilometres, unless MAX_SEARCH_RADIUS_KM says otherwise.
+const DEFAULT_MAX_SEARCH_RADIUS_KM = 5;
+
+/**
+ * Returns the largest search radius a client may ask for, in kilometres.
+ * @returns {number}
+ */
+export const getMaxSearchRadiusKm = () => {
+  const configured = parseFloat(process.env.MAX_SEARCH_RADIUS_KM);
+  return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_MAX_SEARCH_RADIUS_KM;
+};
+
+/**
+ * Builds a query condition matching GeoJSON points within `radiusKm` of a point. Unlike
+ * `$geoNear`, it can be combined with a `$text` search.
+ * @param {number} lng
+ * @param {number} lat
+ * @param {number} radiusKm
+ * @returns {object} A condition for a GeoJSON field, e.g. `{ location: withinRadius(...) }`.
+ */
+export const withinRadius = (lng, lat, radiusKm) => ({
+  $geoWithin: { $centerSphere: [[lng, lat], radiusKm / EARTH_RADIUS_KM] },
+});
+
+/**
+ * Calculates the great-circle distance between two points with the haversine formula.
+ * @param {number[]} from `[longitude, latitude]`
+ * @param {number[]} to `[longitude, latitude]`
+ * @returns {number} The distance in kilometres.
+ */
+export const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Checks a `[longitude, latitude]` pair, as stored in a GeoJSON point.
+ * @param {unknown} coordinates
+ * @returns {boolean} Whether both are numbers within range.
+ */
+export const isValidCoordinates = (coordinates) =>
+  Array.isArray(coordinates) &&
+  coordinates.length === 2 &&
+  coordinates.every((value) => typeof value === "number" && Number.isFinite(value)) &&
+  Math.abs(coordinates[0]) <= 180 &&
+  Math.abs(coordinates[1]) <= 90;
+
+/**
+ * Reads a GeoJSON point sent by a client, e.g. `{ "type": "Point", "coordinates": [77.59, 12.97] }`.
+ * Anything else would break the `2dsphere` index on the users' `location`.
+ * @param {unknown} value
+ * @returns {{type: "Point", coordinates: number[]}|null} A clean copy, or `null` if it isn't a valid point.
+ */
+export const parseGeoPoint = (value) => {
+  if (!value || typeof value !== "object" || value.type !== "Point" || !isValidCoordinates(value.coordinates)) return null;
+  return { type: "Point", coordinates: [...value.coordinates] };
+};
@@ -0,0 +1,65 @@
+// This file checks uploaded images and resizes them into the sizes the app displays.
+// Every image is re-encoded, which also drops its EXIF metadata (such as the GPS location
+// a phone camera records) before anything is stored.
+
+import sharp from "sharp";
+
+// The image types that can be uploaded, by MIME type and by the format sharp detects.
+export const ACCEPTED_IMAGE_TYPES = { "image/jpeg": "jpeg", "image/png": "png", "image/webp": "webp" };
+
+// The sizes every upload is stored in, by the longest side in pixels. Smaller images are
+// never enlarged.
+export const IMAGE_VARIANTS = { thumbnail: 200, medium: 800, large: 1600 };
+
+// Thrown when an upload isn't an image we accept.
+export class ImageError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "ImageError";
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * The largest upload allowed, in bytes, from UPLOAD_MAX_BYTES (default 5 MB).
+ * @returns {number}
+ */
+export const getMaxUploadBytes = () => {
+  const bytes = parseInt(process.env.UPLOAD_MAX_BYTES, 10);
+  return Number.isInteger(bytes) && bytes > 0 ? bytes : 5 * 1024 * 1024;
+};
+
+/**
+ * Checks that a file really is an accepted image and renders every size of it as JPEG.
+ * The file's contents are checked, not just the MIME type the client claimed.
+ * @param {Buffer} buffer The uploaded file.
+ * @param {string} mimeType The MIME type sent by the client.
+ * @returns {Promise<{width: number, height: number, variants: {name: string, buffer: Buffer, width: number, height: number}[]}>}
+ * @throws {ImageError} 415 if the file isn't a JPEG, PNG or WebP image.
+ */
+export const processImage = async (buffer, mimeType) => {
+  const unsupported = new ImageError(`Only ${Object.keys(ACCEPTED_IMAGE_TYPES).join(", ")} images can be uploaded.`, 415);
+  if (!ACCEPTED_IMAGE_TYPES[mimeType]) throw unsupported;
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    throw unsupported; // Not an image sharp can read.
+  }
+  if (!Object.values(ACCEPTED_IMAGE_TYPES).includes(metadata.format)) throw unsupported;
+
+  const variants = [];
+  for (const [name, size] of Object.entries(IMAGE_VARIANTS)) {
+    const { data, info } = await sharp(buffer)
+      .rotate() // Apply the EXIF orientation before it is dropped.
+      .resize(size, size, { fit: "inside", withoutEnlargement: true })
+      .flatten({ background: "#ffffff" }) // JPEG has no transparency.
+      .jpeg({ quality: 82, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true });
+    variants.push({ name, buffer: data, width: info.width, height: info.height });
+  }
+
+  const largest = variants[variants.length - 1];
+  return { width: largest.width, height: largest.height, variants };
+};
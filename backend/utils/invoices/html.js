@@ -0,0 +1,115 @@
+// This file renders an invoice as a standalone HTML page, in the same purple style as the
+// Darzi emails. The same page is used as the body of an emailed invoice.
+
+import { formatAmount, formatDate, invoiceTitle } from "./index.js";
+
+// Escapes text for safe use inside the HTML page.
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+
+const cell = "padding: 6px 8px; border-bottom: 1px solid #eee;";
+const right = `${cell} text-align: right;`;
+
+// A label/amount row of the totals table.
+const totalRow = (label, amount, bold = false) =>
+  `<tr><td style="padding: 4px 8px;">${bold ? `<b>${escapeHtml(label)}</b>` : escapeHtml(label)}</td><td style="padding: 4px 8px; text-align: right;">${bold ? `<b>₹${formatAmount(amount)}</b>` : `₹${formatAmount(amount)}`}</td></tr>`;
+
+/**
+ * Renders an invoice as HTML.
+ * @param {object} invoice The invoice document (models/Invoice.js).
+ * @returns {string} A complete HTML document.
+ */
+export const renderInvoiceHtml = (invoice) => {
+  const { seller, buyer, orderSummary } = invoice;
+  const title = invoiceTitle(invoice);
+
+  const lines = invoice.lines
+    .map(
+      (line, index) => `
+        <tr>
+          <td style="${cell}">${index + 1}</td>
+          <td style="${cell}">${escapeHtml(line.description)}</td>
+          <td style="${right}">${line.quantity} ${escapeHtml(line.unit)}</td>
+          <td style="${right}">₹${formatAmount(line.unitPrice)}</td>
+          <td style="${right}">₹${formatAmount(line.amount)}</td>
+        </tr>`
+    )
+    .join("");
+
+  const totals = [
+    ...(invoice.taxes.length
+      ? [totalRow("Taxable value", invoice.taxableValue), ...invoice.taxes.map((tax) => totalRow(`${tax.name} @ ${tax.rate}%`, tax.amount))]
+      : []),
+    totalRow("Total", invoice.total, true),
+    ...(invoice.depositPaid ? [totalRow(`Deposit paid${invoice.depositMode ? ` (${invoice.depositMode.toLowerCase()})` : ""}`, invoice.depositPaid)] : []),
+    totalRow("Amount paid", invoice.amountPaid),
+    totalRow("Balance due", invoice.balanceDue, true),
+  ].join("\n        ");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeHtml(`${title} ${invoice.number}`)}</title>
+</head>
+<body style="margin: 0; padding: 20px; background: #fafafa;">
+  <div style="font-family: Arial, sans-serif; max-width: 720px; margin: 0 auto; padding: 20px; background: #fff; border: 1px solid #eee; border-radius: 10px;">
+    <table style="width: 100%;">
+      <tr>
+        <td style="vertical-align: top;">
+          <h2 style="color: #6a1b9a; margin: 0;">${escapeHtml(seller.shopName || seller.name)}</h2>
+          ${seller.shopName ? `<div>${escapeHtml(seller.name)}</div>` : ""}
+          <div>${escapeHtml(seller.address)}</div>
+          <div>${[seller.phone, seller.email].filter(Boolean).map(escapeHtml).join(" · ")}</div>
+          ${seller.gstin ? `<div>GSTIN: ${escapeHtml(seller.gstin)}</div>` : ""}
+        </td>
+        <td style="vertical-align: top; text-align: right;">
+          <h2 style="color: #6a1b9a; margin: 0;">${escapeHtml(title)}</h2>
+          <div><b>${escapeHtml(invoice.number)}</b></div>
+          <div>Issued ${formatDate(invoice.finalizedAt || invoice.issuedAt)}</div>
+        </td>
+      </tr>
+    </table>
+
+    <table style="width: 100%; margin-top: 20px;">
+      <tr>
+        <td style="vertical-align: top;">
+          <div style="color: #888;">Billed to</div>
+          <div><b>${escapeHtml(buyer.name)}</b></div>
+          <div>${[buyer.phone, buyer.email].filter(Boolean).map(escapeHtml).join(" · ")}</div>
+        </td>
+        <td style="vertical-align: top; text-align: right;">
+          <div style="color: #888;">Order</div>
+          <div>${escapeHtml(orderSummary.garmentType)} (${escapeHtml(orderSummary.serviceType?.toLowerCase())})</div>
+          <div>Placed ${formatDate(orderSummary.placedAt)}</div>
+          ${orderSummary.deliveredAt ? `<div>Delivered ${formatDate(orderSummary.deliveredAt)}</div>` : orderSummary.promisedDate ? `<div>Promised ${formatDate(orderSummary.promisedDate, "UTC")}</div>` : ""}
+        </td>
+      </tr>
+    </table>
+
+    <table style="width: 100%; margin-top: 20px; border-collapse: collapse;">
+      <thead>
+        <tr style="background: #f3e5f5; color: #6a1b9a;">
+          <th style="${cell} text-align: left;">#</th>
+          <th style="${cell} text-align: left;">Description</th>
+          <th style="${right}">Qty</th>
+          <th style="${right}">Rate</th>
+          <th style="${right}">Amount</th>
+        </tr>
+      </thead>
+      <tbody>${lines}
+      </tbody>
+    </table>
+
+    <table style="margin: 10px 0 0 auto;">
+        ${totals}
+    </table>
+    ${invoice.taxes.length ? `<p style="font-size: 12px; color: #888;">All prices include tax.</p>` : ""}
+
+    <hr style="border: none; border-top: 1px solid #eee; margin-top: 20px;" />
+    <p style="font-size: 12px; color: #888;">Powered by Darzi Direct</p>
+  </div>
+</body>
+</html>
+`;
+};
@@ -0,0 +1,143 @@
+// This file works out what goes on an order's invoice: the seller and buyer, one line per
+// charge, the tax breakdown and what has been paid so far. The result is stored on the
+// invoice (models/Invoice.js) and rendered as HTML (./html.js) or PDF (./pdf.js).
+//
+// Order prices already include tax. For tailors registered for GST (`tailorDetails.gstin`)
+// the tax contained in the total is broken out using INVOICE_TAX_RATES, given as JSON,
+// e.g. `[{"name": "CGST", "rate": 2.5}, {"name": "SGST", "rate": 2.5}]` (the default).
+
+import { DEFAULT_TIMEZONE } from "../schedule.js";
+
+const DEFAULT_TAX_RATES = [
+  { name: "CGST", rate: 2.5 },
+  { name: "SGST", rate: 2.5 },
+];
+
+// Rounds an amount to whole paise, like the pricing engine.
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// The tax lines to break out, from INVOICE_TAX_RATES.
+const getTaxRates = () => {
+  if (!process.env.INVOICE_TAX_RATES) return DEFAULT_TAX_RATES;
+  try {
+    const rates = JSON.parse(process.env.INVOICE_TAX_RATES);
+    return rates.filter((tax) => tax.name && Number(tax.rate) > 0).map((tax) => ({ name: tax.name, rate: Number(tax.rate) }));
+  } catch (err) {
+    console.error("❌ INVOICE_TAX_RATES is not valid JSON, using defaults:", err.message);
+    return DEFAULT_TAX_RATES;
+  }
+};
+
+/**
+ * Splits a tax-inclusive total into its taxable value and tax lines. The tax lines always
+ * add up exactly to `total - taxableValue`.
+ * @param {number} total
+ * @param {{name: string, rate: number}[]} rates Percentages, e.g. 2.5.
+ * @returns {{taxableValue: number, taxes: {name: string, rate: number, amount: number}[]}}
+ */
+export const splitInclusiveTax = (total, rates) => {
+  const totalRate = rates.reduce((sum, tax) => sum + tax.rate, 0);
+  const taxableValue = round(total / (1 + totalRate / 100));
+  const taxes = rates.map((tax) => ({ ...tax, amount: round((taxableValue * tax.rate) / 100) }));
+  // Put any rounding difference on the last line, so the invoice adds up to the paisa.
+  if (taxes.length) {
+    const difference = round(total - taxableValue - taxes.reduce((sum, tax) => sum + tax.amount, 0));
+    taxes[taxes.length - 1].amount = round(taxes[taxes.length - 1].amount + difference);
+  }
+  return { taxableValue, taxes };
+};
+
+// One invoice line per charge. Orders priced by the pricing engine carry their own breakdown;
+// older orders get a fabric line (meters × price per meter) and a tailoring line for the rest.
+const buildLines = (order) => {
+  if (order.priceBreakdown?.length) {
+    return order.priceBreakdown.map((line) => ({
+      description: line.label,
+      quantity: line.quantity,
+      unit: line.type === "FABRIC" ? "m" : "pc",
+      unitPrice: line.unitPrice,
+      amount: line.amount,
+    }));
+  }
+
+  const lines = [];
+  const { quantity, pricePerMeter, name } = order.fabricDetails || {};
+  if (order.isTailorProvidingFabric && quantity && pricePerMeter) {
+    lines.push({ description: `Fabric – ${name || "tailor's fabric"}`, quantity, unit: "m", unitPrice: pricePerMeter, amount: round(quantity * pricePerMeter) });
+  }
+  const tailoring = round(order.payment.totalAmount - lines.reduce((sum, line) => sum + line.amount, 0));
+  const pieces = order.items?.length ? order.items.join(", ") : order.garmentType;
+  lines.unshift({ description: `${order.serviceType === "ALTERATION" ? "Alteration" : "Stitching"} – ${pieces}`, quantity: 1, unit: "pc", unitPrice: tailoring, amount: tailoring });
+  return lines;
+};
+
+/**
+ * Works out the contents of an order's invoice from the order and the tailor's profile.
+ * @param {object} order The order document.
+ * @param {object} tailor The tailor's user document.
+ * @returns {object} The invoice fields (see models/Invoice.js), without its number.
+ */
+export const buildInvoiceContent = (order, tailor) => {
+  const details = tailor?.tailorDetails || {};
+  const total = order.payment.totalAmount;
+  const { taxableValue, taxes } = details.gstin ? splitInclusiveTax(total, getTaxRates()) : { taxableValue: total, taxes: [] };
+
+  const depositPaid = order.payment.depositStatus === "PAID" ? order.payment.depositAmount : 0;
+  const amountPaid = order.payment.paymentStatus === "PAID" ? total : depositPaid;
+  const delivered = order.statusHistory?.find((entry) => entry.to === "DELIVERED");
+
+  return {
+    kind: order.status === "DELIVERED" ? "RECEIPT" : "INVOICE",
+    seller: {
+      name: tailor?.name || order.tailorName,
+      shopName: details.shopName,
+      address: [details.address, details.landmark, details.city, details.state, details.zipCode].filter(Boolean).join(", ") || order.tailorAddress,
+      phone: tailor?.phone || order.tailorPhone,
+      email: tailor?.email,
+      gstin: details.gstin,
+    },
+    buyer: { name: order.customerName, phone: order.customerPhone, email: order.customerEmail },
+    orderSummary: {
+      garmentType: order.garmentType,
+      serviceType: order.serviceType,
+      placedAt: order.createdAt,
+      promisedDate: order.promisedDate,
+      deliveredAt: delivered?.at,
+    },
+    lines: buildLines(order),
+    taxableValue,
+    taxes,
+    total,
+    depositPaid,
+    depositMode: depositPaid ? order.payment.depositMode : undefined,
+    transactionId: order.payment.transactionId,
+    amountPaid,
+    balanceDue: round(total - amountPaid),
+  };
+};
+
+// --- Formatting shared by the HTML and PDF renderers ---
+
+/**
+ * Formats an amount for an invoice, e.g. 1250.5 → "1,250.50".
+ * @param {number} amount
+ * @returns {string}
+ */
+export const formatAmount = (amount) => Number(amount || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+/**
+ * Formats a date for an invoice, e.g. "20 Oct 2026". Promised dates are stored as midnight
+ * UTC of the calendar day, so they are formatted in UTC; everything else in the shop's timezone.
+ * @param {Date} [date]
+ * @param {string} [timeZone]
+ * @returns {string} Empty if there is no date.
+ */
+export const formatDate = (date, timeZone = DEFAULT_TIMEZONE) =>
+  date ? new Date(date).toLocaleDateString("en-IN", { day: "numeric", month: "short", year: "numeric", timeZone }) : "";
+
+/**
+ * The title printed on an invoice.
+ * @param {object} invoice
+ * @returns {string}
+ */
+export const invoiceTitle = (invoice) => (invoice.kind === "RECEIPT" ? "Receipt" : invoice.taxes?.length ? "Tax Invoice" : "Invoice");
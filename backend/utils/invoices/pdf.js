@@ -0,0 +1,113 @@
+// This file renders an invoice as an A4 PDF with PDFKit. Amounts are printed as "Rs." because
+// PDFKit's built-in fonts have no rupee sign.
+
+import PDFDocument from "pdfkit";
+import { formatAmount, formatDate, invoiceTitle } from "./index.js";
+
+const PURPLE = "#6a1b9a";
+const GREY = "#888888";
+const MARGIN = 50;
+
+// The line-item columns: their left edge, width and alignment.
+const COLUMNS = [
+  { header: "#", x: 50, width: 25, align: "left" },
+  { header: "Description", x: 75, width: 235, align: "left" },
+  { header: "Qty", x: 310, width: 60, align: "right" },
+  { header: "Rate", x: 370, width: 85, align: "right" },
+  { header: "Amount", x: 455, width: 90, align: "right" },
+];
+
+const money = (amount) => `Rs. ${formatAmount(amount)}`;
+
+// Writes one row of the line-item table and returns the y position below it.
+const writeRow = (doc, y, values, font = "Helvetica") => {
+  doc.font(font).fontSize(10);
+  const height = Math.max(...COLUMNS.map((column, index) => doc.heightOfString(values[index], { width: column.width })));
+  COLUMNS.forEach((column, index) => doc.text(values[index], column.x, y, { width: column.width, align: column.align }));
+  const bottom = y + height + 6;
+  doc.moveTo(MARGIN, bottom - 3).lineTo(545, bottom - 3).strokeColor("#eeeeee").stroke();
+  return bottom;
+};
+
+/**
+ * Renders an invoice as a PDF.
+ * @param {object} invoice The invoice document (models/Invoice.js).
+ * @returns {Promise<Buffer>} The PDF file.
+ */
+export const renderInvoicePdf = (invoice) =>
+  new Promise((resolve, reject) => {
+    const { seller, buyer, orderSummary } = invoice;
+    const title = invoiceTitle(invoice);
+    const doc = new PDFDocument({ size: "A4", margin: MARGIN, info: { Title: `${title} ${invoice.number}`, Author: seller.shopName || seller.name } });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    // --- Header: the shop on the left, the invoice number on the right ---
+    doc.fillColor(PURPLE).font("Helvetica-Bold").fontSize(18).text(seller.shopName || seller.name, MARGIN, MARGIN, { width: 300 });
+    doc.fillColor("black").font("Helvetica").fontSize(10);
+    if (seller.shopName) doc.text(seller.name, { width: 300 });
+    if (seller.address) doc.text(seller.address, { width: 300 });
+    const contact = [seller.phone, seller.email].filter(Boolean).join(" · ");
+    if (contact) doc.text(contact, { width: 300 });
+    if (seller.gstin) doc.text(`GSTIN: ${seller.gstin}`, { width: 300 });
+    const sellerBottom = doc.y;
+
+    doc.fillColor(PURPLE).font("Helvetica-Bold").fontSize(18).text(title, 345, MARGIN, { width: 200, align: "right" });
+    doc.fillColor("black").fontSize(10).text(invoice.number, { width: 200, align: "right" });
+    doc.font("Helvetica").text(`Issued ${formatDate(invoice.finalizedAt || invoice.issuedAt)}`, { width: 200, align: "right" });
+
+    // --- Buyer and order ---
+    const partiesTop = Math.max(sellerBottom, doc.y) + 20;
+    doc.fillColor(GREY).text("Billed to", MARGIN, partiesTop);
+    doc.fillColor("black").font("Helvetica-Bold").text(buyer.name || "");
+    doc.font("Helvetica").text([buyer.phone, buyer.email].filter(Boolean).join(" · "));
+    const buyerBottom = doc.y;
+
+    doc.fillColor(GREY).text("Order", 345, partiesTop, { width: 200, align: "right" });
+    doc.fillColor("black").text(`${orderSummary.garmentType} (${orderSummary.serviceType?.toLowerCase()})`, { width: 200, align: "right" });
+    doc.text(`Placed ${formatDate(orderSummary.placedAt)}`, { width: 200, align: "right" });
+    if (orderSummary.deliveredAt) doc.text(`Delivered ${formatDate(orderSummary.deliveredAt)}`, { width: 200, align: "right" });
+    else if (orderSummary.promisedDate) doc.text(`Promised ${formatDate(orderSummary.promisedDate, "UTC")}`, { width: 200, align: "right" });
+
+    // --- Line items ---
+    let y = Math.max(buyerBottom, doc.y) + 25;
+    doc.fillColor(PURPLE);
+    y = writeRow(doc, y, COLUMNS.map((column) => column.header), "Helvetica-Bold");
+    doc.fillColor("black");
+    invoice.lines.forEach((line, index) => {
+      if (y > doc.page.height - 150) {
+        doc.addPage();
+        y = MARGIN;
+      }
+      y = writeRow(doc, y, [String(index + 1), line.description, `${line.quantity} ${line.unit}`, money(line.unitPrice), money(line.amount)]);
+    });
+
+    // --- Totals ---
+    const totals = [
+      ...(invoice.taxes.length
+        ? [["Taxable value", invoice.taxableValue], ...invoice.taxes.map((tax) => [`${tax.name} @ ${tax.rate}%`, tax.amount])]
+        : []),
+      ["Total", invoice.total, true],
+      ...(invoice.depositPaid ? [[`Deposit paid${invoice.depositMode ? ` (${invoice.depositMode.toLowerCase()})` : ""}`, invoice.depositPaid]] : []),
+      ["Amount paid", invoice.amountPaid],
+      ["Balance due", invoice.balanceDue, true],
+    ];
+    y += 6;
+    if (y > doc.page.height - 50 - totals.length * 16) {
+      doc.addPage();
+      y = MARGIN;
+    }
+    totals.forEach(([label, amount, bold]) => {
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(10);
+      doc.text(label, 310, y, { width: 145, align: "right" });
+      doc.text(money(amount), 455, y, { width: 90, align: "right" });
+      y += 16;
+    });
+
+    doc.font("Helvetica").fillColor(GREY).fontSize(8);
+    if (invoice.taxes.length) doc.text("All prices include tax.", MARGIN, y + 10);
+    doc.text("Powered by Darzi Direct", MARGIN, y + 24);
+    doc.end();
+  });
@@ -1,7 +1,7 @@
 
-// This file contains the configuration and utility function for sending emails
-// using the SendGrid API. It's specifically used for sending One-Time Passwords (OTPs)
-// for user verification and password resets.
+// This file contains the configuration and utility functions for sending emails
+// using the SendGrid API. It's used for sending One-Time Passwords (OTPs) for user
+// verification and password resets, and by the email channel of the notification outbox.
 
 import sgMail from "@sendgrid/mail"; // Imports the official SendGrid mailer library.
 
@@ -22,9 +22,12 @@ if (process.env.SENDGRID_API_KEY) {
  * Sends a stylized OTP email to a user.
  * @param {string} to The recipient's email address.
  * @param {string} otp The 6-digit One-Time Password to be sent.
+ * @param {object} [options]
+ * @param {string} [options.reason="account verification"] What the code is for, e.g. "password reset".
+ * @param {number} [options.expiresInMinutes=10] How long the code stays valid.
  * @returns {Promise<boolean>} A promise that resolves to `true` if the email was sent successfully, and `false` otherwise.
  */
-export const sendOtpEmail = async (to, otp) => {
+export const sendOtpEmail = async (to, otp, { reason = "account verification", expiresInMinutes = 10 } = {}) => {
   // A try...catch block is used to gracefully handle any errors that might occur during the API call.
   try {
     // The `msg` object defines all the components of the email.
@@ -37,9 +40,9 @@ export const sendOtpEmail = async (to, otp) => {
         <div style="font-family: Arial, sans-serif; padding: 20px; border: 1px solid #eee; border-radius: 10px;">
           <h2 style="color: #6a1b9a;">Darzi App Verification</h2>
           <p>Hello,</p>
-          <p>Your one-time password (OTP) for account verification is:</p>
+          <p>Your one-time password (OTP) for ${reason} is:</p>
           <h1 style="color: #6a1b9a; letter-spacing: 5px; background: #f4f4f4; padding: 10px; display: inline-block;">${otp}</h1>
-          <p>This code will expire in <b>10 minutes</b>.</p>
+          <p>This code will expire in <b>${expiresInMinutes} minutes</b>.</p>
           <p>If you did not request this code, please ignore this email.</p>
           <hr style="border: none; border-top: 1px solid #eee; margin-top: 20px;" />
           <p style="font-size: 12px; color: #888;">Powered by Darzi Direct</p>
@@ -62,3 +65,31 @@ export const sendOtpEmail = async (to, otp) => {
     return false; // Indicate failure.
   }
 };
+
+/**
+ * Sends an email and reports failures by throwing, so the caller can retry it.
+ * Used by the notification outbox (see utils/notifications/).
+ * @param {object} message
+ * @param {string} message.to The recipient's email address.
+ * @param {string} message.subject
+ * @param {string} message.text The plain-text body.
+ * @param {string} [message.html] The HTML body.
+ * @param {{filename: string, type: string, content: Buffer}[]} [message.attachments] Files to attach, e.g. an invoice PDF.
+ * @returns {Promise<void>}
+ * @throws {Error} If SendGrid rejects the message or can't be reached.
+ */
+export const sendEmail = async ({ to, subject, text, html, attachments }) => {
+  try {
+    await sgMail.send({
+      to,
+      from: process.env.VERIFIED_EMAIL,
+      subject,
+      text,
+      html,
+      // SendGrid takes attachments as base64 text.
+      attachments: attachments?.map(({ filename, type, content }) => ({ filename, type, content: content.toString("base64"), disposition: "attachment" })),
+    });
+  } catch (error) {
+    throw new Error(`SendGrid: ${JSON.stringify(error.response?.body?.errors || error.message)}`);
+  }
+};
@@ -0,0 +1,122 @@
+// This file contains the measurement validation used by orders and measurement profiles,
+// and the built-in garment catalogue that seeds the 'Garment' collection. Validating
+// against a garment's template makes sure every tailor receives the same keys ("chest",
+// never "Chest" or "bust"), in a known unit, with sensible values.
+
+export const MEASUREMENT_UNITS = ["cm", "inch"];
+const CM_PER_UNIT = { cm: 1, inch: 2.54 };
+
+// Converts a length between units, rounded to one decimal place.
+const convert = (value, from, to) => Math.round(((value * CM_PER_UNIT[from]) / CM_PER_UNIT[to]) * 10) / 10;
+
+// --- Built-in Catalogue ---
+// Every measurement the built-in garments use. Ranges are in centimetres and are
+// deliberately generous: they only exist to catch typos such as 380 instead of 38.
+const FIELDS = {
+  length: { label: "Length", min: 20, max: 200 },
+  chest: { label: "Chest", min: 50, max: 180, aliases: ["bust"] },
+  shoulder: { label: "Shoulder", min: 25, max: 70 },
+  sleeve: { label: "Sleeve", min: 10, max: 90 },
+  neck: { label: "Neck", min: 25, max: 60, aliases: ["collar"] },
+  waist: { label: "Waist", min: 40, max: 180 },
+  hip: { label: "Hip", min: 50, max: 190, aliases: ["hips", "seat"] },
+  thigh: { label: "Thigh", min: 30, max: 100 },
+  inseam: { label: "Inseam", min: 40, max: 120 },
+};
+
+// Builds a full garment definition from lists of required and optional field keys.
+const defineGarment = (name, displayOrder, required, optional = []) => ({
+  name,
+  displayOrder,
+  isActive: true,
+  measurementFields: [...required, ...optional].map((key, index) => ({
+    key,
+    label: FIELDS[key].label,
+    unit: "cm",
+    min: FIELDS[key].min,
+    max: FIELDS[key].max,
+    required: required.includes(key),
+    displayOrder: index + 1,
+    aliases: FIELDS[key].aliases || [],
+  })),
+});
+
+// The garments seeded into an empty database (see `Garment.seedDefaults`).
+export const DEFAULT_GARMENTS = [
+  defineGarment("Shirt", 1, ["length", "chest", "shoulder", "sleeve"], ["neck", "waist"]),
+  defineGarment("Pant", 2, ["length", "waist", "hip", "thigh"], ["inseam"]),
+  defineGarment("Kurta", 3, ["length", "chest", "shoulder", "sleeve"], ["hip"]),
+  defineGarment("Blouse", 4, ["length", "chest", "shoulder", "sleeve", "waist"]),
+  defineGarment("Suit", 5, ["length", "chest", "shoulder", "sleeve", "waist"], ["hip"]),
+];
+
+// --- Validation ---
+
+// Finds the field an incoming key such as "Chest" or "bust" refers to.
+const findField = (fields, key) => {
+  const lower = String(key).trim().toLowerCase();
+  return fields.find((field) => field.key === lower || field.aliases?.includes(lower)) || null;
+};
+
+/**
+ * Validates and normalises a set of measurements against a garment's template.
+ * @param {object} garment A Garment document (or any object with `name` and `measurementFields`).
+ * @param {object} measurements A map of measurement names to values (numbers or numeric strings).
+ * @param {string} [unit="inch"] The unit the values are given in.
+ * @returns {{measurements: object, errors: string[]}} The measurements with canonical keys and
+ *   numeric values, plus a list of problems. The measurements are only valid if `errors` is empty.
+ */
+export const validateMeasurements = (garment, measurements, unit = "inch") => {
+  const errors = [];
+  if (!MEASUREMENT_UNITS.includes(unit)) return { measurements: {}, errors: [`unit must be one of ${MEASUREMENT_UNITS.join(", ")}`] };
+  if (!measurements || typeof measurements !== "object" || Array.isArray(measurements)) {
+    return { measurements: {}, errors: ["measurements must be an object"] };
+  }
+
+  const fields = garment.measurementFields || [];
+  const normalised = {};
+  const invalid = new Set(); // Fields already reported, so they aren't also reported as missing.
+
+  for (const [rawKey, rawValue] of Object.entries(measurements)) {
+    const field = findField(fields, rawKey);
+    if (!field) {
+      errors.push(`"${rawKey}" is not a ${garment.name} measurement`);
+      continue;
+    }
+    // Fields left blank in the app are skipped; missing required ones are reported below.
+    if (rawValue === "" || rawValue == null) continue;
+
+    const value = Number(rawValue);
+    if (!Number.isFinite(value)) {
+      errors.push(`${field.label} must be a number`);
+      invalid.add(field.key);
+      continue;
+    }
+
+    const inFieldUnit = convert(value, unit, field.unit);
+    if (inFieldUnit < field.min || inFieldUnit > field.max) {
+      errors.push(`${field.label} must be between ${convert(field.min, field.unit, unit)} and ${convert(field.max, field.unit, unit)} ${unit}`);
+      invalid.add(field.key);
+      continue;
+    }
+    normalised[field.key] = value;
+  }
+
+  for (const field of fields) {
+    if (field.required && normalised[field.key] === undefined && !invalid.has(field.key)) {
+      errors.push(`${field.label} is required`);
+    }
+  }
+
+  return { measurements: normalised, errors };
+};
+
+/**
+ * Tells whether a set of measurements is empty, i.e. the customer left every field blank or
+ * at zero (the app's "I am not sure about the measurements" option). The tailor takes the
+ * measurements themselves in that case.
+ * @param {object} measurements
+ * @returns {boolean}
+ */
+export const isBlankMeasurements = (measurements) =>
+  !measurements || Object.values(measurements).every((value) => value === "" || value == null || Number(value) === 0);
@@ -0,0 +1,28 @@
+// A development channel that prints every notification to the console instead of sending
+// it. If NOTIFICATION_LOG_FILE is set, each message is also appended to that file as one
+// line of JSON, which makes it easy to check what would have been sent.
+
+import fs from "fs/promises";
+
+const consoleChannel = {
+  name: "console",
+
+  addressFor: (recipient) => recipient.email || recipient.phone || (recipient.userId ? String(recipient.userId) : null),
+
+  async send(message) {
+    console.log(`📨 [${message.event}] to ${message.recipient.address}: ${message.subject}\n${message.text}`);
+    if (process.env.NOTIFICATION_LOG_FILE) {
+      const line = JSON.stringify({
+        at: new Date().toISOString(),
+        event: message.event,
+        to: message.recipient.address,
+        role: message.recipient.role,
+        subject: message.subject,
+        text: message.text,
+      });
+      await fs.appendFile(process.env.NOTIFICATION_LOG_FILE, `${line}\n`);
+    }
+  },
+};
+
+export default consoleChannel;
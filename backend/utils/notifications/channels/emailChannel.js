@@ -0,0 +1,15 @@
+// The email channel sends notifications through SendGrid (see utils/mailer.js).
+
+import { sendEmail } from "../../mailer.js";
+
+const emailChannel = {
+  name: "email",
+
+  addressFor: (recipient) => recipient.email || null,
+
+  async send(message) {
+    await sendEmail({ to: message.recipient.address, subject: message.subject, text: message.text, html: message.html });
+  },
+};
+
+export default emailChannel;
@@ -0,0 +1,17 @@
+// The push notification channel. The app doesn't register device tokens yet, so every
+// message fails straight away (without retries) with a clear reason. Replace `send` with a
+// call to the push service (e.g. Firebase Cloud Messaging) to enable it.
+
+const pushChannel = {
+  name: "push",
+
+  addressFor: (recipient) => (recipient.userId ? String(recipient.userId) : null),
+
+  async send() {
+    const err = new Error("No push provider is configured");
+    err.retryable = false;
+    throw err;
+  },
+};
+
+export default pushChannel;
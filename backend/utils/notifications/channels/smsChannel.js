@@ -0,0 +1,16 @@
+// The SMS channel sends notifications through the configured SMS provider (see utils/sms/).
+// The outbox takes care of queuing and retries.
+
+import { getSmsProvider } from "../../sms/index.js";
+
+const smsChannel = {
+  name: "sms",
+
+  addressFor: (recipient) => recipient.phone || null,
+
+  async send(message) {
+    await getSmsProvider().send({ to: message.recipient.address, text: message.text });
+  },
+};
+
+export default smsChannel;
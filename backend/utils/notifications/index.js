@@ -0,0 +1,215 @@
+// This file is the entry point of the notification subsystem. Routes call `notifyOrderEvent`
+// when something happens to an order; the message for each recipient is rendered from its
+// template (./templates.js), written to the outbox (models/OutboxMessage.js) and then sent
+// through every configured channel. Messages that fail are retried with a growing delay,
+// so a SendGrid outage delays notifications instead of losing them. Each recipient also gets
+// an in-app notification (models/Notification.js), which is pushed to their app straight away
+// if it is connected (see utils/realtime.js).
+//
+// Every channel is a plain object implementing the same interface:
+//   name                     A short identifier stored with each outbox message.
+//   addressFor(recipient)    The address to use for `{ userId, role, name, email, phone }`,
+//                            or `null` if the recipient can't be reached on this channel.
+//   send(message)            Sends an outbox message. Throws on failure; an error with
+//                            `retryable: false` fails the message without further attempts.
+
+import User from "../../models/User.js"; // Used to look up the tailor's contact details.
+import OutboxMessage from "../../models/OutboxMessage.js"; // The persisted queue of messages to send.
+import Notification from "../../models/Notification.js"; // The in-app inbox.
+import { publish } from "../realtime.js";
+import { rolesFor, renderNotification } from "./templates.js";
+import emailChannel from "./channels/emailChannel.js";
+import smsChannel from "./channels/smsChannel.js";
+import pushChannel from "./channels/pushChannel.js";
+import consoleChannel from "./channels/consoleChannel.js";
+
+const CHANNELS = {
+  [emailChannel.name]: emailChannel,
+  [smsChannel.name]: smsChannel,
+  [pushChannel.name]: pushChannel,
+  [consoleChannel.name]: consoleChannel,
+};
+
+// Reads a positive whole number from an environment variable, falling back to a default.
+const readSetting = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+const BATCH_SIZE = 20; // The most messages one outbox run sends.
+const LOCK_MS = 2 * 60 * 1000; // How long a claimed message stays claimed before another run may retry it.
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// How long to wait before the next attempt: 30s, 1m, 2m, 4m, ... capped at an hour.
+const retryDelay = (attempts) => Math.min(30 * 1000 * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+/**
+ * Returns the channels selected by the NOTIFICATION_CHANNELS environment variable, a
+ * comma-separated list such as "email,sms". Without it, email is used when SendGrid is
+ * configured and the console channel otherwise.
+ * @returns {object[]} The channels.
+ */
+export const getChannels = () => {
+  const names = (process.env.NOTIFICATION_CHANNELS || (process.env.SENDGRID_API_KEY ? "email" : "console"))
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+  return names.flatMap((name) => {
+    if (CHANNELS[name]) return [CHANNELS[name]];
+    console.error(`❌ Unknown notification channel "${name}" in NOTIFICATION_CHANNELS`);
+    return [];
+  });
+};
+
+// Sends one claimed message and records the outcome.
+const deliver = async (message) => {
+  try {
+    const channel = CHANNELS[message.channel];
+    if (!channel) {
+      const err = new Error(`Unknown channel "${message.channel}"`);
+      err.retryable = false;
+      throw err;
+    }
+    await channel.send(message);
+    message.status = "SENT";
+    message.sentAt = new Date();
+    message.lastError = undefined;
+  } catch (err) {
+    message.lastError = err.message;
+    if (err.retryable === false || message.attempts >= readSetting("OUTBOX_MAX_ATTEMPTS", 6)) {
+      message.status = "FAILED";
+      console.error(`❌ Notification ${message._id} (${message.event} via ${message.channel}) failed for good:`, err.message);
+    } else {
+      message.status = "PENDING";
+      message.nextAttemptAt = new Date(Date.now() + retryDelay(message.attempts));
+    }
+  }
+  message.lockedUntil = undefined;
+  await message.save();
+};
+
+let processing = false; // Stops one server from running two overlapping outbox runs.
+
+/**
+ * Sends the outbox messages that are due, oldest first. Each message is claimed with an
+ * atomic update before it is sent, so several servers can share the same outbox safely.
+ * @returns {Promise<number>} How many messages were tried.
+ */
+export const processOutbox = async () => {
+  if (processing) return 0;
+  processing = true;
+  let tried = 0;
+  try {
+    for (; tried < BATCH_SIZE; tried++) {
+      const now = new Date();
+      const message = await OutboxMessage.findOneAndUpdate(
+        {
+          $or: [
+            { status: "PENDING", nextAttemptAt: { $lte: now } },
+            { status: "SENDING", lockedUntil: { $lte: now } }, // Claimed by a run that never finished.
+          ],
+        },
+        { $set: { status: "SENDING", lockedUntil: new Date(now.getTime() + LOCK_MS) }, $inc: { attempts: 1 } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      );
+      if (!message) break;
+      await deliver(message);
+    }
+  } finally {
+    processing = false;
+  }
+  return tried;
+};
+
+/**
+ * Starts sending due outbox messages every OUTBOX_POLL_INTERVAL_MS milliseconds (default 15000).
+ * @returns {NodeJS.Timeout} The interval, so it can be stopped.
+ */
+export const startOutboxWorker = () => {
+  const interval = setInterval(() => {
+    processOutbox().catch((err) => console.error("❌ Outbox worker error:", err.message));
+  }, readSetting("OUTBOX_POLL_INTERVAL_MS", 15000));
+  interval.unref(); // Don't keep the process alive just for the worker.
+  return interval;
+};
+
+// Stores an in-app notification for every recipient with an account and pushes it to their
+// open apps. The greeting line of the text is dropped, since the inbox already belongs to them.
+const saveInAppNotifications = async (event, order, recipients, extra) => {
+  const notifications = await Notification.insertMany(
+    recipients
+      .filter((recipient) => recipient.userId)
+      .map((recipient) => {
+        const { subject, text } = renderNotification(event, recipient.role, { order, ...extra });
+        return {
+          userId: recipient.userId,
+          type: event,
+          title: subject,
+          body: text.replace(/^Hello [^\n]*\n\n/, ""),
+          orderId: order._id,
+          data: { status: order.status, paymentStatus: order.payment?.paymentStatus },
+        };
+      })
+  );
+  for (const notification of notifications) {
+    publish(notification.userId, "notification", notification.toJSON(), String(notification._id));
+  }
+};
+
+/**
+ * Notifies the people involved in an order that something happened to it. Only the roles
+ * with a template for the event are notified (see ./templates.js). The messages are queued
+ * in the outbox and a send is attempted straight away; failures are retried by the worker.
+ * Each recipient also gets an in-app notification. This never throws: the order change has
+ * already been saved, so a notification problem is only logged.
+ * @param {string} event e.g. "ORDER_PLACED".
+ * @param {object} order The order document.
+ * @param {object} [extra] Extra template data, e.g. `{ note }` for a rejection.
+ * @returns {Promise<number>} How many messages were queued.
+ */
+export const notifyOrderEvent = async (event, order, extra = {}) => {
+  try {
+    const roles = rolesFor(event);
+    const recipients = [];
+    if (roles.includes("customer")) {
+      recipients.push({ role: "customer", userId: order.customerId, name: order.customerName, email: order.customerEmail, phone: order.customerPhone });
+    }
+    if (roles.includes("tailor")) {
+      // The order only keeps the tailor's phone number, so their email comes from their profile.
+      const tailor = await User.findById(order.tailorId, { name: 1, email: 1, phone: 1 });
+      if (tailor) recipients.push({ role: "tailor", userId: tailor._id, name: tailor.name, email: tailor.email, phone: tailor.phone });
+    }
+
+    try {
+      await saveInAppNotifications(event, order, recipients, extra);
+    } catch (err) {
+      console.error(`❌ Could not save in-app ${event} notification for order ${order._id}:`, err.message);
+    }
+
+    const channels = getChannels();
+    const messages = [];
+    for (const recipient of recipients) {
+      const content = renderNotification(event, recipient.role, { order, ...extra });
+      for (const channel of channels) {
+        const address = channel.addressFor(recipient);
+        if (!address) continue;
+        messages.push({
+          event,
+          channel: channel.name,
+          orderId: order._id,
+          recipient: { userId: recipient.userId, role: recipient.role, address },
+          ...content,
+        });
+      }
+    }
+    if (messages.length === 0) return 0;
+
+    await OutboxMessage.insertMany(messages);
+    // Try to send straight away rather than waiting for the worker's next run.
+    processOutbox().catch((err) => console.error("❌ Outbox error:", err.message));
+    return messages.length;
+  } catch (err) {
+    console.error(`❌ Could not queue ${event} notification for order ${order?._id}:`, err.message);
+    return 0;
+  }
+};
@@ -0,0 +1,128 @@
+// The message templates for every notification, per event and per recipient role.
+// An event only reaches the roles it has a template for: the tailor isn't told about an
+// order they accepted themselves, for example.
+
+// Escapes text for safe use inside the HTML email body.
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+
+// Wraps the plain-text message in the same simple layout as the OTP emails (see utils/mailer.js).
+// Each blank-line separated paragraph of the text becomes a <p>.
+const toHtml = (subject, text) => `
+  <div style="font-family: Arial, sans-serif; padding: 20px; border: 1px solid #eee; border-radius: 10px;">
+    <h2 style="color: #6a1b9a;">${escapeHtml(subject)}</h2>
+    ${text.split("\n\n").map((paragraph) => `<p>${escapeHtml(paragraph).replace(/\n/g, "<br />")}</p>`).join("\n    ")}
+    <hr style="border: none; border-top: 1px solid #eee; margin-top: 20px;" />
+    <p style="font-size: 12px; color: #888;">Powered by Darzi Direct</p>
+  </div>
+`;
+
+const rupees = (amount) => `₹${Number(amount || 0).toLocaleString("en-IN")}`;
+
+// Each template receives `{ order, ...extra }` and returns `{ subject, text }`.
+// Messages are stored in the outbox and the inbox, so they never include the delivery OTP;
+// the customer reads it in the app (GET /api/orders/:id/delivery-otp).
+const TEMPLATES = {
+  ORDER_PLACED: {
+    customer: ({ order }) => ({
+      subject: `Your ${order.garmentType} order has been placed`,
+      text: `Hello ${order.customerName},\n\nYour order with ${order.tailorName} has been placed. Total: ${rupees(order.payment?.totalAmount)}, deposit: ${rupees(order.payment?.depositAmount)}.\n\nWe'll let you know as soon as the tailor accepts it.`,
+    }),
+    tailor: ({ order }) => ({
+      subject: `New order from ${order.customerName}`,
+      text: `Hello ${order.tailorName},\n\n${order.customerName} has placed a new ${order.garmentType} order (${rupees(order.payment?.totalAmount)}).\n\nPlease accept or reject it from your orders tab.`,
+    }),
+  },
+  ORDER_ACCEPTED: {
+    customer: ({ order }) => ({
+      subject: `${order.tailorName} accepted your ${order.garmentType} order`,
+      text: `Hello ${order.customerName},\n\n${order.tailorName} has accepted your order.${order.promisedDate ? ` It should be ready by ${order.promisedDate.toISOString().slice(0, 10)}.` : ""}`,
+    }),
+  },
+  ORDER_REJECTED: {
+    customer: ({ order, note }) => ({
+      subject: `Your ${order.garmentType} order was not accepted`,
+      text: `Hello ${order.customerName},\n\nUnfortunately ${order.tailorName} could not take your order.${note ? `\n\nReason: ${note}` : ""}\n\nYou can place it with another tailor nearby.`,
+    }),
+  },
+  ORDER_CANCELLED: {
+    tailor: ({ order, reason }) => ({
+      subject: `${order.customerName} cancelled their ${order.garmentType} order`,
+      text: `Hello ${order.tailorName},\n\n${order.customerName} has cancelled their order.${reason ? `\n\nReason: ${reason}` : ""}${
+        order.payment?.refund?.status === "PENDING" ? `\n\nPlease refund ${rupees(order.payment.refund.amount)} to the customer and acknowledge it in the app.` : ""
+      }`,
+    }),
+  },
+  ORDER_CANCELLED_BY_ADMIN: {
+    customer: ({ order, reason }) => ({
+      subject: `Your ${order.garmentType} order has been cancelled`,
+      text: `Hello ${order.customerName},\n\nDarzi support has cancelled your order with ${order.tailorName}.${reason ? `\n\nReason: ${reason}` : ""}${
+        order.payment?.refund?.status === "PENDING" ? `\n\n${order.tailorName} will refund your ${rupees(order.payment.refund.amount)} deposit.` : ""
+      }`,
+    }),
+    tailor: ({ order, reason }) => ({
+      subject: `${order.customerName}'s ${order.garmentType} order has been cancelled`,
+      text: `Hello ${order.tailorName},\n\nDarzi support has cancelled ${order.customerName}'s order.${reason ? `\n\nReason: ${reason}` : ""}${
+        order.payment?.refund?.status === "PENDING" ? `\n\nPlease refund ${rupees(order.payment.refund.amount)} to the customer and acknowledge it in the app.` : ""
+      }`,
+    }),
+  },
+  ORDER_IN_PROGRESS: {
+    customer: ({ order }) => ({
+      subject: `Your ${order.garmentType} is now in ${order.status.toLowerCase()}`,
+      text: `Hello ${order.customerName},\n\n${order.tailorName} has moved your order to ${order.status.toLowerCase()}.`,
+    }),
+  },
+  ORDER_READY: {
+    customer: ({ order }) => ({
+      subject: `Your ${order.garmentType} is ready!`,
+      text: `Hello ${order.customerName},\n\nYour order with ${order.tailorName} is ready.\n\nOpen the order in the app to see your delivery code, and share it with your tailor only when you have the garment in hand.`,
+    }),
+  },
+  ORDER_DELIVERED: {
+    customer: ({ order }) => ({
+      subject: `Your ${order.garmentType} has been delivered`,
+      text: `Hello ${order.customerName},\n\nYour order with ${order.tailorName} has been delivered and paid in full. Thank you for using Darzi Direct!\n\nYou can now rate ${order.tailorName} from the order page.`,
+    }),
+  },
+  DELIVERY_OTP_REISSUED: {
+    customer: ({ order }) => ({
+      subject: "Your new Darzi delivery code",
+      text: `Hello ${order.customerName},\n\nA new delivery code has been issued for your ${order.garmentType}; open the order in the app to see it. The previous code no longer works.`,
+    }),
+  },
+  DEPOSIT_CONFIRMED: {
+    customer: ({ order }) => ({
+      subject: "Deposit received",
+      text: `Hello ${order.customerName},\n\nWe've received your deposit of ${rupees(order.payment?.depositAmount)} for your ${order.garmentType} order with ${order.tailorName}.`,
+    }),
+    tailor: ({ order }) => ({
+      subject: `Deposit received from ${order.customerName}`,
+      text: `Hello ${order.tailorName},\n\nThe ${rupees(order.payment?.depositAmount)} deposit for ${order.customerName}'s ${order.garmentType} order has been paid.`,
+    }),
+  },
+};
+
+// Every event that has templates, e.g. "ORDER_PLACED".
+export const NOTIFICATION_EVENTS = Object.keys(TEMPLATES);
+
+/**
+ * Lists the roles that are notified about an event.
+ * @param {string} event e.g. "ORDER_PLACED".
+ * @returns {string[]} e.g. `["customer", "tailor"]`.
+ */
+export const rolesFor = (event) => Object.keys(TEMPLATES[event] || {});
+
+/**
+ * Renders the message one role receives for an event.
+ * @param {string} event
+ * @param {string} role "customer" or "tailor".
+ * @param {object} data `{ order, ...extra }`.
+ * @returns {{subject: string, text: string, html: string}|null} `null` if the role isn't notified.
+ */
+export const renderNotification = (event, role, data) => {
+  const template = TEMPLATES[event]?.[role];
+  if (!template) return null;
+  const { subject, text } = template(data);
+  return { subject, text, html: toHtml(subject, text) };
+};
@@ -0,0 +1,155 @@
+// This file is the one-time password (OTP) service used for sign-up, password resets,
+// passwordless phone login and confirming a new email address or phone number. Codes are
+// stored hashed (models/Otp.js), can only be used once, expire after OTP_TTL_MINUTES, and are
+// locked out for OTP_LOCKOUT_MINUTES after OTP_MAX_ATTEMPTS wrong guesses. A new code can be
+// sent at most once per OTP_RESEND_COOLDOWN_SECONDS. Codes are delivered by email (utils/mailer.js) or SMS (utils/sms/).
+
+import crypto from "crypto"; // A cryptographically secure source for the codes.
+import bcrypt from "bcryptjs"; // Codes are hashed like passwords.
+import Otp from "../models/Otp.js";
+import { sendOtpEmail } from "./mailer.js";
+import { getSmsProvider } from "./sms/index.js";
+
+// The error thrown when a code can't be sent or isn't accepted. `statusCode` is the HTTP status
+// to answer with; `retryAfter` (seconds) and `attemptsLeft` are included when they apply.
+export class OtpError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = "OtpError";
+    this.statusCode = statusCode;
+    Object.assign(this, details);
+  }
+}
+
+// --- Configuration ---
+const readNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+const getTtlMinutes = () => readNumber("OTP_TTL_MINUTES", 10);
+const getMaxAttempts = () => readNumber("OTP_MAX_ATTEMPTS", 5);
+const getCooldownSeconds = () => readNumber("OTP_RESEND_COOLDOWN_SECONDS", 60);
+const getLockoutMinutes = () => readNumber("OTP_LOCKOUT_MINUTES", 15);
+
+// How each purpose is described to the user.
+const PURPOSE_LABELS = {
+  SIGNUP: "account verification",
+  RESET: "password reset",
+  LOGIN: "login",
+  EMAIL_CHANGE: "email change",
+  PHONE_CHANGE: "phone number change",
+};
+
+const secondsUntil = (date, now) => Math.max(Math.ceil((date - now) / 1000), 1);
+
+// The error for a user who is locked out or asked for a new code too soon.
+const rateLimitError = (record, now) => {
+  if (record?.lockedUntil > now) {
+    const retryAfter = secondsUntil(record.lockedUntil, now);
+    return new OtpError(`Too many wrong attempts. Try again in ${Math.ceil(retryAfter / 60)} minutes.`, 429, { retryAfter });
+  }
+  const retryAfter = record?.sentAt ? secondsUntil(record.sentAt.getTime() + getCooldownSeconds() * 1000, now) : getCooldownSeconds();
+  return new OtpError(`Please wait ${retryAfter} seconds before asking for another code.`, 429, { retryAfter });
+};
+
+/**
+ * Sends a user a new code for a purpose, replacing any earlier one.
+ * @param {object} user The user document.
+ * @param {"SIGNUP"|"RESET"|"LOGIN"|"EMAIL_CHANGE"|"PHONE_CHANGE"} purpose
+ * @param {"email"|"sms"} channel Sends to the user's email address or phone number.
+ * @param {object} [options]
+ * @param {string} [options.to] Sends to this address or number instead, e.g. the new email
+ *   being confirmed. `verifyOtp` hands it back once the code is entered.
+ * @returns {Promise<{expiresAt: Date, resendAfter: number}>} When the code expires, and the
+ *   number of seconds until another one can be sent.
+ * @throws {OtpError} 429 during the cooldown or a lockout; 502 if the code couldn't be delivered.
+ */
+export const issueOtp = async (user, purpose, channel, { to } = {}) => {
+  const now = new Date();
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+  const expiresAt = new Date(now.getTime() + getTtlMinutes() * 60 * 1000);
+
+  // Claiming the slot in a single update means two quick requests can't both send a code:
+  // the second one finds the cooldown already started.
+  let record;
+  try {
+    record = await Otp.findOneAndUpdate(
+      {
+        userId: user._id,
+        purpose,
+        sentAt: { $not: { $gt: new Date(now.getTime() - getCooldownSeconds() * 1000) } },
+        lockedUntil: { $not: { $gt: now } },
+      },
+      {
+        $set: { channel, ...(to ? { target: to } : {}), codeHash: await bcrypt.hash(code, 10), expiresAt, attempts: 0, sentAt: now, purgeAt: expiresAt },
+        $unset: { lockedUntil: 1, ...(to ? {} : { target: 1 }) },
+      },
+      { upsert: true, new: true }
+    );
+  } catch (err) {
+    // The upsert clashes with the existing code when the user is still rate-limited.
+    if (err.code === 11000) throw rateLimitError(await Otp.findOne({ userId: user._id, purpose }), now);
+    throw err;
+  }
+
+  const label = PURPOSE_LABELS[purpose];
+  try {
+    if (channel === "sms") {
+      await getSmsProvider().send({
+        to: to || user.phone,
+        text: `Your Darzi ${label} code is ${code}. It expires in ${getTtlMinutes()} minutes. Never share it with anyone.`,
+      });
+    } else if (!(await sendOtpEmail(to || user.email, code, { reason: label, expiresInMinutes: getTtlMinutes() }))) {
+      throw new Error("SendGrid rejected the email");
+    }
+  } catch (err) {
+    // The user never got this code, so let them ask again straight away.
+    await Otp.deleteOne({ _id: record._id });
+    console.error(`❌ Could not send the ${label} code to user ${user._id}:`, err.message);
+    throw new OtpError(`We couldn't send your code by ${channel === "sms" ? "SMS" : "email"}. Please try again.`, 502);
+  }
+
+  return { expiresAt, resendAfter: getCooldownSeconds() };
+};
+
+/**
+ * Checks a code the user typed in. A correct code is used up; a wrong one counts towards
+ * the lockout.
+ * @param {object} user The user document.
+ * @param {"SIGNUP"|"RESET"|"LOGIN"|"EMAIL_CHANGE"|"PHONE_CHANGE"} purpose
+ * @param {string} code
+ * @returns {Promise<string|undefined>} Resolves if the code is correct, to the `to` address it
+ *   was sent to, if any.
+ * @throws {OtpError} 400 for a wrong or expired code (with `attemptsLeft`), 429 when locked out.
+ */
+export const verifyOtp = async (user, purpose, code) => {
+  const now = new Date();
+  const invalid = new OtpError("Invalid or expired OTP.");
+  if (!user) throw invalid;
+
+  const existing = await Otp.findOne({ userId: user._id, purpose });
+  if (existing?.lockedUntil > now) throw rateLimitError(existing, now);
+  if (!existing?.codeHash || existing.expiresAt < now) throw invalid;
+
+  // Count the attempt before checking it, so parallel guesses can't get past the limit.
+  const record = await Otp.findOneAndUpdate(
+    { _id: existing._id, codeHash: existing.codeHash, attempts: { $lt: getMaxAttempts() } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!record) throw invalid;
+
+  if (await bcrypt.compare(String(code ?? "").trim(), record.codeHash)) {
+    // Codes work only once, even if the same code is sent twice at the same moment.
+    const { deletedCount } = await Otp.deleteOne({ _id: record._id, codeHash: record.codeHash });
+    if (!deletedCount) throw invalid;
+    return record.target;
+  }
+
+  const attemptsLeft = getMaxAttempts() - record.attempts;
+  if (attemptsLeft > 0) throw new OtpError("Invalid or expired OTP.", 400, { attemptsLeft });
+
+  const lockedUntil = new Date(now.getTime() + getLockoutMinutes() * 60 * 1000);
+  await Otp.updateOne({ _id: record._id }, { $set: { lockedUntil, purgeAt: lockedUntil }, $unset: { codeHash: 1 } });
+  throw rateLimitError({ lockedUntil }, now);
+};
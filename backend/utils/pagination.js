@@ -0,0 +1,72 @@
+// This file contains the helpers shared by list endpoints that page through results with
+// an opaque cursor. The client passes the `nextCursor` from one page as `?cursor=` to get
+// the next one; a `null` `nextCursor` means there are no more results.
+
+import mongoose from "mongoose";
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+// Thrown when a client sends a cursor we didn't issue.
+export class CursorError extends Error {
+  constructor(message = "Invalid cursor") {
+    super(message);
+    this.name = "CursorError";
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Reads the page size from `?limit=`, clamped to 1..MAX_PAGE_SIZE.
+ * @param {string} [limit]
+ * @returns {number}
+ */
+export const parseLimit = (limit) => Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+/**
+ * Encodes a position in a result set as an opaque, URL-safe cursor.
+ * @param {object} position Whatever the endpoint needs to resume, e.g. `{ offset: 40 }`.
+ * @returns {string}
+ */
+export const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString("base64url");
+
+/**
+ * Decodes a cursor made by `encodeCursor`.
+ * @param {string} [cursor]
+ * @returns {object|null} The position, or `null` if no cursor was given.
+ * @throws {CursorError} If the cursor is malformed.
+ */
+export const decodeCursor = (cursor) => {
+  if (!cursor) return null;
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!position || typeof position !== "object") throw new CursorError();
+    return position;
+  } catch {
+    throw new CursorError();
+  }
+};
+
+/**
+ * Loads one page of documents, newest first, resuming after the last document of the previous page.
+ * @param {mongoose.Model} Model
+ * @param {object} query The filter to page through.
+ * @param {{limit?: string|number, cursor?: string}} page The request's `?limit=` and `?cursor=`.
+ * @param {string} [select] A Mongoose field selection, e.g. "-password".
+ * @returns {Promise<{page: object[], nextCursor: string|null}>}
+ * @throws {CursorError} If the cursor is malformed.
+ */
+export const findPage = async (Model, query, { limit, cursor } = {}, select) => {
+  const size = parseLimit(limit);
+  const position = decodeCursor(cursor);
+  if (position && !mongoose.isValidObjectId(position.before)) throw new CursorError();
+
+  const docs = await Model.find(position ? { ...query, _id: { $lt: position.before } } : query)
+    .select(select)
+    .sort({ _id: -1 })
+    .limit(size + 1); // One extra tells us whether there is another page.
+
+  const hasMore = docs.length > size;
+  const page = hasMore ? docs.slice(0, size) : docs;
+  return { page, nextCursor: hasMore ? encodeCursor({ before: String(page[page.length - 1]._id) }) : null };
+};
@@ -0,0 +1,46 @@
+// This file is the entry point of the payment subsystem. It picks the configured payment
+// provider, so the routes never need to know which gateway is actually in use.
+//
+// Every provider is a plain object implementing the same interface:
+//   name                                   A short identifier stored with each payment.
+//   publicKey()                            The public key the app needs to open the checkout.
+//   createOrder({ amount, currency, receipt, notes })
+//                                          Creates a gateway order; resolves to { providerOrderId, amount, currency }.
+//   verifyPaymentSignature({ providerOrderId, providerPaymentId, signature })
+//                                          Checks the signature the checkout returns to the app.
+//   verifyWebhook(rawBody, headers)        Checks that a webhook request really came from the gateway.
+//   parseWebhookEvent(body)                Converts a webhook body into { type: "PAID" | "FAILED", providerOrderId,
+//                                          providerPaymentId, amount }, or `null` for events we ignore.
+// Amounts always cross this interface in rupees; providers convert to their own units.
+
+import razorpayProvider from "./razorpayProvider.js";
+import mockProvider from "./mockProvider.js";
+
+const PROVIDERS = {
+  [razorpayProvider.name]: razorpayProvider,
+  [mockProvider.name]: mockProvider,
+};
+
+/**
+ * Returns the provider selected by the PAYMENT_PROVIDER environment variable (default "razorpay").
+ * The mock provider is only used when asked for by name, and never in production: it hands
+ * out valid payment signatures to anyone who asks.
+ * @returns {object} The payment provider.
+ */
+export const getPaymentProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER || razorpayProvider.name;
+  const provider = PROVIDERS[name];
+  if (!provider) throw new Error(`Unknown PAYMENT_PROVIDER "${name}"`);
+  if (provider === mockProvider && process.env.NODE_ENV === "production") {
+    throw new Error("The mock payment provider can't be used in production");
+  }
+  return provider;
+};
+
+/**
+ * Returns a provider by name, e.g. to verify a payment that was started before the
+ * configured provider changed.
+ * @param {string} name The provider name stored on the payment.
+ * @returns {object|undefined} The payment provider, if it exists.
+ */
+export const getPaymentProviderByName = (name) => PROVIDERS[name];
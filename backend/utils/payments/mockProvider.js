@@ -0,0 +1,58 @@
+// This file implements a local mock payment provider for development and testing.
+// It follows exactly the same interface and signature scheme as the Razorpay provider,
+// but never leaves the machine: orders are created in memory and payments are completed
+// through the dev-only /api/payments/mock routes.
+
+import crypto from "crypto"; // Used to compute and compare HMAC signatures.
+import razorpayProvider from "./razorpayProvider.js"; // Mock webhooks share Razorpay's event format.
+
+// The secret used to sign mock payments and webhooks, with a fallback for local development only.
+const getSecret = () => {
+  if (process.env.MOCK_PAYMENT_SECRET) return process.env.MOCK_PAYMENT_SECRET;
+  // Anyone could sign payments with the public fallback, so production refuses to use it.
+  if (process.env.NODE_ENV === "production") throw new Error("MOCK_PAYMENT_SECRET must be set to use the mock provider in production");
+  return "darzi_mock_payment_secret";
+};
+
+const hmac = (payload) => crypto.createHmac("sha256", getSecret()).update(payload).digest("hex");
+
+const safeEqual = (expected, received) => {
+  if (typeof received !== "string" || received.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+const mockProvider = {
+  name: "mock",
+
+  publicKey: () => "mock_key",
+
+  async createOrder({ amount, currency }) {
+    return { providerOrderId: `mock_order_${crypto.randomBytes(8).toString("hex")}`, amount, currency };
+  },
+
+  verifyPaymentSignature({ providerOrderId, providerPaymentId, signature }) {
+    return safeEqual(hmac(`${providerOrderId}|${providerPaymentId}`), signature);
+  },
+
+  verifyWebhook(rawBody, headers) {
+    if (!rawBody) return false;
+    return safeEqual(hmac(rawBody), headers["x-mock-signature"]);
+  },
+
+  // Mock webhooks use the same body shape as Razorpay, so the app and tests exercise real parsing.
+  parseWebhookEvent: razorpayProvider.parseWebhookEvent,
+
+  // --- Mock-only helpers ---
+  // Simulates what the checkout widget would return after a successful payment.
+  completePayment(providerOrderId) {
+    const providerPaymentId = `mock_pay_${crypto.randomBytes(8).toString("hex")}`;
+    return { providerOrderId, providerPaymentId, signature: hmac(`${providerOrderId}|${providerPaymentId}`) };
+  },
+
+  // Signs a webhook body the same way `verifyWebhook` checks it.
+  signWebhook(rawBody) {
+    return hmac(rawBody);
+  },
+};
+
+export default mockProvider;
@@ -0,0 +1,95 @@
+// This file implements the payment provider interface for Razorpay.
+// It talks to the Razorpay REST API directly with `fetch`, so no extra SDK is needed.
+// See utils/payments/index.js for a description of the interface every provider implements.
+
+import crypto from "crypto"; // Used to compute and compare HMAC signatures.
+
+const API_BASE = "https://api.razorpay.com/v1";
+
+// The Razorpay account to use.
+const credentials = () => ({
+  keyId: process.env.RAZORPAY_KEY_ID,
+  keySecret: process.env.RAZORPAY_KEY_SECRET,
+  webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET,
+});
+
+// Compares two hex signatures in constant time so the comparison can't leak timing information.
+const safeEqual = (expected, received) => {
+  if (typeof received !== "string" || received.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+const hmac = (secret, payload) => crypto.createHmac("sha256", secret).update(payload).digest("hex");
+
+const razorpayProvider = {
+  name: "razorpay",
+
+  // The public key the app needs to open Razorpay Checkout.
+  publicKey: () => credentials().keyId,
+
+  /**
+   * Creates a Razorpay order for the given amount.
+   * @param {object} params
+   * @param {number} params.amount The amount in rupees.
+   * @param {string} params.currency e.g. "INR".
+   * @param {string} params.receipt Our own reference for the payment.
+   * @param {object} [params.notes] Extra key/value data stored with the Razorpay order.
+   * @returns {Promise<{providerOrderId: string, amount: number, currency: string}>}
+   */
+  async createOrder({ amount, currency, receipt, notes }) {
+    const { keyId, keySecret } = credentials();
+    if (!keyId || !keySecret) throw new Error("Razorpay credentials are not configured");
+
+    const response = await fetch(`${API_BASE}/orders`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString("base64")}`,
+      },
+      // Razorpay expects amounts in the smallest currency unit (paise).
+      body: JSON.stringify({ amount: Math.round(amount * 100), currency, receipt, notes }),
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error?.description || "Razorpay order creation failed");
+
+    return { providerOrderId: data.id, amount: data.amount / 100, currency: data.currency };
+  },
+
+  /**
+   * Verifies the signature Razorpay Checkout hands back to the app after a payment.
+   * @returns {boolean} `true` if the payment really came from Razorpay for this order.
+   */
+  verifyPaymentSignature({ providerOrderId, providerPaymentId, signature }) {
+    const { keySecret } = credentials();
+    if (!keySecret) return false;
+    return safeEqual(hmac(keySecret, `${providerOrderId}|${providerPaymentId}`), signature);
+  },
+
+  /**
+   * Verifies a webhook request using the raw request body and the `x-razorpay-signature` header.
+   * @returns {boolean}
+   */
+  verifyWebhook(rawBody, headers) {
+    const { webhookSecret } = credentials();
+    if (!webhookSecret || !rawBody) return false;
+    return safeEqual(hmac(webhookSecret, rawBody), headers["x-razorpay-signature"]);
+  },
+
+  /**
+   * Turns a Razorpay webhook body into a provider-neutral event.
+   * @returns {{type: string, providerOrderId: string, providerPaymentId: string, amount: number}|null}
+   *   `type` is "PAID" or "FAILED"; events we don't act on return `null`.
+   */
+  parseWebhookEvent(body) {
+    const payment = body?.payload?.payment?.entity;
+    if (!payment) return null;
+
+    const types = { "payment.captured": "PAID", "order.paid": "PAID", "payment.failed": "FAILED" };
+    const type = types[body.event];
+    if (!type) return null;
+
+    return { type, providerOrderId: payment.order_id, providerPaymentId: payment.id, amount: payment.amount / 100 };
+  },
+};
+
+export default razorpayProvider;
@@ -0,0 +1,153 @@
+// This file contains the server-side pricing engine for orders.
+// Prices are always worked out here from the tailor's own rates and the fabric catalogue,
+// so the totals the app displays can never be changed by a tampered request.
+
+import User, { LISTED_TAILOR_FILTER } from "../models/User.js"; // Used to look up the tailor's pricing.
+import Fabric from "../models/Fabric.js"; // Used to look up tailor-provided fabric prices.
+import Garment from "../models/Garment.js"; // Only garments from the catalogue can be priced.
+
+// Extra charges for garments that take noticeably more work than a standard piece.
+// Keys are matched case-insensitively. They can be overridden with the ITEM_SURCHARGES
+// environment variable, given as JSON (e.g. `{"Sherwani": 1500, "Blazer": 800}`).
+const DEFAULT_ITEM_SURCHARGES = { blazer: 800, sherwani: 1500, lehenga: 1500, suit: 1000 };
+
+// The error thrown when a quote can't be produced from the given order details.
+// `statusCode` lets the routes answer with a 400 instead of a generic 500.
+export class QuoteError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "QuoteError";
+    this.statusCode = 400;
+  }
+}
+
+// --- Configuration ---
+const readNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const getItemSurcharges = () => {
+  if (!process.env.ITEM_SURCHARGES) return DEFAULT_ITEM_SURCHARGES;
+  try {
+    const parsed = JSON.parse(process.env.ITEM_SURCHARGES);
+    // Normalise the keys so lookups are case-insensitive.
+    return Object.fromEntries(Object.entries(parsed).map(([item, fee]) => [item.toLowerCase(), Number(fee) || 0]));
+  } catch (err) {
+    console.error("❌ ITEM_SURCHARGES is not valid JSON, using defaults:", err.message);
+    return DEFAULT_ITEM_SURCHARGES;
+  }
+};
+
+// Rounds an amount to whole paise so floating-point noise never reaches the database.
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Works out the full price of an order.
+ * @param {object} details The order details as sent by the app.
+ * @param {string} details.tailorId The tailor the order is placed with.
+ * @param {string} details.garmentType The primary garment type.
+ * @param {string[]} [details.items] The pieces to be made. Defaults to just the garment type.
+ * @param {string} [details.serviceType] "STITCHING" (default) or "ALTERATION".
+ * @param {boolean} [details.isTailorProvidingFabric] Whether the tailor supplies the fabric.
+ * @param {object} [details.fabricDetails] Must contain `fabricId` and `quantity` (meters) when the tailor supplies fabric.
+ * @param {string} [details.handoverType] "pickup" adds the pickup fee.
+ * @returns {Promise<{quote: object, tailor: object, fabric: object|null, garment: object, items: string[]}>}
+ *   The quote (line items, total, deposit and remaining balance), plus the documents it was priced
+ *   from and the items spelled the way the garment catalogue spells them.
+ * @throws {QuoteError} If the garment, tailor, fabric or quantities are invalid.
+ */
+export const calculateQuote = async (details) => {
+  const { tailorId, garmentType, isTailorProvidingFabric, fabricDetails, handoverType } = details;
+  const serviceType = details.serviceType || "STITCHING";
+
+  // The garment and every item must come from the catalogue, spelled the catalogue's way.
+  if (!garmentType) throw new QuoteError("garmentType is required");
+  const garment = await Garment.findActiveByName(garmentType);
+  if (!garment) throw new QuoteError(`Unsupported garment type "${garmentType}"`);
+
+  let items = [garment.name];
+  if (Array.isArray(details.items) && details.items.length > 0) {
+    const itemGarments = await Promise.all(details.items.map((item) => Garment.findActiveByName(item)));
+    const unknown = details.items.filter((item, i) => !itemGarments[i]);
+    if (unknown.length) throw new QuoteError(`Unsupported items: ${unknown.join(", ")}`);
+    items = itemGarments.map((itemGarment) => itemGarment.name);
+  }
+
+  let tailor;
+  try {
+    tailor = await User.findOne({ _id: tailorId, ...LISTED_TAILOR_FILTER });
+  } catch (err) {
+    // A malformed ID can't match any tailor.
+    if (err.name !== "CastError") throw err;
+  }
+  if (!tailor) throw new QuoteError("Selected tailor not found");
+
+  const pricing = tailor.tailorDetails?.pricing || {};
+  const lineItems = [];
+
+  // --- Tailoring charges: one line per piece ---
+  if (serviceType === "ALTERATION") {
+    if (pricing.alterationPrice == null) throw new QuoteError("This tailor does not offer alterations.");
+    for (const item of items) {
+      lineItems.push({ type: "ALTERATION", label: `Alteration – ${item}`, quantity: 1, unitPrice: pricing.alterationPrice, amount: pricing.alterationPrice });
+    }
+  } else if (serviceType === "STITCHING") {
+    if (pricing.basePrice == null) throw new QuoteError("This tailor has not set their prices yet.");
+    const surcharges = getItemSurcharges();
+    for (const item of items) {
+      lineItems.push({ type: "STITCHING", label: `Stitching – ${item}`, quantity: 1, unitPrice: pricing.basePrice, amount: pricing.basePrice });
+      const surcharge = surcharges[String(item).toLowerCase()];
+      if (surcharge) {
+        lineItems.push({ type: "SURCHARGE", label: `Surcharge – ${item}`, quantity: 1, unitPrice: surcharge, amount: surcharge });
+      }
+    }
+  } else {
+    throw new QuoteError("serviceType must be STITCHING or ALTERATION");
+  }
+
+  // --- Fabric charges: price per meter × meters, from the tailor's own catalogue ---
+  let fabric = null;
+  if (isTailorProvidingFabric) {
+    const quantity = Number(fabricDetails?.quantity);
+    if (!fabricDetails?.fabricId) throw new QuoteError("fabricDetails.fabricId is required when the tailor provides the fabric");
+    if (!Number.isFinite(quantity) || quantity <= 0) throw new QuoteError("fabricDetails.quantity must be a positive number of meters");
+
+    try {
+      fabric = await Fabric.findOne({ _id: fabricDetails.fabricId, tailorId: tailor._id, isAvailable: true, hiddenAt: null });
+    } catch (err) {
+      if (err.name !== "CastError") throw err;
+    }
+    if (!fabric) throw new QuoteError("Selected fabric is not available from this tailor");
+    if ((fabric.availableQty ?? 0) < quantity) {
+      throw new QuoteError(`Only ${fabric.availableQty ?? 0} m of ${fabric.name} is left in stock.`);
+    }
+
+    lineItems.push({ type: "FABRIC", label: `Fabric – ${fabric.name}`, quantity, unitPrice: fabric.pricePerMeter, amount: round(fabric.pricePerMeter * quantity) });
+  }
+
+  // --- Pickup fee ---
+  if (handoverType === "pickup") {
+    if (!tailor.tailorDetails?.homePickup) throw new QuoteError("This tailor does not offer home pickup.");
+    const pickupFee = readNumber("PICKUP_FEE", 50);
+    if (pickupFee > 0) {
+      lineItems.push({ type: "PICKUP", label: "Home pickup", quantity: 1, unitPrice: pickupFee, amount: pickupFee });
+    }
+  }
+
+  const totalAmount = round(lineItems.reduce((sum, line) => sum + line.amount, 0));
+  const depositPercent = Math.min(readNumber("DEPOSIT_PERCENT", 20), 100);
+  // Deposits are rounded up to whole rupees to keep cash handovers simple.
+  const depositAmount = Math.min(Math.ceil((totalAmount * depositPercent) / 100), totalAmount);
+
+  const quote = {
+    currency: "INR",
+    serviceType,
+    lineItems,
+    totalAmount,
+    depositPercent,
+    depositAmount,
+    remainingAmount: round(totalAmount - depositAmount),
+  };
+  return { quote, tailor, fabric, garment, items };
+};
@@ -0,0 +1,77 @@
+// This file keeps track of the apps connected to the real-time stream
+// (GET /api/notifications/stream) and pushes events to them using Server-Sent Events.
+//
+// Connections live in this process's memory, so with several server instances an event
+// only reaches the users connected to the instance that raised it. Nothing is lost either
+// way: every notification is also stored and can be fetched from GET /api/notifications.
+
+// Each user ID maps to that user's open responses (one per device or tab), each with the ID
+// of the session it was opened under.
+const clients = new Map();
+
+/**
+ * Writes one Server-Sent Event to a response.
+ * @param {import("express").Response} res
+ * @param {string} event The event name, e.g. "notification".
+ * @param {object} data Sent as JSON.
+ * @param {string} [id] Lets the client resume after this event with `Last-Event-ID`.
+ */
+export const writeEvent = (res, event, data, id) => {
+  if (id) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Registers an open stream for a user.
+ * @param {string} userId
+ * @param {import("express").Response} res
+ * @param {string} sessionId The session whose token opened the stream.
+ * @returns {Function} Call it to unregister the stream when the connection closes.
+ */
+export const addClient = (userId, res, sessionId) => {
+  const key = String(userId);
+  if (!clients.has(key)) clients.set(key, new Map());
+  clients.get(key).set(res, String(sessionId));
+
+  return () => {
+    const streams = clients.get(key);
+    if (!streams) return;
+    streams.delete(res);
+    if (streams.size === 0) clients.delete(key);
+  };
+};
+
+/**
+ * Pushes an event to every open stream of a user. Users who aren't connected are skipped.
+ * @param {string} userId
+ * @param {string} event
+ * @param {object} data
+ * @param {string} [id]
+ */
+export const publish = (userId, event, data, id) => {
+  if (!userId) return;
+  for (const res of clients.get(String(userId))?.keys() || []) {
+    try {
+      writeEvent(res, event, data, id);
+    } catch (err) {
+      console.error("❌ Real-time push failed:", err.message);
+    }
+  }
+};
+
+/**
+ * Ends open streams of a user, e.g. because their sessions were logged out. The app can only
+ * reconnect with a valid token.
+ * @param {string} userId
+ * @param {object} [which] Leave empty to end every stream of the user.
+ * @param {string} [which.sessionId] Only end the streams opened under this session.
+ * @param {string} [which.exceptSessionId] End every stream except those opened under this session.
+ */
+export const closeClients = (userId, { sessionId, exceptSessionId } = {}) => {
+  for (const [res, streamSessionId] of clients.get(String(userId)) || []) {
+    if (sessionId && streamSessionId !== String(sessionId)) continue;
+    if (exceptSessionId && streamSessionId === String(exceptSessionId)) continue;
+    res.end(); // Closing the connection unregisters the stream.
+  }
+};
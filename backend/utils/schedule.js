@@ -0,0 +1,186 @@
+// This file contains helpers for working with a tailor's opening hours and workload.
+// Tailors type their hours as free text when they sign up ("10:00", "9:30 AM", "9 pm"),
+// and their working days as names ("Monday", "Tue"). These helpers turn that into something
+// we can compare against the current time in the tailor's own timezone, and use it to work
+// out when a new order can be ready.
+
+// The timezone used for tailors that haven't set one.
+export const DEFAULT_TIMEZONE = "Asia/Kolkata";
+// How many working days a garment takes once the tailor starts on it, unless the tailor says otherwise.
+export const DEFAULT_TURNAROUND_DAYS = 3;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+/**
+ * Parses a time of day such as "10:00", "21:30", "9:30 AM", "9 pm" or "10.30".
+ * @param {string} text
+ * @returns {number|null} Minutes after midnight, or `null` if the text isn't a valid time.
+ */
+export const parseTimeOfDay = (text) => {
+  const match = /^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/i.exec(String(text ?? "").trim());
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const meridiem = match[3]?.toLowerCase();
+  if (minutes > 59) return null;
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === "pm" ? 12 : 0);
+  } else if (hours > 24 || (hours === 24 && minutes > 0)) {
+    return null;
+  }
+  return hours * 60 + minutes;
+};
+
+// Turns "Monday", "mon" or "MON" into "mon". Unknown names are returned unchanged.
+const normaliseDay = (day) => String(day).trim().slice(0, 3).toLowerCase();
+
+/**
+ * Checks whether text names a day of the week, e.g. "Monday", "mon" or "MON".
+ * @param {string} day
+ * @returns {boolean}
+ */
+export const isDayName = (day) => {
+  if (typeof day !== "string") return false;
+  const name = day.trim().toLowerCase();
+  return DAY_NAMES.includes(name) || ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"].includes(name);
+};
+
+// Returns a function telling whether the tailor works on a weekday (0 = Sunday). Tailors who
+// haven't listed any recognisable working days are treated as working every day.
+const workingDayChecker = (tailorDetails) => {
+  const days = (tailorDetails?.workingDays || []).map(normaliseDay).filter((day) => DAY_NAMES.includes(day));
+  return (day) => days.length === 0 || days.includes(DAY_NAMES[((day % 7) + 7) % 7]);
+};
+
+/**
+ * Tells whether a calendar date is one of the tailor's working days.
+ * @param {object} tailorDetails The tailor's `tailorDetails`, for `workingDays`.
+ * @param {Date} date A calendar date (midnight UTC).
+ * @returns {boolean}
+ */
+export const isWorkingDay = (tailorDetails, date) => workingDayChecker(tailorDetails)(date.getUTCDay());
+
+// Builds a formatter for `timeZone`, falling back to the default for unknown zones.
+const formatterFor = (timeZone, options) => {
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone: timeZone || DEFAULT_TIMEZONE, ...options });
+  } catch {
+    return new Intl.DateTimeFormat("en-US", { timeZone: DEFAULT_TIMEZONE, ...options });
+  }
+};
+
+/**
+ * Returns the weekday and time of day of a moment in a given timezone.
+ * @param {Date} date
+ * @param {string} [timeZone] An IANA timezone such as "Asia/Kolkata". Invalid zones fall back to the default.
+ * @returns {{day: number, minutes: number}} `day` is 0 for Sunday to 6 for Saturday.
+ */
+export const getLocalTime = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const formatter = formatterFor(timeZone, { weekday: "short", hour: "2-digit", minute: "2-digit", hourCycle: "h23" });
+  const parts = Object.fromEntries(formatter.formatToParts(date).map((part) => [part.type, part.value]));
+  return { day: DAY_NAMES.indexOf(parts.weekday.toLowerCase()), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+};
+
+/**
+ * Tells whether a tailor's shop is open at a given moment.
+ * Tailors who haven't listed any working days are treated as working every day. Tailors whose
+ * hours can't be parsed are treated as closed, since we can't tell. Hours that run past
+ * midnight (e.g. 18:00 to 02:00) count towards the day the shop opened.
+ * @param {object} tailorDetails The tailor's `tailorDetails`.
+ * @param {Date} [date=new Date()]
+ * @returns {boolean}
+ */
+export const isOpenAt = (tailorDetails, date = new Date()) => {
+  const open = parseTimeOfDay(tailorDetails?.workingHours?.open);
+  const close = parseTimeOfDay(tailorDetails?.workingHours?.close);
+  if (open === null || close === null || open === close) return false;
+
+  const worksOn = workingDayChecker(tailorDetails);
+  const now = getLocalTime(date, tailorDetails.timezone);
+
+  if (open < close) return worksOn(now.day) && now.minutes >= open && now.minutes < close;
+  // Overnight hours: either the evening part of today, or the early-morning part of yesterday.
+  return (worksOn(now.day) && now.minutes >= open) || (worksOn(now.day - 1) && now.minutes < close);
+};
+
+// --- Delivery Dates ---
+// Promised dates are calendar dates, stored as midnight UTC of that day (e.g. 2026-10-20T00:00:00Z
+// means "20 October" wherever the tailor is).
+
+/**
+ * Returns today's date in a timezone, as midnight UTC of that calendar day.
+ * @param {Date} [date=new Date()]
+ * @param {string} [timeZone]
+ * @returns {Date}
+ */
+export const getLocalDate = (date = new Date(), timeZone = DEFAULT_TIMEZONE) => {
+  const formatter = formatterFor(timeZone, { year: "numeric", month: "2-digit", day: "2-digit" });
+  const parts = Object.fromEntries(formatter.formatToParts(date).map((part) => [part.type, part.value]));
+  return new Date(Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day)));
+};
+
+/**
+ * Parses a calendar date such as "2026-10-20".
+ * @param {string} text
+ * @returns {Date|null} Midnight UTC of that day, or `null` if the text isn't a valid date.
+ */
+export const parseCalendarDate = (text) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(text ?? "").trim());
+  if (!match) return null;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.getUTCDate() === Number(match[3]) ? date : null; // Rejects dates such as 2026-02-30.
+};
+
+/**
+ * Moves forward from a calendar date by a number of the tailor's working days. If `start` isn't
+ * a working day, counting begins from the next one, so adding 0 days to a Sunday gives Monday
+ * for a tailor who doesn't work Sundays.
+ * @param {Date} start A calendar date (midnight UTC).
+ * @param {number} days
+ * @param {object} tailorDetails The tailor's `tailorDetails`, for `workingDays`.
+ * @returns {Date}
+ */
+export const addWorkingDays = (start, days, tailorDetails) => {
+  const worksOn = workingDayChecker(tailorDetails);
+  let date = new Date(start);
+  while (!worksOn(date.getUTCDay())) date = new Date(date.getTime() + MS_PER_DAY);
+  for (let added = 0; added < days; ) {
+    date = new Date(date.getTime() + MS_PER_DAY);
+    if (worksOn(date.getUTCDay())) added += 1;
+  }
+  return date;
+};
+
+/**
+ * Returns how many garments of a type the tailor can start per working day.
+ * @param {object} tailorDetails
+ * @param {string} garmentType
+ * @returns {number|null} The capacity, or `null` if the tailor hasn't set a limit.
+ */
+export const getDailyCapacity = (tailorDetails, garmentType) => {
+  const key = String(garmentType ?? "").toLowerCase();
+  const entry = (tailorDetails?.dailyCapacity || []).find((capacity) => String(capacity.garmentType).toLowerCase() === key);
+  return entry?.perDay || tailorDetails?.defaultDailyCapacity || null;
+};
+
+/**
+ * Estimates when a new order would be ready. The order joins the back of the tailor's queue
+ * for its garment type: with a capacity of 4 shirts a day and 10 shirts already queued, work
+ * on a new shirt starts on the third working day, and it is ready `turnaroundDays` working
+ * days after that.
+ * @param {object} tailorDetails The tailor's `tailorDetails`.
+ * @param {string} garmentType
+ * @param {number} queuedUnits Garments of this type already waiting or in progress.
+ * @param {number} [units=1] Garments in the new order.
+ * @param {Date} [now=new Date()]
+ * @returns {Date} The promised calendar date (midnight UTC).
+ */
+export const estimateReadyDate = (tailorDetails, garmentType, queuedUnits, units = 1, now = new Date()) => {
+  const capacity = getDailyCapacity(tailorDetails, garmentType);
+  const startOffset = capacity ? Math.floor((queuedUnits + units - 1) / capacity) : 0;
+  const turnaround = tailorDetails?.turnaroundDays ?? DEFAULT_TURNAROUND_DAYS;
+  return addWorkingDays(getLocalDate(now, tailorDetails?.timezone), startOffset + turnaround, tailorDetails);
+};
@@ -0,0 +1,104 @@
+// This file generates the bookable time slots for home pickups and measurement visits.
+// Slots are never stored up front: they are worked out on demand from the tailor's working
+// days and hours, and only the bookings made against them are saved (see models/Slot.js).
+
+import { parseTimeOfDay, getLocalDate, getLocalTime, isWorkingDay, parseCalendarDate } from "./schedule.js";
+
+// The two kinds of visit a customer can book, and the tailor setting that enables each.
+export const SLOT_KINDS = {
+  PICKUP: "homePickup",
+  MEASUREMENT_VISIT: "measurementVisit",
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Reads a positive whole number from an environment variable, falling back to a default.
+const readSetting = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+/**
+ * Returns the slot settings: `length` (SLOT_LENGTH_MINUTES, default 120), `capacity` — how
+ * many bookings one slot takes (SLOT_CAPACITY, default 1), `holdMinutes` — how long a slot is
+ * held during checkout (SLOT_HOLD_MINUTES, default 10) and `bookingDays` — how far ahead
+ * slots can be booked (SLOT_BOOKING_DAYS, default 14).
+ * @returns {{length: number, capacity: number, holdMinutes: number, bookingDays: number}}
+ */
+export const getSlotSettings = () => ({
+  length: readSetting("SLOT_LENGTH_MINUTES", 120),
+  capacity: readSetting("SLOT_CAPACITY", 1),
+  holdMinutes: readSetting("SLOT_HOLD_MINUTES", 10),
+  bookingDays: readSetting("SLOT_BOOKING_DAYS", 14),
+});
+
+// Formats minutes after midnight as "09:00" (for storage) or "9:00 AM" (for display).
+const toClock = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+const toDisplay = (minutes) => {
+  const hours = Math.floor(minutes / 60) % 24;
+  return `${hours % 12 || 12}:${String(minutes % 60).padStart(2, "0")} ${hours < 12 ? "AM" : "PM"}`;
+};
+
+/**
+ * Tells whether a tailor offers a kind of slot.
+ * @param {object} tailorDetails
+ * @param {string} kind "PICKUP" or "MEASUREMENT_VISIT".
+ * @returns {boolean}
+ */
+export const offersSlotKind = (tailorDetails, kind) => Boolean(SLOT_KINDS[kind] && tailorDetails?.[SLOT_KINDS[kind]]);
+
+/**
+ * Lists the slots a tailor offers over a range of days. Slots of `length` minutes are laid
+ * end to end from opening time, and only those that finish by closing time are offered.
+ * Days the tailor doesn't work, days beyond the booking window and slots that have already
+ * started are left out. Tailors whose hours can't be read, or run past midnight, offer none.
+ * @param {object} tailorDetails The tailor's `tailorDetails`.
+ * @param {string} kind "PICKUP" or "MEASUREMENT_VISIT".
+ * @param {Date} from The first calendar date (midnight UTC).
+ * @param {number} days How many days to cover.
+ * @param {Date} [now=new Date()]
+ * @returns {{date: string, start: string, end: string, label: string}[]} `date` is "YYYY-MM-DD".
+ */
+export const generateSlots = (tailorDetails, kind, from, days, now = new Date()) => {
+  if (!offersSlotKind(tailorDetails, kind)) return [];
+  const open = parseTimeOfDay(tailorDetails.workingHours?.open);
+  const close = parseTimeOfDay(tailorDetails.workingHours?.close);
+  if (open === null || close === null || open >= close) return [];
+
+  const { length, bookingDays } = getSlotSettings();
+  const today = getLocalDate(now, tailorDetails.timezone);
+  const lastDay = new Date(today.getTime() + (bookingDays - 1) * MS_PER_DAY);
+  const nowMinutes = getLocalTime(now, tailorDetails.timezone).minutes;
+
+  const slots = [];
+  for (let i = 0; i < days; i++) {
+    const date = new Date(from.getTime() + i * MS_PER_DAY);
+    if (date < today || date > lastDay || !isWorkingDay(tailorDetails, date)) continue;
+
+    for (let start = open; start + length <= close; start += length) {
+      if (date.getTime() === today.getTime() && start <= nowMinutes) continue;
+      slots.push({
+        date: date.toISOString().slice(0, 10),
+        start: toClock(start),
+        end: toClock(start + length),
+        label: `${toDisplay(start)} - ${toDisplay(start + length)}`,
+      });
+    }
+  }
+  return slots;
+};
+
+/**
+ * Finds one of the tailor's bookable slots by its date and start time.
+ * @param {object} tailorDetails
+ * @param {string} kind
+ * @param {string} date "YYYY-MM-DD"
+ * @param {string} start e.g. "09:00"
+ * @param {Date} [now=new Date()]
+ * @returns {object|null} The slot, as returned by `generateSlots`, or `null` if it isn't offered.
+ */
+export const findSlot = (tailorDetails, kind, date, start, now = new Date()) => {
+  const day = parseCalendarDate(date);
+  if (!day) return null;
+  return generateSlots(tailorDetails, kind, day, 1, now).find((slot) => slot.start === start) || null;
+};
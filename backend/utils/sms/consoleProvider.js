@@ -0,0 +1,13 @@
+// A development SMS provider that prints every message to the console instead of sending it,
+// so phone OTP login can be tried without an SMS account. It must never be used in
+// production, where it would write one-time passwords to the server logs.
+
+const consoleProvider = {
+  name: "console",
+
+  async send({ to, text }) {
+    console.log(`📱 SMS to ${to}: ${text}`);
+  },
+};
+
+export default consoleProvider;
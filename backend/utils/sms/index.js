@@ -0,0 +1,31 @@
+// This file is the entry point of the SMS subsystem. It picks the configured SMS provider,
+// so the OTP service and the SMS notification channel never need to know which one is used.
+//
+// Every provider is a plain object implementing the same interface:
+//   name                      A short identifier, as used in SMS_PROVIDER.
+//   send({ to, text })        Sends a text message to a phone number; rejects if it can't be sent.
+
+import twilioProvider from "./twilioProvider.js";
+import consoleProvider from "./consoleProvider.js";
+
+const PROVIDERS = {
+  [twilioProvider.name]: twilioProvider,
+  [consoleProvider.name]: consoleProvider,
+};
+
+/**
+ * Returns the provider selected by the SMS_PROVIDER environment variable.
+ * Without it, Twilio is used when its account is configured or in production, and the
+ * console provider (which only logs messages) otherwise. The console provider is never used
+ * in production: it writes one-time codes to the server log instead of the user's phone.
+ * @returns {object} The SMS provider.
+ */
+export const getSmsProvider = () => {
+  const name = process.env.SMS_PROVIDER || (process.env.TWILIO_ACCOUNT_SID || process.env.NODE_ENV === "production" ? "twilio" : "console");
+  const provider = PROVIDERS[name];
+  if (!provider) throw new Error(`Unknown SMS_PROVIDER "${name}"`);
+  if (provider === consoleProvider && process.env.NODE_ENV === "production") {
+    throw new Error("The console SMS provider can't be used in production");
+  }
+  return provider;
+};
@@ -0,0 +1,45 @@
+// This file implements the SMS provider interface for Twilio.
+// It talks to the Twilio REST API directly with `fetch`, so no extra SDK is needed.
+// Messages are sent from TWILIO_FROM_NUMBER, or through TWILIO_MESSAGING_SERVICE_SID if set.
+
+const API_BASE = "https://api.twilio.com/2010-04-01";
+
+// The Twilio account and sender to use.
+const credentials = () => ({
+  accountSid: process.env.TWILIO_ACCOUNT_SID,
+  authToken: process.env.TWILIO_AUTH_TOKEN,
+  from: process.env.TWILIO_FROM_NUMBER,
+  messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID,
+});
+
+const twilioProvider = {
+  name: "twilio",
+
+  /**
+   * Sends a text message.
+   * @param {object} message
+   * @param {string} message.to The phone number, in E.164 format (e.g. "+919876543210").
+   * @param {string} message.text
+   * @returns {Promise<void>}
+   */
+  async send({ to, text }) {
+    const { accountSid, authToken, from, messagingServiceSid } = credentials();
+    if (!accountSid || !authToken || !(from || messagingServiceSid)) throw new Error("Twilio credentials are not configured");
+
+    const body = new URLSearchParams({ To: to, Body: text });
+    if (messagingServiceSid) body.set("MessagingServiceSid", messagingServiceSid);
+    else body.set("From", from);
+
+    const response = await fetch(`${API_BASE}/Accounts/${accountSid}/Messages.json`, {
+      method: "POST",
+      headers: { Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString("base64")}` },
+      body,
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(`Twilio: ${data.message || `HTTP ${response.status}`}`);
+    }
+  },
+};
+
+export default twilioProvider;
@@ -0,0 +1,46 @@
+// This file implements the storage adapter interface on the server's own disk.
+// Files are written under UPLOAD_DIR (default: backend/uploads) and served by server.js at /uploads.
+// See utils/storage/index.js for a description of the interface every adapter implements.
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const DEFAULT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../../uploads");
+
+// Where uploads are stored, from UPLOAD_DIR.
+const publicDir = () => path.resolve(process.env.UPLOAD_DIR || DEFAULT_DIR);
+
+// Turns a key into a path inside the upload directory, refusing anything that would escape it.
+const pathFor = (key) => {
+  const root = publicDir();
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) throw new Error(`Invalid storage key "${key}"`);
+  return filePath;
+};
+
+const diskStorage = {
+  name: "local",
+
+  publicDir,
+
+  /**
+   * Writes a file to disk.
+   * @param {string} key e.g. "assets/<id>/thumbnail.jpg".
+   * @param {Buffer} buffer
+   * @returns {Promise<string>} The URL it is served at. It is relative to this server unless
+   *   PUBLIC_BASE_URL (e.g. "https://api.darzi.in") is set.
+   */
+  async put(key, buffer) {
+    const filePath = pathFor(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return `${(process.env.PUBLIC_BASE_URL || "").replace(/\/$/, "")}/uploads/${key}`;
+  },
+
+  async remove(key) {
+    await fs.rm(pathFor(key), { force: true });
+  },
+};
+
+export default diskStorage;
@@ -0,0 +1,35 @@
+// This file is the entry point of the file storage subsystem. It picks the configured storage
+// adapter, so the upload routes never need to know where image files actually end up.
+//
+// Every adapter is a plain object implementing the same interface:
+//   name                           A short identifier stored with each uploaded asset.
+//   put(key, buffer, contentType)  Stores a file; resolves to the public URL it can be fetched from.
+//   remove(key)                    Deletes a file. Deleting a file that doesn't exist is not an error.
+//   publicDir()                    (local only) The directory server.js serves at /uploads.
+
+import diskStorage from "./diskStorage.js";
+import s3Storage from "./s3Storage.js";
+
+const ADAPTERS = {
+  [diskStorage.name]: diskStorage,
+  [s3Storage.name]: s3Storage,
+};
+
+/**
+ * Returns the adapter selected by the STORAGE_DRIVER environment variable ("local" or "s3").
+ * Without it, S3 is used when S3_BUCKET is configured and the local disk otherwise.
+ * @returns {object} The storage adapter.
+ */
+export const getStorage = () => {
+  const name = process.env.STORAGE_DRIVER || (process.env.S3_BUCKET ? "s3" : "local");
+  const adapter = ADAPTERS[name];
+  if (!adapter) throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+  return adapter;
+};
+
+/**
+ * Returns an adapter by name, e.g. to delete an asset stored before the configured driver changed.
+ * @param {string} name The adapter name stored on the asset.
+ * @returns {object|undefined} The storage adapter, if it exists.
+ */
+export const getStorageByName = (name) => ADAPTERS[name];
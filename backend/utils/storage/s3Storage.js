@@ -0,0 +1,111 @@
+// This file implements the storage adapter interface for Amazon S3 and S3-compatible services
+// (Cloudflare R2, MinIO, DigitalOcean Spaces, ...). It signs requests to the S3 REST API itself
+// (AWS Signature Version 4) and sends them with `fetch`, so no extra SDK is needed.
+// See utils/storage/index.js for a description of the interface every adapter implements.
+
+import crypto from "crypto";
+
+// Settings:
+//   S3_BUCKET, S3_REGION (default "us-east-1")
+//   S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY
+//   S3_ENDPOINT     For S3-compatible services, e.g. "https://<account>.r2.cloudflarestorage.com".
+//                   Objects are then addressed path-style: <endpoint>/<bucket>/<key>.
+//   S3_PUBLIC_URL   Where the files can be fetched publicly, e.g. a CDN in front of the bucket.
+const settings = () => ({
+  bucket: process.env.S3_BUCKET,
+  region: process.env.S3_REGION || "us-east-1",
+  accessKeyId: process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  endpoint: process.env.S3_ENDPOINT?.replace(/\/$/, ""),
+  publicUrl: process.env.S3_PUBLIC_URL?.replace(/\/$/, ""),
+});
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+
+// URI-encodes each segment of a key the way Signature Version 4 expects.
+const encodeKey = (key) =>
+  key
+    .split("/")
+    .map((segment) => encodeURIComponent(segment).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+    .join("/");
+
+// The URL of an object in the bucket.
+const objectUrl = ({ bucket, region, endpoint }, key) =>
+  endpoint ? `${endpoint}/${bucket}/${encodeKey(key)}` : `https://${bucket}.s3.${region}.amazonaws.com/${encodeKey(key)}`;
+
+// Works out the Signature Version 4 `Authorization` header for a request. `headers` must
+// include host, x-amz-content-sha256 and x-amz-date; all of them are signed.
+const authorizationFor = (config, method, url, headers) => {
+  const lowered = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+  const names = Object.keys(lowered).sort();
+  const signedHeaders = names.join(";");
+  const amzDate = lowered["x-amz-date"];
+  const date = amzDate.slice(0, 8);
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    "", // No query string.
+    names.map((name) => `${name}:${lowered[name]}\n`).join(""),
+    signedHeaders,
+    lowered["x-amz-content-sha256"],
+  ].join("\n");
+  const scope = `${date}/${config.region}/s3/aws4_request`;
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonicalRequest)].join("\n");
+  const signingKey = ["s3", "aws4_request"].reduce(hmac, hmac(hmac(`AWS4${config.secretAccessKey}`, date), config.region));
+  const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+  return `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+};
+
+// Sends a signed request for one object and throws if S3 rejects it.
+const send = async (method, key, body = Buffer.alloc(0), headers = {}) => {
+  const config = settings();
+  if (!config.bucket || !config.accessKeyId || !config.secretAccessKey) {
+    throw new Error("S3 storage is not configured (S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY)");
+  }
+
+  const url = new URL(objectUrl(config, key));
+  const signed = {
+    ...headers,
+    host: url.host,
+    "x-amz-content-sha256": sha256(body),
+    "x-amz-date": new Date().toISOString().replace(/[:-]|\.\d{3}/g, ""), // e.g. 20240101T120000Z
+  };
+  const { host, ...requestHeaders } = signed; // `fetch` sets the Host header itself.
+  const response = await fetch(url, {
+    method,
+    headers: { ...requestHeaders, authorization: authorizationFor(config, method, url, signed) },
+    body: method === "PUT" ? body : undefined,
+  });
+  if (!response.ok) {
+    throw new Error(`S3 ${method} ${key} failed with ${response.status}: ${(await response.text()).slice(0, 200)}`);
+  }
+  return config;
+};
+
+const s3Storage = {
+  name: "s3",
+
+  /**
+   * Uploads a file to the bucket.
+   * @param {string} key e.g. "assets/<id>/thumbnail.jpg".
+   * @param {Buffer} buffer
+   * @param {string} contentType e.g. "image/jpeg".
+   * @returns {Promise<string>} The public URL of the file.
+   */
+  async put(key, buffer, contentType) {
+    const config = await send("PUT", key, buffer, {
+      "content-type": contentType,
+      "cache-control": "public, max-age=31536000, immutable", // An asset's files never change.
+    });
+    return config.publicUrl ? `${config.publicUrl}/${encodeKey(key)}` : objectUrl(config, key);
+  },
+
+  async remove(key) {
+    await send("DELETE", key); // S3 answers 204 whether or not the object existed.
+  },
+};
+
+export default s3Storage;
@@ -0,0 +1,62 @@
+// This file contains the helpers for issuing and verifying JSON Web Tokens (JWTs).
+// Keeping them in one place guarantees that the routes which sign tokens and the
+// middleware which verifies them always agree on the same secret and options.
+//
+// A login hands out two tokens: a short-lived access token (a JWT) sent with every request,
+// and a long-lived refresh token that belongs to a session (models/Session.js) and is traded
+// for a new pair at /api/auth/refresh. Logging out revokes the session, which also stops its
+// access tokens from working.
+
+import crypto from "crypto"; // For random refresh tokens and their hashes.
+import jwt from "jsonwebtoken"; // For creating and verifying JSON Web Tokens for session management.
+
+// Use the JWT_SECRET from environment variables, with a fallback for local development only.
+const getSecret = () => {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+  // Anyone could forge tokens signed with the public fallback, so production refuses to use it.
+  if (process.env.NODE_ENV === "production") throw new Error("JWT_SECRET must be set in production");
+  return "your_super_secret_key_darzi";
+};
+
+/**
+ * How long access tokens last, from ACCESS_TOKEN_TTL_MINUTES (default 15).
+ * @returns {number} Seconds.
+ */
+export const getAccessTokenTtlSeconds = () => {
+  const minutes = Number(process.env.ACCESS_TOKEN_TTL_MINUTES);
+  return Math.round((Number.isFinite(minutes) && minutes > 0 ? minutes : 15) * 60);
+};
+
+/**
+ * Generates a short-lived access token for a user's session.
+ * @param {string} id The MongoDB ID of the user.
+ * @param {string} sessionId The MongoDB ID of the session it belongs to.
+ * @returns {string} The signed token.
+ */
+export const generateToken = (id, sessionId) => {
+  return jwt.sign({ id: String(id), sid: String(sessionId) }, getSecret(), { expiresIn: getAccessTokenTtlSeconds() });
+};
+
+/**
+ * Verifies a JWT and returns its decoded payload.
+ * @param {string} token The token sent by the client.
+ * @returns {object} The decoded payload (e.g., `{ id, sid, iat, exp }`).
+ * @throws {Error} If the token is malformed, has an invalid signature, or has expired.
+ */
+export const verifyToken = (token) => {
+  return jwt.verify(token, getSecret());
+};
+
+/**
+ * Generates a new random refresh token. Only its hash is ever stored.
+ * @returns {string}
+ */
+export const generateRefreshToken = () => crypto.randomBytes(48).toString("base64url");
+
+/**
+ * Hashes a refresh token for storage and lookup. Refresh tokens are long and random, so a
+ * fast hash is enough.
+ * @param {string} token
+ * @returns {string}
+ */
+export const hashRefreshToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
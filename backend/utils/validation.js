@@ -0,0 +1,170 @@
+// This file is the request validation layer. Each route declares what it accepts in its body,
+// query string and URL parameters as a schema built from the `field` helpers below, and the
+// `validate` middleware (middleware/validate.js) checks every request against it.
+//
+// - Anything a schema doesn't mention is dropped, so a client can't set fields such as
+//   `role`, `isVerified` or `status` by slipping them into a request.
+// - Values are converted to the declared type. Query strings always arrive as text, so
+//   `"5"` becomes `5` and `"true"` becomes `true`; a phone number sent as a number becomes text.
+// - `null`, `""` and missing values all count as "not sent", unless a field is `nullable`.
+// - Every problem is reported at once, in a RequestValidationError.
+
+import { parseGeoPoint } from "./geo.js";
+import { parseCalendarDate, parseTimeOfDay, isDayName } from "./schedule.js";
+
+// The error for a request that doesn't match its schema. `details` lists every problem as
+// `{ field, message }`; `statusCode` lets the routes answer with a 400.
+export class RequestValidationError extends Error {
+  constructor(details) {
+    super(details.map((detail) => detail.message).join(", "));
+    this.name = "RequestValidationError";
+    this.statusCode = 400;
+    this.details = details;
+  }
+}
+
+const problem = (path, message) => new RequestValidationError([{ field: path, message: `${path} ${message}` }]);
+
+// Builds a field type from a function that checks and converts a value that was sent.
+// Every field takes these options:
+// - `required`: refuse the request when the value is missing.
+// - `default`: the value to use when it is missing.
+// - `nullable`: keep an explicit `null`, e.g. to clear a setting.
+const define = (check) => (options = {}) => (value, path) => {
+  if (value === null && options.nullable) return null;
+  if (value === undefined || value === null || value === "") {
+    if (options.required) throw problem(path, "is required");
+    return options.default;
+  }
+  return check(value, path, options);
+};
+
+const isPlainObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+
+// Checks an object against a shape (field name → field) and returns a copy holding only
+// the fields in the shape. Problems in any field are collected rather than stopping at the first.
+const parseShape = (shape, input, prefix) => {
+  const result = {};
+  const details = [];
+  for (const [key, parse] of Object.entries(shape)) {
+    try {
+      const value = parse(Object.hasOwn(input, key) ? input[key] : undefined, prefix ? `${prefix}.${key}` : key);
+      if (value !== undefined) result[key] = value;
+    } catch (err) {
+      if (!(err instanceof RequestValidationError)) throw err;
+      details.push(...err.details);
+    }
+  }
+  if (details.length > 0) throw new RequestValidationError(details);
+  return result;
+};
+
+export const field = {
+  // Text, trimmed unless `trim: false`. Options: `min` and `max` (default 1000) lengths, a
+  // `pattern` or `test` function with a `description` of what it expects, and `uppercase`/`lowercase`.
+  string: define((value, path, { min, max = 1000, pattern, test, description, uppercase, lowercase, trim = true, required, default: fallback }) => {
+    if (typeof value !== "string" && typeof value !== "number") throw problem(path, "must be text");
+    let text = trim ? String(value).trim() : String(value);
+    if (uppercase) text = text.toUpperCase();
+    if (lowercase) text = text.toLowerCase();
+    if (text === "") {
+      if (required) throw problem(path, "is required");
+      return fallback;
+    }
+    if (min !== undefined && text.length < min) throw problem(path, `must be at least ${min} characters`);
+    if (text.length > max) throw problem(path, `must be at most ${max} characters`);
+    if ((pattern && !pattern.test(text)) || (test && !test(text))) throw problem(path, `must be ${description || "in the right format"}`);
+    return text;
+  }),
+
+  // One of a fixed list of values, e.g. `field.oneOf(["pickup", "drop"])`.
+  oneOf: (values, options) =>
+    define((value, path) => {
+      if (!values.includes(value)) throw problem(path, `must be one of ${values.join(", ")}`);
+      return value;
+    })(options),
+
+  // A number. Options: `integer`, `min`, `max`.
+  number: define((value, path, { integer, min, max }) => {
+    const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+    if (typeof number !== "number" || !Number.isFinite(number)) throw problem(path, "must be a number");
+    if (integer && !Number.isInteger(number)) throw problem(path, "must be a whole number");
+    if (min !== undefined && number < min) throw problem(path, `must be at least ${min}`);
+    if (max !== undefined && number > max) throw problem(path, `must be at most ${max}`);
+    return number;
+  }),
+
+  // `true` or `false`, also as the text "true"/"false" or "1"/"0".
+  boolean: define((value, path) => {
+    if (value === true || value === "true" || value === "1") return true;
+    if (value === false || value === "false" || value === "0") return false;
+    throw problem(path, "must be true or false");
+  }),
+
+  // A MongoDB ID, as text.
+  id: define((value, path) => {
+    if (typeof value !== "string" || !/^[0-9a-f]{24}$/i.test(value)) throw problem(path, "must be a valid ID");
+    return value;
+  }),
+
+  // A list of values of one field type. A single query string value counts as a list of one.
+  // Options: `max` items.
+  array: (item, options = {}) =>
+    define((value, path, { max }) => {
+      const list = typeof value === "string" ? [value] : value;
+      if (!Array.isArray(list)) throw problem(path, "must be a list");
+      if (max !== undefined && list.length > max) throw problem(path, `must have at most ${max} items`);
+      const items = parseShape(Object.fromEntries(list.map((_, i) => [i, item])), list, path);
+      return Object.values(items);
+    })(options),
+
+  // A nested object with its own shape. Fields it doesn't mention are dropped.
+  object: (shape, options) =>
+    define((value, path) => {
+      if (!isPlainObject(value)) throw problem(path, "must be an object");
+      return parseShape(shape, value, path);
+    })(options),
+
+  // A GeoJSON point, `{ "type": "Point", "coordinates": [longitude, latitude] }`.
+  geoPoint: define((value, path) => {
+    const point = parseGeoPoint(value);
+    if (!point) throw problem(path, 'must be a GeoJSON point: { "type": "Point", "coordinates": [longitude, latitude] }');
+    return point;
+  }),
+
+  // Anything, passed on unchanged. Only for values the route checks in detail itself, such
+  // as measurements, which are validated against the garment's template.
+  any: define((value) => value),
+};
+
+// The shortest password a user can choose, at sign-up, on reset or when changing it.
+export const MIN_PASSWORD_LENGTH = 8;
+
+// Common formats.
+field.email = (options) => field.string({ max: 254, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, description: "a valid email address", ...options });
+field.phone = (options) => field.string({ max: 16, pattern: /^\+?\d{7,15}$/, description: "a valid phone number", ...options });
+// A password as typed, spaces included. Use `newPassword` where the user chooses one.
+field.password = (options) => field.string({ max: 200, trim: false, ...options });
+field.newPassword = (options) => field.password({ min: MIN_PASSWORD_LENGTH, ...options });
+// A six-digit Indian PIN code.
+field.pinCode = (options) => field.string({ pattern: /^\d{6}$/, description: "a 6-digit PIN code", ...options });
+// A 15-character GSTIN, in capitals.
+field.gstin = (options) => field.string({ uppercase: true, pattern: /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, description: "a valid 15-character GSTIN", ...options });
+// A calendar date such as "2026-11-01", kept as text.
+field.calendarDate = (options) => field.string({ max: 10, test: (text) => parseCalendarDate(text) !== null, description: "a date in YYYY-MM-DD format", ...options });
+// A time of day as a tailor types it, e.g. "10:00" or "8:30 PM".
+field.timeOfDay = (options) => field.string({ max: 20, test: (text) => parseTimeOfDay(text) !== null, description: 'a time such as "10:00" or "8:30 PM"', ...options });
+// A day of the week, e.g. "Monday".
+field.dayName = (options) => field.string({ max: 10, test: isDayName, description: "a day of the week", ...options });
+
+// `?limit=` and `?cursor=` for lists paged with utils/pagination.js.
+export const pageQuery = { limit: field.number({ integer: true, min: 1 }), cursor: field.string({ max: 500 }) };
+
+/**
+ * Checks one part of a request (its body, query or params) against a schema.
+ * @param {object} shape Field name → field, built with `field`.
+ * @param {unknown} input What the client sent.
+ * @returns {object} The converted values, holding only the fields in the shape.
+ * @throws {RequestValidationError} Listing every field that is wrong.
+ */
+export const parseRequestPart = (shape, input) => parseShape(shape, isPlainObject(input) ? input : {}, "");
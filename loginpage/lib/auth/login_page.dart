@@ -9,6 +9,7 @@ import 'dart:convert'; // Used for encoding and decoding data formats like JSON.
 import 'package:flutter/material.dart'; // The core Flutter framework for building UI.
 import 'package:http/http.dart' as http; // A library to make HTTP requests to the server.
 import 'package:shared_preferences/shared_preferences.dart'; // A plugin to store simple key-value data locally (like session tokens).
+import '../services/auth_session.dart'; // Stores the session tokens and refreshes them when they expire.
 
 // The main widget for the Login page. It's a StatefulWidget because its
 // appearance changes based on user input and network responses.
@@ -122,11 +123,9 @@ class _LoginPageState extends State<LoginPage> {
       final data = jsonDecode(response.body);
 
       if (response.statusCode == 200) {
-        // On successful login, save the session token and user ID locally.
+        // On successful login, save the session tokens and user ID locally.
+        await AuthSession.save(data);
         final prefs = await SharedPreferences.getInstance();
-        if (data['token'] != null) {
-          await prefs.setString('token', data['token']);
-        }
         if (data['user'] != null && data['user']['_id'] != null) {
           await prefs.setString('userId', data['user']['_id']);
         }
@@ -8,6 +8,7 @@ import 'dart:convert'; // Used for encoding and decoding data formats like JSON.
 import 'package:flutter/material.dart'; // The core Flutter framework for building UI.
 import 'package:http/http.dart' as http; // A library to make HTTP requests to the server.
 import 'package:shared_preferences/shared_preferences.dart'; // A plugin to store simple key-value data locally (like session tokens).
+import '../services/auth_session.dart'; // Stores the session tokens and refreshes them when they expire.
 
 // The main widget for the VerifyOtpPage. It's a StatefulWidget because its state
 // changes based on user input and network activity.
@@ -63,9 +64,9 @@ class _VerifyOtpPageState extends State<VerifyOtpPage> {
 
       // 3. Handle Response: Check the server's response.
       if (response.statusCode == 201) { // 201 Created indicates successful registration.
-        // On success, save the session token and user ID to the device's local storage.
+        // On success, save the session tokens and user ID to the device's local storage.
+        await AuthSession.save(resBody);
         final prefs = await SharedPreferences.getInstance();
-        if (resBody['token'] != null) await prefs.setString('token', resBody['token']);
         if (resBody['user'] != null && resBody['user']['_id'] != null) await prefs.setString('userId', resBody['user']['_id']);
 
         _showSnackBar(resBody['message'] ?? "Registration successful!", isError: false);
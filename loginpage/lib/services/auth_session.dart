@@ -0,0 +1,69 @@
+
+// This file defines the `AuthSession` class, which keeps the logged-in user's tokens on the
+// device. The backend's access tokens are short-lived; when one expires the API answers 401,
+// and this class trades the stored refresh token for a new pair and repeats the request once.
+
+import 'dart:convert'; // Used for encoding and decoding data formats like JSON.
+import 'package:http/http.dart' as http; // A library to make HTTP requests to the server.
+import 'package:shared_preferences/shared_preferences.dart'; // Stores the tokens locally.
+
+class AuthSession {
+  // The endpoint that exchanges a refresh token for a new access token and refresh token.
+  static const String refreshUrl = "https://darziapplication.onrender.com/api/auth/refresh";
+
+  // The refresh in progress, if any. Each refresh token works only once (the server ends the
+  // session if one is reused), so requests that get a 401 at the same time share one refresh.
+  static Future<bool>? _refreshing;
+
+  /// Stores the tokens from a login or registration response (`token` and `refreshToken`).
+  static Future<void> save(Map<String, dynamic> data) async {
+    final prefs = await SharedPreferences.getInstance();
+    if (data['token'] != null) await prefs.setString('token', data['token']);
+    if (data['refreshToken'] != null) await prefs.setString('refreshToken', data['refreshToken']);
+  }
+
+  /// Sends an authenticated request. `request` must read the access token each time it is
+  /// called (e.g. through a service's `_authHeaders`), so that the retry uses the new one.
+  /// If the server answers 401, the tokens are refreshed and the request is sent once more.
+  static Future<http.Response> send(Future<http.Response> Function() request) async {
+    final response = await request();
+    if (response.statusCode != 401) return response;
+    if (!await refresh()) return response; // The session is over; the caller reports the 401.
+    return request();
+  }
+
+  /// Trades the stored refresh token for a new pair of tokens.
+  /// Returns `false` if that isn't possible. When the server refuses the refresh token, the
+  /// stored tokens are removed and the user has to log in again.
+  static Future<bool> refresh() {
+    return _refreshing ??= _refresh().whenComplete(() => _refreshing = null);
+  }
+
+  static Future<bool> _refresh() async {
+    final prefs = await SharedPreferences.getInstance();
+    final refreshToken = prefs.getString('refreshToken');
+    if (refreshToken == null) return false;
+
+    try {
+      final response = await http.post(
+        Uri.parse(refreshUrl),
+        headers: {"Content-Type": "application/json"},
+        body: jsonEncode({"refreshToken": refreshToken}),
+      ).timeout(const Duration(seconds: 60));
+
+      if (response.statusCode == 200) {
+        await save(jsonDecode(response.body));
+        return true;
+      }
+      if (response.statusCode == 401 || response.statusCode == 403) {
+        // The refresh token was used up, revoked or expired, or the account is not active.
+        await prefs.remove('token');
+        await prefs.remove('refreshToken');
+      }
+      return false;
+    } catch (e) {
+      print("AuthSession Error refreshing the session: $e");
+      return false; // A network error; keep the tokens so a later request can try again.
+    }
+  }
+}
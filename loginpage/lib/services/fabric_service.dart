@@ -6,12 +6,25 @@
 
 import 'dart:convert'; // Used for encoding and decoding data formats like JSON.
 import 'package:http/http.dart' as http; // A library to make HTTP requests to the server.
+import 'package:shared_preferences/shared_preferences.dart'; // Used to read the stored session token.
+import 'auth_session.dart'; // Refreshes the session token when the server answers 401.
 
 // A service class that encapsulates all API calls for the 'fabrics' resource.
 class FabricService {
   // The base URL for all fabric-related API endpoints.
   static const String baseUrl = "https://darziapplication.onrender.com/api/fabrics";
 
+  /// Builds the headers for requests that modify a tailor's inventory.
+  /// The backend identifies the tailor from the stored bearer token.
+  static Future<Map<String, String>> _authHeaders() async {
+    final prefs = await SharedPreferences.getInstance();
+    final token = prefs.getString("token");
+    return {
+      'Content-Type': 'application/json',
+      if (token != null) 'Authorization': 'Bearer $token',
+    };
+  }
+
   /// Fetches a list of all fabrics available for a specific tailor.
   ///
   /// This method makes a GET request to the `/api/fabrics/tailor/{tailorId}` endpoint.
@@ -30,7 +43,7 @@ class FabricService {
       } else {
         // If the server returns an error, decode the error message and throw an exception.
         final errorData = jsonDecode(response.body);
-        throw Exception(errorData['message'] ?? 'Failed to load fabrics');
+        throw Exception(errorData['error'] ?? 'Failed to load fabrics');
       }
     } catch (e) {
       // Catch any network-related errors or exceptions from the block above.
@@ -49,16 +62,16 @@ class FabricService {
   static Future<void> addFabric(Map<String, dynamic> fabricData) async {
     try {
       // Make the POST request, setting the appropriate headers and encoding the body.
-      final response = await http.post(
+      final response = await AuthSession.send(() async => http.post(
         Uri.parse(baseUrl),
-        headers: {'Content-Type': 'application/json'},
+        headers: await _authHeaders(),
         body: jsonEncode(fabricData),
-      );
+      ));
       // A successful creation should return a 201 status code.
       if (response.statusCode != 201) {
         // If not successful, handle the error.
         final errorData = jsonDecode(response.body);
-        throw Exception(errorData['message'] ?? 'Failed to add fabric');
+        throw Exception(errorData['error'] ?? 'Failed to add fabric');
       }
     } catch (e) {
       // Catch and report any errors.
@@ -76,15 +89,15 @@ class FabricService {
   static Future<void> updateFabric(String fabricId, Map<String, dynamic> fabricData) async {
     try {
       // Make the PUT request to the specific fabric's URL.
-      final response = await http.put(
+      final response = await AuthSession.send(() async => http.put(
         Uri.parse("$baseUrl/$fabricId"),
-        headers: {'Content-Type': 'application/json'},
+        headers: await _authHeaders(),
         body: jsonEncode(fabricData),
-      );
+      ));
       // A successful update should return a 200 status code.
       if (response.statusCode != 200) {
         final errorData = jsonDecode(response.body);
-        throw Exception(errorData['message'] ?? 'Failed to update fabric');
+        throw Exception(errorData['error'] ?? 'Failed to update fabric');
       }
     } catch (e) {
       print("FabricService Error updating fabric: $e");
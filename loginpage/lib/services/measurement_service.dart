@@ -5,11 +5,24 @@
 
 import 'dart:convert'; // Used for encoding and decoding data formats like JSON.
 import 'package:http/http.dart' as http; // A library to make HTTP requests to the server.
+import 'package:shared_preferences/shared_preferences.dart'; // Used to read the stored session token.
+import 'auth_session.dart'; // Refreshes the session token when the server answers 401.
 import 'tailor_service.dart'; // Imports another service, likely to reuse its base URL or other constants.
 
 // A service class that encapsulates all API calls related to customer measurement profiles.
 class MeasurementService {
 
+  /// Builds the request headers. Measurement profiles belong to the logged-in customer,
+  /// whom the backend identifies from this bearer token.
+  static Future<Map<String, String>> _authHeaders() async {
+    final prefs = await SharedPreferences.getInstance();
+    final token = prefs.getString("token");
+    return {
+      "Content-Type": "application/json",
+      if (token != null) "Authorization": "Bearer $token",
+    };
+  }
+
   /// Adds a new measurement profile for a specific user, identified by their phone number.
   ///
   /// This method makes a POST request to the `/auth/measurements` endpoint.
@@ -19,13 +32,13 @@ class MeasurementService {
   /// Throws an [Exception] if the request fails or the server returns an error code.
   static Future<List<Map<String, dynamic>>> addProfile(String phone, Map<String, dynamic> profile) async {
     // Makes a POST request to the server.
-    final response = await http.post(
+    final response = await AuthSession.send(() async => http.post(
       // The URL is constructed using a base URL from another service class, which is not ideal.
       // A better practice would be to use a shared `ApiConfig` class for the base URL.
       Uri.parse("${TailorService.baseUrl}/auth/measurements"),
-      headers: {"Content-Type": "application/json"}, // Specifies that the request body is in JSON format.
+      headers: await _authHeaders(), // JSON body plus the customer's session token.
       body: jsonEncode({"phone": phone, "profile": profile}), // Encodes the Dart map into a JSON string.
-    );
+    ));
 
     // Check if the request was successful (HTTP status code 200 OK).
     if (response.statusCode == 200) {
@@ -48,9 +61,10 @@ class MeasurementService {
   /// Throws an [Exception] if the request fails or the server returns an error code.
   static Future<List<Map<String, dynamic>>> deleteProfile(String phone, String profileId) async {
     // Makes a DELETE request to a URL that includes the phone and profileId as path parameters.
-    final response = await http.delete(
+    final response = await AuthSession.send(() async => http.delete(
       Uri.parse("${TailorService.baseUrl}/auth/measurements/$phone/$profileId"),
-    );
+      headers: await _authHeaders(),
+    ));
 
     // Check for a successful response.
     if (response.statusCode == 200) {
@@ -8,6 +8,7 @@ import 'dart:convert'; // Used for encoding and decoding data formats like JSON.
 import 'dart:async'; // Provides asynchronous functionality like Future and timeout.
 import 'package:http/http.dart' as http; // A library to make HTTP requests to the server.
 import 'package:shared_preferences/shared_preferences.dart'; // A plugin to store and retrieve simple data locally.
+import 'auth_session.dart'; // Refreshes the session token when the server answers 401.
 import '../models/order_model.dart'; // The data model for an 'Order'.
 
 // A service class that centralizes all API communication.
@@ -22,6 +23,17 @@ class TailorService {
     return prefs.getString("token");
   }
 
+  /// A private helper method that builds the request headers for authenticated endpoints.
+  /// The backend identifies the customer or tailor from this bearer token.
+  static Future<Map<String, String>> _authHeaders() async {
+    final token = await _token();
+    return {
+      "Content-Type": "application/json",
+      "Accept": "application/json",
+      if (token != null) "Authorization": "Bearer $token",
+    };
+  }
+
   /// A private helper method to asynchronously retrieve the logged-in user's ID
   /// from local storage. This is particularly useful for tailor-specific API calls.
   static Future<String?> _userId() async {
@@ -38,11 +50,11 @@ class TailorService {
   /// returns an error.
   /// Returns the server's response body as a map on success.
   static Future<Map<String, dynamic>> postOrder(Map<String, dynamic> orderData) async {
-    final response = await http.post(
+    final response = await AuthSession.send(() async => http.post(
       Uri.parse("$baseUrl/orders"),
-      headers: {"Content-Type": "application/json"},
+      headers: await _authHeaders(),
       body: jsonEncode(orderData),
-    ).timeout(const Duration(seconds: 60)); // Sets a 60-second timeout for the request.
+    ).timeout(const Duration(seconds: 60))); // Sets a 60-second timeout for the request.
 
     final data = jsonDecode(response.body);
     // Check for any error status codes (4xx or 5xx) and throw an exception if found.
@@ -59,10 +71,10 @@ class TailorService {
     final tailorId = await _userId();
     if (tailorId == null) return []; // Return an empty list if no tailor ID is found.
 
-    final response = await http.get(
-      Uri.parse("$baseUrl/orders/tailor?tailorId=$tailorId&status=$status"),
-      headers: {"Accept": "application/json"},
-    ).timeout(const Duration(seconds: 60));
+    final response = await AuthSession.send(() async => http.get(
+      Uri.parse("$baseUrl/orders/tailor?status=$status"),
+      headers: await _authHeaders(),
+    ).timeout(const Duration(seconds: 60)));
 
     final data = jsonDecode(response.body);
     // The response is expected to be a JSON array. It maps each item in the array to an `Order` object.
@@ -70,12 +82,14 @@ class TailorService {
     return [];
   }
 
-  /// Fetches all orders for a specific customer, identified by their phone number.
+  /// Fetches all orders for the logged-in customer.
   ///
+  /// The server identifies the customer from the session token; `phone` is kept
+  /// for compatibility with existing callers.
   /// Returns a list of `Order` objects.
   static Future<List<Order>> getCustomerOrders(String phone) async {
-    final response = await http.get(Uri.parse("$baseUrl/orders/customer?phone=$phone"))
-        .timeout(const Duration(seconds: 60));
+    final response = await AuthSession.send(() async => http.get(Uri.parse("$baseUrl/orders/customer"), headers: await _authHeaders())
+        .timeout(const Duration(seconds: 60)));
     final data = jsonDecode(response.body);
     if (data is List) return data.map((e) => Order.fromJson(e)).toList();
     return [];
@@ -116,7 +130,7 @@ class TailorService {
 
   /// Confirms that the initial deposit for an order has been paid.
   static Future<void> confirmDeposit(String orderId) async {
-    final response = await http.post(Uri.parse("$baseUrl/orders/$orderId/confirm-deposit"));
+    final response = await AuthSession.send(() async => http.post(Uri.parse("$baseUrl/orders/$orderId/confirm-deposit"), headers: await _authHeaders()));
     if (response.statusCode >= 400) {
       final data = jsonDecode(response.body);
       throw Exception(data['error'] ?? "Failed to confirm deposit");
@@ -125,17 +139,39 @@ class TailorService {
 
   /// Accepts a pending order.
   static Future<void> acceptOrder(String orderId) async {
-    await http.post(Uri.parse("$baseUrl/orders/$orderId/accept"));
+    await AuthSession.send(() async => http.post(Uri.parse("$baseUrl/orders/$orderId/accept"), headers: await _authHeaders()));
   }
 
   /// Rejects a pending order.
   static Future<void> rejectOrder(String orderId) async {
-    await http.post(Uri.parse("$baseUrl/orders/$orderId/reject"));
+    await AuthSession.send(() async => http.post(Uri.parse("$baseUrl/orders/$orderId/reject"), headers: await _authHeaders()));
   }
 
   /// Updates the status of an order to the next step in the workflow.
+  /// A READY order can't be moved on this way; deliver it with [deliverOrder].
   static Future<void> updateStatus(String orderId) async {
-    await http.post(Uri.parse("$baseUrl/orders/$orderId/update-status"));
+    final response = await AuthSession.send(() async => http.post(Uri.parse("$baseUrl/orders/$orderId/update-status"), headers: await _authHeaders()));
+    if (response.statusCode >= 400) {
+      final data = jsonDecode(response.body);
+      throw Exception(data['error'] ?? "Failed to update status");
+    }
+  }
+
+  /// Marks a READY order as delivered, using the OTP the customer gives the tailor at handover.
+  /// Throws with the server's message if the OTP is wrong (including how many attempts are
+  /// left) or locked after too many wrong attempts.
+  static Future<void> deliverOrder(String orderId, String otp) async {
+    final response = await AuthSession.send(() async => http.post(
+      Uri.parse("$baseUrl/orders/$orderId/deliver"),
+      headers: await _authHeaders(),
+      body: jsonEncode({"otp": otp}),
+    ).timeout(const Duration(seconds: 60)));
+    if (response.statusCode >= 400) {
+      final data = jsonDecode(response.body);
+      final attemptsLeft = data['attemptsLeft'];
+      final error = data['error'] ?? "Failed to deliver order";
+      throw Exception(attemptsLeft != null ? "$error ($attemptsLeft attempts left)" : error);
+    }
   }
 
   /* -------------------- ANALYTICS -------------------- */
@@ -148,8 +184,8 @@ class TailorService {
     final tailorId = await _userId();
     if (tailorId == null) return {'todayOrders': 0}; // Return default data if no user is logged in.
 
-    final response = await http.get(Uri.parse("$baseUrl/orders/analytics?tailorId=$tailorId"))
-        .timeout(const Duration(seconds: 60));
+    final response = await AuthSession.send(() async => http.get(Uri.parse("$baseUrl/orders/analytics"), headers: await _authHeaders())
+        .timeout(const Duration(seconds: 60)));
 
     return jsonDecode(response.body);
   }
@@ -0,0 +1,55 @@
+
+// This file defines the dialog a tailor uses to hand over a finished order. The server only
+// marks an order as delivered with the OTP the customer was sent when it became READY, so the
+// tailor asks the customer for it and types it in here.
+
+import 'package:flutter/material.dart';
+
+/// Shows the delivery OTP dialog and returns the code the tailor entered,
+/// or `null` if they cancelled.
+Future<String?> askDeliveryOtp(BuildContext context) {
+  return showDialog<String>(context: context, builder: (_) => const DeliveryOtpDialog());
+}
+
+// It's a StatefulWidget because it owns the controller of the OTP text field.
+class DeliveryOtpDialog extends StatefulWidget {
+  const DeliveryOtpDialog({super.key});
+
+  @override
+  State<DeliveryOtpDialog> createState() => _DeliveryOtpDialogState();
+}
+
+class _DeliveryOtpDialogState extends State<DeliveryOtpDialog> {
+  final TextEditingController _otpController = TextEditingController();
+
+  @override
+  void dispose() {
+    _otpController.dispose(); // Release the controller's resources.
+    super.dispose();
+  }
+
+  // Closes the dialog with the entered code, if there is one.
+  void _submit() {
+    final otp = _otpController.text.trim();
+    if (otp.isNotEmpty) Navigator.of(context).pop(otp);
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    return AlertDialog(
+      title: const Text("Deliver Order"),
+      content: TextField(
+        controller: _otpController,
+        autofocus: true,
+        keyboardType: TextInputType.number,
+        maxLength: 4, // Delivery OTPs are 4 digits.
+        decoration: const InputDecoration(labelText: "Customer's delivery OTP"),
+        onSubmitted: (_) => _submit(),
+      ),
+      actions: [
+        TextButton(onPressed: () => Navigator.of(context).pop(), child: const Text("Cancel")),
+        ElevatedButton(onPressed: _submit, child: const Text("Deliver")),
+      ],
+    );
+  }
+}
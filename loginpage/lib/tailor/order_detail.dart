@@ -8,6 +8,7 @@ import 'package:flutter/material.dart';
 import 'package:url_launcher/url_launcher.dart'; // A plugin to launch external URLs, used for making phone calls and opening maps.
 import '../models/order_model.dart'; // The data model for an 'Order'.
 import '../services/tailor_service.dart'; // The service class to make API calls for order actions.
+import 'delivery_otp_dialog.dart'; // Asks for the customer's OTP when handing over an order.
 
 // The OrderDetailScreen is a StatelessWidget because its primary role is to display the data
 // of the `order` object passed to it. State changes (like updating the order status)
@@ -25,7 +26,7 @@ class OrderDetailScreen extends StatelessWidget {
       case 'CUTTING': return 'STITCHING';
       case 'STITCHING': return 'FINISHING';
       case 'FINISHING': return 'READY';
-      case 'READY': return 'OUT FOR DELIVERY';
+      case 'READY': return 'DELIVERED';
       default: return ''; // If there is no next status, return an empty string.
     }
   }
@@ -46,6 +47,13 @@ class OrderDetailScreen extends StatelessWidget {
     }
   }
 
+  /// Asks for the customer's delivery OTP and, if one is entered, delivers the order with it.
+  Future<void> _deliver(BuildContext context) async {
+    final otp = await askDeliveryOtp(context);
+    if (otp == null || !context.mounted) return;
+    await _handleAction(context, TailorService.deliverOrder(order.id, otp));
+  }
+
   /// Launches the default map application on the device to show the pickup address.
   Future<void> _launchMaps() async {
     final address = order.pickupAddress ?? "";
@@ -208,6 +216,12 @@ class OrderDetailScreen extends StatelessWidget {
         onPressed: () => _handleAction(context, TailorService.confirmDeposit(order.id)),
         child: const Text("Mark Deposit as PAID & Accept"),
       );
+    // A ready order is delivered with the OTP the customer gives the tailor at handover.
+    } else if (order.status == 'READY') {
+      actionButton = ElevatedButton(
+        onPressed: () => _deliver(context),
+        child: const Text("Deliver with Customer's OTP"),
+      );
     // If there is a valid next status, the action is to move the order to that status.
     } else if (nextStatus.isNotEmpty) {
       actionButton = ElevatedButton(
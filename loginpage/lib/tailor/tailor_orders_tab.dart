@@ -13,6 +13,7 @@ import 'package:url_launcher/url_launcher.dart'; // Not used here, but likely ke
 import '../models/order_model.dart'; // The data model for an 'Order'.
 import '../services/tailor_service.dart'; // The service class to fetch order data.
 import 'order_detail.dart'; // The detailed view for a single order.
+import 'delivery_otp_dialog.dart'; // Asks for the customer's OTP when handing over an order.
 import '../../utils/order_status_helper.dart'; // A helper for status-related text and colors.
 
 // The main widget for a single tab in the tailor's order view.
@@ -277,6 +278,13 @@ class _InProgressOrderCard extends StatelessWidget {
     }
   }
 
+  /// Asks for the customer's delivery OTP and, if one is entered, delivers the order with it.
+  Future<void> _deliver(BuildContext context) async {
+    final otp = await askDeliveryOtp(context);
+    if (otp == null || !context.mounted) return;
+    await _handleAction(context, TailorService.deliverOrder(order.id, otp));
+  }
+
   /// A helper to determine the text for the action button based on the order's current status.
   String _getNextActionText(String status) {
     switch (status) {
@@ -284,7 +292,7 @@ class _InProgressOrderCard extends StatelessWidget {
       case 'CUTTING': return 'Start Stitching';
       case 'STITCHING': return 'Move to Finishing';
       case 'FINISHING': return 'Mark as Ready for Delivery';
-      case 'READY': return 'Mark as Delivered';
+      case 'READY': return "Deliver with Customer's OTP";
       default: return 'Update Status';
     }
   }
@@ -317,7 +325,8 @@ class _InProgressOrderCard extends StatelessWidget {
                 width: double.infinity,
                 child: ElevatedButton(
                   // The button triggers the API call to update the status to the next step.
-                  onPressed: () => _handleAction(context, TailorService.updateStatus(order.id)),
+                  // A ready order is delivered instead, with the customer's OTP.
+                  onPressed: () => order.status == 'READY' ? _deliver(context) : _handleAction(context, TailorService.updateStatus(order.id)),
                   child: Text(_getNextActionText(order.status)),
                 ),
               )
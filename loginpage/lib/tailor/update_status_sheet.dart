@@ -5,6 +5,7 @@
 
 import 'package:flutter/material.dart'; // The core Flutter framework for building UI.
 import '../services/tailor_service.dart'; // The service class to make the API call to update the status.
+import 'delivery_otp_dialog.dart'; // Asks for the customer's OTP when handing over an order.
 
 // The main widget for the UpdateStatusSheet. It's a StatefulWidget because it needs to manage
 // a loading state (`_isLoading`) while the API call is in progress.
@@ -48,12 +49,22 @@ class _UpdateStatusSheetState extends State<UpdateStatusSheet> {
   /// The `status` parameter is currently unused because the API endpoint
   /// (`/orders/{orderId}/update-status`) is designed to automatically advance
   /// the order to the next logical step, rather than a specific one chosen here.
+  /// The exception is DELIVERED, which needs the OTP the customer gives the tailor at handover.
   Future<void> _updateStatus(String status) async {
+    String? otp;
+    if (status == "DELIVERED") {
+      otp = await askDeliveryOtp(context);
+      if (otp == null || !mounted) return;
+    }
     // Set loading state to true to show a spinner.
     setState(() => _isLoading = true);
     try {
       // Make the API call to update the status of the order.
-      await TailorService.updateStatus(widget.orderId);
+      if (otp != null) {
+        await TailorService.deliverOrder(widget.orderId, otp);
+      } else {
+        await TailorService.updateStatus(widget.orderId);
+      }
       // On success, call the `onUpdate` callback to notify the parent widget.
       widget.onUpdate();
     } catch (e) {